@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a store of hostname-plus-IP allocations persisted to a JSON file
+ * @param {string} filePath - Path to the allocations file
+ * @returns {Object} Allocation store
+ */
+function createAllocationStore(filePath) {
+  let allocations = [];
+
+  if (fs.existsSync(filePath)) {
+    allocations = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  /**
+   * Write allocations to disk, replacing the file atomically
+   */
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(allocations, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  /**
+   * Start a new allocation in the pending state
+   * @param {Object} details - hostname, subnetId, owner and ticket
+   * @returns {Object} The new allocation
+   */
+  const create = (details) => {
+    const now = new Date().toISOString();
+    const allocation = {
+      id: crypto.randomUUID(),
+      status: 'pending',
+      ...details,
+      reservation: null,
+      address: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    allocations.push(allocation);
+    save();
+
+    return allocation;
+  };
+
+  /**
+   * Update an allocation and save it
+   * @param {string} id - Allocation ID
+   * @param {Object} changes - Fields to change
+   * @returns {Object|undefined} Updated allocation, undefined if not found
+   */
+  const update = (id, changes) => {
+    const allocation = get(id);
+    if (!allocation) {
+      return undefined;
+    }
+
+    Object.assign(allocation, changes, { updatedAt: new Date().toISOString() });
+    save();
+
+    return allocation;
+  };
+
+  /**
+   * Get an allocation by ID
+   * @param {string} id - Allocation ID
+   * @returns {Object|undefined} Allocation
+   */
+  const get = (id) => allocations.find(allocation => allocation.id === id);
+
+  /**
+   * List allocations, newest first
+   * @param {Object} [filters] - Optional owner and status to filter by
+   * @returns {Array<Object>} Allocations
+   */
+  const list = ({ owner, status } = {}) => allocations
+    .filter(allocation => (!owner || allocation.owner === owner) && (!status || allocation.status === status))
+    .slice()
+    .reverse();
+
+  return {
+    create,
+    update,
+    get,
+    list
+  };
+}
+
+module.exports = {
+  createAllocationStore
+};
\ No newline at end of file
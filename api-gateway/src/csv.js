@@ -0,0 +1,32 @@
+/**
+ * Quote a value for CSV when it holds a comma, quote or line break
+ * @param {*} value - Cell value; null and undefined become empty cells
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  const text = Array.isArray(value) ? value.join(' ') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line
+ * @param {Array<Object>} rows - Rows to render
+ * @param {Array<string>} columns - Row keys to include, in order
+ * @param {Object} [options]
+ * @param {Array<string>} [options.comments] - Lines written before the header, each starting with #
+ * @returns {string} CSV document
+ */
+function toCsv(rows, columns, { comments = [] } = {}) {
+  return [
+    ...comments.map(comment => `# ${comment.replace(/[\r\n]+/g, ' ')}`),
+    columns.join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+  ].join('\n') + '\n';
+}
+
+module.exports = {
+  toCsv
+};
\ No newline at end of file
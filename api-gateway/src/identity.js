@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+
+// Header carrying the verified user ID to the backend services. The gateway
+// builds outgoing headers itself, so a client cannot supply this one.
+const USER_HEADER = 'X-Authenticated-User';
+
+/**
+ * Middleware that verifies the caller's JWT and sets req.user from its claims.
+ * Routes that act on behalf of a user take the user from here, never from the body.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const verifyUser = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Authentication token is required'
+    });
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_here');
+
+    if (!decoded.uid) {
+      throw new Error('Token has no user ID');
+    }
+
+    req.user = {
+      uid: decoded.uid,
+      name: decoded.name,
+      email: decoded.email
+    };
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or expired token'
+    });
+  }
+};
+
+/**
+ * Headers for forwarding a verified request to a backend service
+ * @param {Object} req - Express request that passed verifyUser
+ * @returns {Object} Authorization and user headers
+ */
+function forwardHeaders(req) {
+  return {
+    Authorization: req.headers.authorization,
+    [USER_HEADER]: req.user.uid
+  };
+}
+
+module.exports = {
+  USER_HEADER,
+  verifyUser,
+  forwardHeaders
+};
\ No newline at end of file
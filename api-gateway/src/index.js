@@ -55,6 +55,9 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/proxmox', require('./routes/proxmox'));
 app.use('/api/ipam', require('./routes/ipam'));
+app.use('/api/allocations', require('./routes/allocations'));
+app.use('/api/reports', require('./routes/reports'));
+app.use('/api/inventory', require('./routes/inventory'));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,212 @@
+const { shortName } = require('./reconciliation');
+
+// Formats the inventory can be exported in
+const EXPORT_FORMATS = ['ansible-ini', 'ansible-yaml', 'csv', 'json'];
+
+// Ways hosts can be put into Ansible groups
+const GROUP_BY = ['node', 'tag', 'prefix'];
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  'name',
+  'ansibleHost',
+  'ips',
+  'cluster',
+  'node',
+  'vmid',
+  'type',
+  'status',
+  'pool',
+  'owner',
+  'role',
+  'tags',
+  'groups'
+];
+
+/**
+ * Turn a label into a valid Ansible group name, e.g. node_pve1 or tag_web_frontend
+ * @param {string} kind - What the group is derived from
+ * @param {string} label - Node, tag or prefix
+ * @returns {string} Group name of letters, digits and underscores
+ */
+function groupName(kind, label) {
+  return `${kind}_${label.toLowerCase().replace(/[^a-z0-9_]+/g, '_')}`;
+}
+
+/**
+ * Strip the sequence number from a hostname, e.g. web01 -> web, db-prod-3 -> db-prod
+ * @param {string} name - Hostname
+ * @returns {string} Prefix, empty when the name is only a number
+ */
+function namePrefix(name) {
+  return name.toLowerCase().replace(/[-_.]?\d+$/, '');
+}
+
+/**
+ * Merge guests with the IPAM records holding their hostname and put them
+ * into groups
+ * @param {Array<Object>} hosts - Guests from /proxmox/hosts
+ * @param {Array<Object>} addresses - phpIPAM address records
+ * @param {Array<string>} groupBy - Any of GROUP_BY
+ * @returns {Array<Object>} Inventory entries sorted by name
+ */
+function buildInventory(hosts, addresses, groupBy) {
+  const addressesByName = new Map();
+  addresses.forEach(address => {
+    const name = shortName(address.hostname);
+    if (name) {
+      addressesByName.set(name, [...(addressesByName.get(name) || []), address.ip]);
+    }
+  });
+
+  return hosts
+    .filter(host => host.name)
+    .map(host => {
+      const ips = addressesByName.get(shortName(host.name)) || [];
+      const groups = [];
+      if (groupBy.includes('node')) {
+        groups.push(groupName('node', host.node));
+      }
+      if (groupBy.includes('tag')) {
+        groups.push(...host.tags.map(tag => groupName('tag', tag)));
+      }
+      if (groupBy.includes('prefix') && namePrefix(host.name)) {
+        groups.push(groupName('prefix', namePrefix(host.name)));
+      }
+
+      return {
+        name: host.name,
+        ansibleHost: ips[0] || null,
+        ips,
+        cluster: host.cluster,
+        node: host.node,
+        vmid: host.id,
+        type: host.type,
+        status: host.status,
+        pool: host.pool || null,
+        owner: host.owner || null,
+        role: host.role || null,
+        tags: host.tags || [],
+        groups
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Collect the hosts of each group
+ * @param {Array<Object>} entries - Output of buildInventory
+ * @returns {Object} Host names keyed by group name, groups sorted by name
+ */
+function groupHosts(entries) {
+  const groups = {};
+  entries.forEach(entry => {
+    entry.groups.forEach(group => {
+      groups[group] = [...(groups[group] || []), entry.name];
+    });
+  });
+
+  return Object.fromEntries(Object.keys(groups).sort().map(group => [group, groups[group]]));
+}
+
+/**
+ * Ansible host variables of an inventory entry, leaving out empty ones
+ * @param {Object} entry - Inventory entry
+ * @returns {Object} Variables keyed by name
+ */
+function hostVars(entry) {
+  const vars = {
+    ansible_host: entry.ansibleHost,
+    proxmox_cluster: entry.cluster,
+    proxmox_node: entry.node,
+    proxmox_vmid: entry.vmid,
+    proxmox_type: entry.type,
+    proxmox_status: entry.status,
+    proxmox_pool: entry.pool,
+    proxmox_tags: entry.tags.length > 0 ? entry.tags : null,
+    owner: entry.owner,
+    role: entry.role
+  };
+
+  return Object.fromEntries(Object.entries(vars).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Describe clusters that could not be reached as comment lines
+ * @param {Array<Object>} errors - Cluster errors from /proxmox/hosts
+ * @returns {Array<string>} Comment lines
+ */
+function errorComments(errors) {
+  return errors.map(error => `# Incomplete: cluster ${error.cluster} could not be reached: ${error.message}`);
+}
+
+/**
+ * Render an Ansible INI inventory. Every host is listed under [all] with its
+ * variables, and by name under each of its groups.
+ * @param {Array<Object>} entries - Output of buildInventory
+ * @param {Array<Object>} [errors] - Cluster errors to note at the top
+ * @returns {string} INI document
+ */
+function toAnsibleIni(entries, errors = []) {
+  // Ansible reads INI values as Python literals, so a JSON list of tags stays a list
+  const iniValue = value => {
+    if (Array.isArray(value)) {
+      return JSON.stringify(value);
+    }
+    const text = String(value);
+    return /[\s"'#;=]/.test(text) ? JSON.stringify(text) : text;
+  };
+
+  const lines = [...errorComments(errors), '[all]'];
+  entries.forEach(entry => {
+    const vars = Object.entries(hostVars(entry)).map(([key, value]) => `${key}=${iniValue(value)}`);
+    lines.push([entry.name, ...vars].join(' '));
+  });
+
+  Object.entries(groupHosts(entries)).forEach(([group, names]) => {
+    lines.push('', `[${group}]`, ...names);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render an Ansible YAML inventory. Strings are written as JSON strings,
+ * which YAML reads as double-quoted scalars.
+ * @param {Array<Object>} entries - Output of buildInventory
+ * @param {Array<Object>} [errors] - Cluster errors to note at the top
+ * @returns {string} YAML document
+ */
+function toAnsibleYaml(entries, errors = []) {
+  const lines = [...errorComments(errors), 'all:', '  hosts:'];
+  if (entries.length === 0) {
+    lines[lines.length - 1] = '  hosts: {}';
+  }
+
+  entries.forEach(entry => {
+    lines.push(`    ${JSON.stringify(entry.name)}:`);
+    Object.entries(hostVars(entry)).forEach(([key, value]) => {
+      lines.push(`      ${key}: ${JSON.stringify(value)}`);
+    });
+  });
+
+  const groups = Object.entries(groupHosts(entries));
+  if (groups.length > 0) {
+    lines.push('  children:');
+    groups.forEach(([group, names]) => {
+      lines.push(`    ${group}:`, '      hosts:', ...names.map(name => `        ${JSON.stringify(name)}: {}`));
+    });
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  GROUP_BY,
+  CSV_COLUMNS,
+  buildInventory,
+  groupHosts,
+  toAnsibleIni,
+  toAnsibleYaml
+};
\ No newline at end of file
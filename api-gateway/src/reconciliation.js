@@ -0,0 +1,177 @@
+// Discrepancy categories, in the order the report lists them
+const CATEGORIES = [
+  'vm-without-ipam',
+  'ipam-without-vm',
+  'hostname-mismatch',
+  'ip-mismatch'
+];
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  'category',
+  'hostname',
+  'ips',
+  'cluster',
+  'node',
+  'vmid',
+  'ipamHostname',
+  'ipamIp',
+  'addressId',
+  'subnetId',
+  'unverified',
+  'message'
+];
+
+/**
+ * Reduce a hostname to its lowercased short name, so that a guest called
+ * web01 matches the IPAM record web01.example.com
+ * @param {string} [hostname] - Hostname or FQDN
+ * @returns {string} Short name, empty when there is none
+ */
+function shortName(hostname) {
+  return (hostname || '').trim().toLowerCase().split('.')[0];
+}
+
+/**
+ * Add a value to the list kept under a key
+ * @param {Map<string, Array>} map - Lists by key
+ * @param {string} key - Key
+ * @param {*} value - Value to add
+ */
+function addTo(map, key, value) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(value);
+}
+
+/**
+ * Compare the ProxMox inventory with IPAM. Guests are matched to IPAM records
+ * by hostname and by the IPs their guest agent reports. While a cluster is
+ * unreachable, an IPAM record without a guest may belong to a guest on that
+ * cluster, so those discrepancies are marked unverified.
+ * @param {Array<Object>} hosts - Guests from /proxmox/hosts?addresses=true
+ * @param {Array<Object>} addresses - phpIPAM address records
+ * @param {Array<string>} [unreachableClusters] - Clusters whose guests are missing from hosts
+ * @returns {Array<Object>} Discrepancies, each with a category from CATEGORIES
+ */
+function reconcile(hosts, addresses, unreachableClusters = []) {
+  const guests = hosts.filter(guest => guest.type !== 'template' && guest.name);
+  const discrepancies = [];
+
+  const addressesByName = new Map();
+  const addressesByIp = new Map();
+  addresses.forEach(address => {
+    if (shortName(address.hostname)) {
+      addTo(addressesByName, shortName(address.hostname), address);
+    }
+    addressesByIp.set((address.ip || '').toLowerCase(), address);
+  });
+
+  const guestNames = new Set(guests.map(guest => shortName(guest.name)));
+  const reportedIps = new Set(guests.flatMap(guest => guest.ips || []));
+
+  const guestFields = guest => ({
+    hostname: guest.name,
+    ips: guest.ips || [],
+    cluster: guest.cluster,
+    node: guest.node,
+    vmid: guest.id
+  });
+  const addressFields = address => ({
+    ipamHostname: address.hostname || null,
+    ipamIp: address.ip,
+    addressId: address.id,
+    subnetId: address.subnetId
+  });
+
+  guests.forEach(guest => {
+    const name = shortName(guest.name);
+    const ips = guest.ips || [];
+    const byName = addressesByName.get(name) || [];
+    const byIp = ips.map(ip => addressesByIp.get(ip)).filter(Boolean);
+
+    byIp
+      .filter(address => shortName(address.hostname) !== name)
+      .forEach(address => {
+        discrepancies.push({
+          category: 'hostname-mismatch',
+          ...guestFields(guest),
+          ...addressFields(address),
+          message: address.hostname
+            ? `${guest.name} uses ${address.ip}, which IPAM records for ${address.hostname}`
+            : `${guest.name} uses ${address.ip}, which IPAM records without a hostname`
+        });
+      });
+
+    if (byName.length === 0 && byIp.length === 0) {
+      discrepancies.push({
+        category: 'vm-without-ipam',
+        ...guestFields(guest),
+        message: ips.length > 0
+          ? `${guest.name} has no IPAM record for its name or for ${ips.join(', ')}`
+          : `${guest.name} has no IPAM record`
+      });
+      return;
+    }
+
+    // Only a guest whose agent reports addresses can contradict IPAM
+    if (ips.length > 0) {
+      byName
+        .filter(address => !ips.includes((address.ip || '').toLowerCase()))
+        .forEach(address => {
+          discrepancies.push({
+            category: 'ip-mismatch',
+            ...guestFields(guest),
+            ...addressFields(address),
+            message: `IPAM records ${address.ip} for ${guest.name}, but the guest reports ${ips.join(', ')}`
+          });
+        });
+    }
+  });
+
+  addresses
+    .filter(address => shortName(address.hostname))
+    .filter(address => !guestNames.has(shortName(address.hostname)) && !reportedIps.has((address.ip || '').toLowerCase()))
+    .forEach(address => {
+      discrepancies.push({
+        category: 'ipam-without-vm',
+        hostname: null,
+        ips: [],
+        cluster: null,
+        node: null,
+        vmid: null,
+        ...addressFields(address),
+        unverified: unreachableClusters.length > 0,
+        message: unreachableClusters.length > 0
+          ? `IPAM records ${address.ip} for ${address.hostname}, but no guest on the reachable clusters has that name or address. Cluster(s) ${unreachableClusters.join(', ')} could not be checked.`
+          : `IPAM records ${address.ip} for ${address.hostname}, but no guest has that name or address`
+      });
+    });
+
+  return discrepancies.sort((a, b) =>
+    CATEGORIES.indexOf(a.category) - CATEGORIES.indexOf(b.category) ||
+    (a.hostname || a.ipamHostname || '').localeCompare(b.hostname || b.ipamHostname || '')
+  );
+}
+
+/**
+ * Count discrepancies per category
+ * @param {Array<Object>} discrepancies - Output of reconcile
+ * @returns {Object} Count for every category, including empty ones
+ */
+function summarize(discrepancies) {
+  const summary = Object.fromEntries(CATEGORIES.map(category => [category, 0]));
+  discrepancies.forEach(discrepancy => {
+    summary[discrepancy.category] += 1;
+  });
+  return summary;
+}
+
+module.exports = {
+  CATEGORIES,
+  CSV_COLUMNS,
+  shortName,
+  reconcile,
+  summarize
+};
\ No newline at end of file
@@ -0,0 +1,256 @@
+const express = require('express');
+const axios = require('axios');
+const path = require('path');
+const winston = require('winston');
+const router = express.Router();
+const { createAllocationStore } = require('../allocations');
+const { verifyUser, forwardHeaders } = require('../identity');
+
+// Service URLs
+const proxmoxServiceUrl = process.env.PROXMOX_SERVICE_URL || 'http://localhost:8002';
+const ipamServiceUrl = process.env.IPAM_SERVICE_URL || 'http://localhost:8003';
+
+// A hung service must not leave an allocation pending forever
+const serviceTimeoutMs = parseInt(process.env.SERVICE_TIMEOUT_MS) || 10000;
+
+// Initialize logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console()
+  ]
+});
+
+// Allocation records survive restarts in a JSON file
+const allocationStore = createAllocationStore(
+  process.env.ALLOCATIONS_FILE
+    ? path.resolve(process.env.ALLOCATIONS_FILE)
+    : path.join(__dirname, '..', '..', 'data', 'allocations.json')
+);
+
+/**
+ * Describe a failed call to a backing service
+ * @param {Error} error - Axios error
+ * @returns {string} Message from the service, or the error itself
+ */
+const serviceError = (error) => error.response?.data?.message || error.message;
+
+/**
+ * Undo the hostname reservation of an allocation whose IP claim failed. A
+ * claim that got no answer, e.g. because it timed out, may still have been
+ * recorded in phpIPAM, so the host's address in the subnet is released too.
+ * @param {Object} allocation - Allocation to roll back
+ * @param {Object} headers - Headers carrying the caller's token and user
+ * @param {boolean} claimUnanswered - Whether the claim failed without a response
+ * @returns {Promise<string>} Resulting status: rolled-back or rollback-failed
+ */
+const rollBack = async (allocation, headers, claimUnanswered) => {
+  let status = 'rolled-back';
+  
+  if (claimUnanswered) {
+    try {
+      await axios.post(`${ipamServiceUrl}/ipam/release`, {
+        subnetId: allocation.subnetId,
+        hostname: allocation.hostname
+      }, { headers, timeout: serviceTimeoutMs });
+      logger.info(`Released the address of ${allocation.hostname} claimed for allocation ${allocation.id}`);
+    } catch (error) {
+      // 404: the claim never reached phpIPAM, so there is nothing to release
+      if (error.response?.status !== 404) {
+        logger.error(`Releasing the address of allocation ${allocation.id} failed: ${serviceError(error)}`);
+        status = 'rollback-failed';
+      }
+    }
+  }
+  
+  try {
+    await axios.delete(`${proxmoxServiceUrl}/proxmox/reservations/${encodeURIComponent(allocation.reservation.id)}`, {
+      headers,
+      timeout: serviceTimeoutMs
+    });
+    logger.info(`Rolled back reservation of ${allocation.hostname} for allocation ${allocation.id}`);
+  } catch (error) {
+    logger.error(`Rollback of allocation ${allocation.id} failed: ${serviceError(error)}`);
+    status = 'rollback-failed';
+  }
+  
+  return status;
+};
+
+/**
+ * Middleware that loads the allocation named in the URL and makes sure it
+ * belongs to the caller
+ * @param {Object} req - Express request that passed verifyUser
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const ownAllocation = (req, res, next) => {
+  const allocation = allocationStore.get(req.params.id);
+  if (!allocation) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Allocation ${req.params.id} not found`
+    });
+  }
+  
+  if (allocation.owner !== req.user.uid) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Allocation ${allocation.id} belongs to ${allocation.owner}`
+    });
+  }
+  
+  req.allocation = allocation;
+  next();
+};
+
+/**
+ * @route POST /api/allocations
+ * @desc Reserve a hostname and claim an IP address as one unit, owned by the caller
+ * @access Private
+ */
+router.post('/', verifyUser, async (req, res, next) => {
+  try {
+    const { hostname, subnetId, ip, ticket, leaseSeconds } = req.body;
+    const owner = req.user.uid;
+    
+    // Validate request
+    if (!hostname || !subnetId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Hostname and subnet ID are required'
+      });
+    }
+    
+    const headers = forwardHeaders(req);
+    
+    let allocation = allocationStore.create({ hostname, subnetId, owner, ticket: ticket || null });
+    
+    // Step 1: hold the hostname
+    try {
+      const response = await axios.post(`${proxmoxServiceUrl}/proxmox/reservations`, {
+        hostname,
+        owner,
+        ticket,
+        leaseSeconds
+      }, { headers, timeout: serviceTimeoutMs });
+      allocation = allocationStore.update(allocation.id, { reservation: response.data });
+    } catch (error) {
+      allocation = allocationStore.update(allocation.id, {
+        status: 'failed',
+        error: `Hostname reservation failed: ${serviceError(error)}`
+      });
+      return res.status(error.response?.status || 502).json({
+        error: 'Allocation Failed',
+        message: allocation.error,
+        allocation
+      });
+    }
+    
+    // Step 2: claim the address, undoing step 1 if that fails
+    try {
+      const response = await axios.post(`${ipamServiceUrl}/ipam/claim`, {
+        subnetId,
+        ip,
+        hostname,
+        owner,
+        description: `Allocation ${allocation.id} for ${owner}${ticket ? ` (${ticket})` : ''}`
+      }, { headers, timeout: serviceTimeoutMs });
+      allocation = allocationStore.update(allocation.id, { status: 'allocated', address: response.data });
+    } catch (error) {
+      const status = await rollBack(allocation, headers, !error.response);
+      allocation = allocationStore.update(allocation.id, {
+        status,
+        error: `IP claim failed: ${serviceError(error)}`
+      });
+      return res.status(error.response?.status || 502).json({
+        error: 'Allocation Failed',
+        message: allocation.error,
+        allocation
+      });
+    }
+    
+    logger.info(`Allocated ${hostname} with ${allocation.address.ip} for ${owner}: ${allocation.id}`);
+    
+    return res.status(201).json(allocation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/allocations
+ * @desc Get the caller's allocations, newest first
+ * @access Private
+ */
+router.get('/', verifyUser, (req, res) => {
+  const { status } = req.query;
+  return res.status(200).json(allocationStore.list({ owner: req.user.uid, status }));
+});
+
+/**
+ * @route GET /api/allocations/:id
+ * @desc Get one of the caller's allocations
+ * @access Private
+ */
+router.get('/:id', verifyUser, ownAllocation, (req, res) => {
+  return res.status(200).json(req.allocation);
+});
+
+/**
+ * @route DELETE /api/allocations/:id
+ * @desc Release one of the caller's allocations: its IP address and hostname reservation
+ * @access Private
+ */
+router.delete('/:id', verifyUser, ownAllocation, async (req, res, next) => {
+  try {
+    const { allocation } = req;
+    
+    if (allocation.status !== 'allocated') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Allocation ${allocation.id} is ${allocation.status}, only allocated ones can be released`
+      });
+    }
+    
+    const headers = forwardHeaders(req);
+    
+    try {
+      await axios.post(`${ipamServiceUrl}/ipam/release`, {
+        id: allocation.address.id,
+        hostname: allocation.hostname
+      }, {
+        headers,
+        timeout: serviceTimeoutMs
+      });
+    } catch (error) {
+      return res.status(error.response?.status || 502).json({
+        error: 'Release Failed',
+        message: `IP release failed: ${serviceError(error)}`,
+        allocation
+      });
+    }
+    
+    // An expired reservation is already gone, which is fine
+    try {
+      await axios.delete(`${proxmoxServiceUrl}/proxmox/reservations/${encodeURIComponent(allocation.reservation.id)}`, {
+        headers,
+        timeout: serviceTimeoutMs
+      });
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        logger.error(`Releasing reservation for allocation ${allocation.id} failed: ${serviceError(error)}`);
+      }
+    }
+    
+    return res.status(200).json(allocationStore.update(allocation.id, { status: 'released' }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,111 @@
+const express = require('express');
+const axios = require('axios');
+const router = express.Router();
+const { toCsv } = require('../csv');
+const {
+  EXPORT_FORMATS,
+  GROUP_BY,
+  CSV_COLUMNS,
+  buildInventory,
+  groupHosts,
+  toAnsibleIni,
+  toAnsibleYaml
+} = require('../inventoryExport');
+
+// Service URLs
+const proxmoxServiceUrl = process.env.PROXMOX_SERVICE_URL || 'http://localhost:8002';
+const ipamServiceUrl = process.env.IPAM_SERVICE_URL || 'http://localhost:8003';
+
+// Download file name and content type of each file format
+const DOWNLOADS = {
+  'ansible-ini': { fileName: 'inventory.ini', contentType: 'text/plain' },
+  'ansible-yaml': { fileName: 'inventory.yml', contentType: 'application/yaml' },
+  csv: { fileName: 'inventory.csv', contentType: 'text/csv' }
+};
+
+// Middleware to check if user is authenticated
+const isAuthenticated = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  
+  if (!token) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Authentication token is required'
+    });
+  }
+  
+  // You would typically verify the token here
+  // For simplicity, we're just checking if it exists
+  
+  next();
+};
+
+/**
+ * @route GET /api/inventory/export
+ * @desc Export guests with their IPAM addresses as an Ansible inventory, CSV or JSON
+ * @access Private
+ */
+router.get('/export', isAuthenticated, async (req, res, next) => {
+  try {
+    const { format = 'json', type, node, status, tag, pool, owner, role, q, match } = req.query;
+    const groupBy = (req.query.groupBy || 'node').split(',').map(value => value.trim()).filter(Boolean);
+    
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+      });
+    }
+    
+    const badGroupBy = groupBy.find(value => !GROUP_BY.includes(value));
+    if (badGroupBy) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Cannot group by '${badGroupBy}', use any of: ${GROUP_BY.join(', ')}`
+      });
+    }
+    
+    const token = req.headers.authorization?.split(' ')[1];
+    const headers = { Authorization: `Bearer ${token}` };
+    
+    // The same filters as /proxmox/hosts, applied by the proxmox-service
+    const [hostsResponse, addressesResponse] = await Promise.all([
+      axios.get(`${proxmoxServiceUrl}/proxmox/hosts`, {
+        params: { type, node, status, tag, pool, owner, role, q, match },
+        headers
+      }),
+      axios.get(`${ipamServiceUrl}/ipam/addresses`, { headers })
+    ]);
+    
+    // Templates are never managed hosts unless asked for
+    const hosts = hostsResponse.data.hosts.filter(host => type || host.type !== 'template');
+    const errors = hostsResponse.data.errors || [];
+    const entries = buildInventory(hosts, addressesResponse.data.addresses, groupBy);
+    
+    if (format === 'json') {
+      return res.status(200).json({
+        hosts: entries,
+        groups: groupHosts(entries),
+        errors
+      });
+    }
+    
+    const body = format === 'ansible-ini'
+      ? toAnsibleIni(entries, errors)
+      : format === 'ansible-yaml'
+        ? toAnsibleYaml(entries, errors)
+        : toCsv(entries, CSV_COLUMNS);
+    
+    res.set('Content-Type', DOWNLOADS[format].contentType);
+    res.set('Content-Disposition', `attachment; filename="${DOWNLOADS[format].fileName}"`);
+    
+    return res.status(200).send(body);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
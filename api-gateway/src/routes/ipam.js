@@ -2,6 +2,7 @@ const express = require('express');
 const axios = require('axios');
 const router = express.Router();
 const { Kafka } = require('kafkajs');
+const { verifyUser, forwardHeaders } = require('../identity');
 
 // IPAM service URL
 const ipamServiceUrl = process.env.IPAM_SERVICE_URL || 'http://localhost:8003';
@@ -33,7 +34,7 @@ const isAuthenticated = (req, res, next) => {
 
 /**
  * @route GET /api/ipam/subnets
- * @desc Get all available subnets
+ * @desc Get all available subnets, optionally of one IP version
  * @access Private
  */
 router.get('/subnets', isAuthenticated, async (req, res, next) => {
@@ -42,6 +43,7 @@ router.get('/subnets', isAuthenticated, async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
     const response = await axios.get(`${ipamServiceUrl}/ipam/subnets`, {
+      params: req.query,
       headers: {
         Authorization: `Bearer ${token}`
       }
@@ -81,9 +83,34 @@ router.get('/subnet/:id', isAuthenticated, async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/ipam/subnet/:id/stats
+ * @desc Get a subnet's utilization, free ranges and address map
+ * @access Private
+ */
+router.get('/subnet/:id/stats', isAuthenticated, async (req, res, next) => {
+  try {
+    // Forward request to IPAM service
+    const token = req.headers.authorization?.split(' ')[1];
+    
+    const response = await axios.get(`${ipamServiceUrl}/ipam/subnet/${encodeURIComponent(req.params.id)}/stats`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
 /**
  * @route GET /api/ipam/addresses
- * @desc Get all IP addresses in use
+ * @desc Get all IP addresses in use, with optional search, filters, sorting and paging
  * @access Private
  */
 router.get('/addresses', isAuthenticated, async (req, res, next) => {
@@ -92,6 +119,7 @@ router.get('/addresses', isAuthenticated, async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
     const response = await axios.get(`${ipamServiceUrl}/ipam/addresses`, {
+      params: req.query,
       headers: {
         Authorization: `Bearer ${token}`
       }
@@ -151,7 +179,7 @@ router.post('/check-ip', isAuthenticated, async (req, res, next) => {
  */
 router.post('/next-available', isAuthenticated, async (req, res, next) => {
   try {
-    const { subnetId } = req.body;
+    const { subnetId, mode, mac } = req.body;
     
     // Validate request
     if (!subnetId) {
@@ -165,7 +193,9 @@ router.post('/next-available', isAuthenticated, async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
     const response = await axios.post(`${ipamServiceUrl}/ipam/next-available`, {
-      subnetId
+      subnetId,
+      mode,
+      mac
     }, {
       headers: {
         Authorization: `Bearer ${token}`
@@ -181,4 +211,154 @@ router.post('/next-available', isAuthenticated, async (req, res, next) => {
   }
 });
 
+/**
+ * @route POST /api/ipam/claim
+ * @desc Claim an address in phpIPAM for a host, owned by the caller: the given IP, or the first free one
+ * @access Private
+ */
+router.post('/claim', verifyUser, async (req, res, next) => {
+  try {
+    const { subnetId, ip, hostname, description } = req.body;
+    
+    // Validate request
+    if (!subnetId || !hostname) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Subnet ID and hostname are required'
+      });
+    }
+    
+    // Forward request to IPAM service, which records the caller as the owner
+    const response = await axios.post(`${ipamServiceUrl}/ipam/claim`, {
+      subnetId,
+      ip,
+      hostname,
+      description
+    }, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(201).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/ipam/release
+ * @desc Release an address the caller claimed, by its ID, or by subnet ID and IP or hostname
+ * @access Private
+ */
+router.post('/release', verifyUser, async (req, res, next) => {
+  try {
+    const { id, subnetId, ip, hostname } = req.body;
+    
+    // Validate request
+    if (!id && !(subnetId && (ip || hostname))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Address ID, subnet ID and IP address, or subnet ID and hostname are required'
+      });
+    }
+    
+    // Forward request to IPAM service
+    const response = await axios.post(`${ipamServiceUrl}/ipam/release`, {
+      id,
+      subnetId,
+      ip,
+      hostname
+    }, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/ipam/allocate-range
+ * @desc Find or claim several addresses in a subnet, optionally as one contiguous block
+ * @access Private
+ */
+router.post('/allocate-range', verifyUser, async (req, res, next) => {
+  try {
+    const { subnetId, count, contiguous, alignment, claim, hostname, description } = req.body;
+    
+    // Validate request
+    if (!subnetId || !count) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Subnet ID and count are required'
+      });
+    }
+    
+    // Forward request to IPAM service
+    const response = await axios.post(`${ipamServiceUrl}/ipam/allocate-range`, {
+      subnetId,
+      count,
+      contiguous,
+      alignment,
+      claim,
+      hostname,
+      description
+    }, {
+      headers: forwardHeaders(req)
+    });
+    
+    // 201 when the addresses were claimed, 200 when only found
+    return res.status(response.status).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/ipam/dual-stack
+ * @desc Claim one IPv4 and one IPv6 address for the same host, owned by the caller
+ * @access Private
+ */
+router.post('/dual-stack', verifyUser, async (req, res, next) => {
+  try {
+    const { ipv4SubnetId, ipv6SubnetId, hostname, description, mode, mac } = req.body;
+    
+    // Validate request
+    if (!ipv4SubnetId || !ipv6SubnetId || !hostname) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'IPv4 subnet ID, IPv6 subnet ID and hostname are required'
+      });
+    }
+    
+    // Forward request to IPAM service, which records the caller as the owner
+    const response = await axios.post(`${ipamServiceUrl}/ipam/dual-stack`, {
+      ipv4SubnetId,
+      ipv6SubnetId,
+      hostname,
+      description,
+      mode,
+      mac
+    }, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(201).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
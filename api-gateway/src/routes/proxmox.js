@@ -2,6 +2,7 @@ const express = require('express');
 const axios = require('axios');
 const router = express.Router();
 const { Kafka } = require('kafkajs');
+const { verifyUser, forwardHeaders } = require('../identity');
 
 // ProxMox service URL
 const proxmoxServiceUrl = process.env.PROXMOX_SERVICE_URL || 'http://localhost:8002';
@@ -83,7 +84,7 @@ router.get('/vms', isAuthenticated, async (req, res, next) => {
 
 /**
  * @route GET /api/proxmox/hosts
- * @desc Get all hostnames in use
+ * @desc Get all hostnames in use, with optional search, filters, sorting and paging
  * @access Private
  */
 router.get('/hosts', isAuthenticated, async (req, res, next) => {
@@ -92,6 +93,61 @@ router.get('/hosts', isAuthenticated, async (req, res, next) => {
     const token = req.headers.authorization?.split(' ')[1];
     
     const response = await axios.get(`${proxmoxServiceUrl}/proxmox/hosts`, {
+      params: req.query,
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/proxmox/naming-policies
+ * @desc Get configured hostname naming policies
+ * @access Private
+ */
+router.get('/naming-policies', isAuthenticated, async (req, res, next) => {
+  try {
+    // Forward request to proxmox service
+    const token = req.headers.authorization?.split(' ')[1];
+    
+    const response = await axios.get(`${proxmoxServiceUrl}/proxmox/naming-policies`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/proxmox/validate-hostname
+ * @desc Validate a hostname without checking availability
+ * @access Private
+ */
+router.post('/validate-hostname', isAuthenticated, async (req, res, next) => {
+  try {
+    const { hostname } = req.body;
+    
+    // Forward request to proxmox service
+    const token = req.headers.authorization?.split(' ')[1];
+    
+    const response = await axios.post(`${proxmoxServiceUrl}/proxmox/validate-hostname`, {
+      hostname
+    }, {
       headers: {
         Authorization: `Bearer ${token}`
       }
@@ -111,9 +167,18 @@ router.get('/hosts', isAuthenticated, async (req, res, next) => {
  * @desc Check if hostname is available
  * @access Private
  */
-router.post('/check-hostname', isAuthenticated, async (req, res, next) => {
+router.post('/check-hostname', verifyUser, async (req, res, next) => {
   try {
-    const { hostname, prefix } = req.body;
+    const {
+      hostname,
+      prefix,
+      policy,
+      segments,
+      mode,
+      maxDistance,
+      blockSimilar,
+      reservationId
+    } = req.body;
     
     // Validate request
     if (!hostname) {
@@ -123,12 +188,97 @@ router.post('/check-hostname', isAuthenticated, async (req, res, next) => {
       });
     }
     
+    // Forward request to proxmox service
+    const response = await axios.post(`${proxmoxServiceUrl}/proxmox/check-hostname`, {
+      hostname,
+      prefix,
+      policy,
+      segments,
+      mode,
+      maxDistance,
+      blockSimilar,
+      reservationId
+    }, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/proxmox/allocate-batch
+ * @desc Allocate several distinct available hostnames at once
+ * @access Private
+ */
+router.post('/allocate-batch', verifyUser, async (req, res, next) => {
+  try {
+    const {
+      prefix,
+      policy,
+      segments,
+      count,
+      mode,
+      reserve,
+      ticket,
+      leaseSeconds
+    } = req.body;
+    
+    // Validate request
+    if (!count) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Count is required'
+      });
+    }
+    
+    // Forward request to proxmox service
+    const response = await axios.post(`${proxmoxServiceUrl}/proxmox/allocate-batch`, {
+      prefix,
+      policy,
+      segments,
+      count,
+      mode,
+      reserve,
+      ticket,
+      leaseSeconds
+    }, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/proxmox/placement
+ * @desc Recommend a node for a new guest of the given size
+ * @access Private
+ */
+router.post('/placement', isAuthenticated, async (req, res, next) => {
+  try {
+    const { cores, memory, disk, hostname, antiAffinityPrefix, cluster } = req.body;
+    
     // Forward request to proxmox service
     const token = req.headers.authorization?.split(' ')[1];
     
-    const response = await axios.post(`${proxmoxServiceUrl}/proxmox/check-hostname`, {
+    const response = await axios.post(`${proxmoxServiceUrl}/proxmox/placement`, {
+      cores,
+      memory,
+      disk,
       hostname,
-      prefix
+      antiAffinityPrefix,
+      cluster
     }, {
       headers: {
         Authorization: `Bearer ${token}`
@@ -144,4 +294,264 @@ router.post('/check-hostname', isAuthenticated, async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/proxmox/templates
+ * @desc Get the templates new VMs can be cloned from
+ * @access Private
+ */
+router.get('/templates', isAuthenticated, async (req, res, next) => {
+  try {
+    // Forward request to proxmox service
+    const token = req.headers.authorization?.split(' ')[1];
+    
+    const response = await axios.get(`${proxmoxServiceUrl}/proxmox/templates`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/proxmox/provision
+ * @desc Clone a template into a new VM with the chosen hostname and IP
+ * @access Private
+ */
+router.post('/provision', verifyUser, async (req, res, next) => {
+  try {
+    const {
+      template,
+      hostname,
+      node,
+      vmid,
+      ip,
+      gateway,
+      dns,
+      searchDomain,
+      tags,
+      pool,
+      storage,
+      cores,
+      memory,
+      reservationId
+    } = req.body;
+    
+    // Validate request
+    if (!template || !hostname) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Template and hostname are required'
+      });
+    }
+    
+    // Forward request to proxmox service, which holds the name for the verified user
+    const response = await axios.post(`${proxmoxServiceUrl}/proxmox/provision`, {
+      template,
+      hostname,
+      node,
+      vmid,
+      ip,
+      gateway,
+      dns,
+      searchDomain,
+      tags,
+      pool,
+      storage,
+      cores,
+      memory,
+      reservationId
+    }, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(response.status).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/proxmox/tasks/:upid
+ * @desc Get the progress of a provisioning task
+ * @access Private
+ */
+router.get('/tasks/:upid', isAuthenticated, async (req, res, next) => {
+  try {
+    // Forward request to proxmox service
+    const token = req.headers.authorization?.split(' ')[1];
+    
+    const response = await axios.get(`${proxmoxServiceUrl}/proxmox/tasks/${encodeURIComponent(req.params.upid)}`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/proxmox/reservations
+ * @desc Reserve an available hostname for a limited time
+ * @access Private
+ */
+router.post('/reservations', verifyUser, async (req, res, next) => {
+  try {
+    const { hostname, ticket, leaseSeconds } = req.body;
+    
+    // Validate request
+    if (!hostname) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Hostname is required'
+      });
+    }
+    
+    // Forward request to proxmox service
+    const response = await axios.post(`${proxmoxServiceUrl}/proxmox/reservations`, {
+      hostname,
+      ticket,
+      leaseSeconds
+    }, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(response.status).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/proxmox/reservations
+ * @desc Get active hostname reservations
+ * @access Private
+ */
+router.get('/reservations', verifyUser, async (req, res, next) => {
+  try {
+    // Forward request to proxmox service
+    const response = await axios.get(`${proxmoxServiceUrl}/proxmox/reservations`, {
+      params: req.query,
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/proxmox/reservations/:id/renew
+ * @desc Extend a hostname reservation's lease
+ * @access Private
+ */
+router.post('/reservations/:id/renew', verifyUser, async (req, res, next) => {
+  try {
+    const { leaseSeconds } = req.body;
+    
+    // Forward request to proxmox service
+    const response = await axios.post(`${proxmoxServiceUrl}/proxmox/reservations/${encodeURIComponent(req.params.id)}/renew`, {
+      leaseSeconds
+    }, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/proxmox/reservations/:id
+ * @desc Release a hostname reservation
+ * @access Private
+ */
+router.delete('/reservations/:id', verifyUser, async (req, res, next) => {
+  try {
+    // Forward request to proxmox service
+    const response = await axios.delete(`${proxmoxServiceUrl}/proxmox/reservations/${encodeURIComponent(req.params.id)}`, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/proxmox/tombstones
+ * @desc Get recently retired hostnames still in quarantine
+ * @access Private
+ */
+router.get('/tombstones', isAuthenticated, async (req, res, next) => {
+  try {
+    // Forward request to proxmox service
+    const token = req.headers.authorization?.split(' ')[1];
+    
+    const response = await axios.get(`${proxmoxServiceUrl}/proxmox/tombstones`, {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+/**
+ * @route DELETE /api/proxmox/tombstones/:id
+ * @desc Release a retired hostname before its quarantine ends
+ * @access Admin
+ */
+router.delete('/tombstones/:id', verifyUser, async (req, res, next) => {
+  try {
+    // Forward request to proxmox service, which checks the verified user is an admin
+    const response = await axios.delete(`${proxmoxServiceUrl}/proxmox/tombstones/${encodeURIComponent(req.params.id)}`, {
+      headers: forwardHeaders(req)
+    });
+    
+    return res.status(200).json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,93 @@
+const express = require('express');
+const axios = require('axios');
+const router = express.Router();
+const { toCsv } = require('../csv');
+const { CATEGORIES, CSV_COLUMNS, reconcile, summarize } = require('../reconciliation');
+
+// Service URLs
+const proxmoxServiceUrl = process.env.PROXMOX_SERVICE_URL || 'http://localhost:8002';
+const ipamServiceUrl = process.env.IPAM_SERVICE_URL || 'http://localhost:8003';
+
+// Middleware to check if user is authenticated
+const isAuthenticated = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+  
+  if (!token) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Authentication token is required'
+    });
+  }
+  
+  // You would typically verify the token here
+  // For simplicity, we're just checking if it exists
+  
+  next();
+};
+
+/**
+ * @route GET /api/reports/reconciliation
+ * @desc Compare ProxMox guests with IPAM records and list the discrepancies
+ * @access Private
+ */
+router.get('/reconciliation', isAuthenticated, async (req, res, next) => {
+  try {
+    const { format = 'json', category } = req.query;
+    
+    if (!['json', 'csv'].includes(format)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Format must be json or csv'
+      });
+    }
+    
+    if (category && !CATEGORIES.includes(category)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Category must be one of: ${CATEGORIES.join(', ')}`
+      });
+    }
+    
+    const token = req.headers.authorization?.split(' ')[1];
+    const headers = { Authorization: `Bearer ${token}` };
+    
+    // Guests with the IPs their agents report, and every IPAM record
+    const [hostsResponse, addressesResponse] = await Promise.all([
+      axios.get(`${proxmoxServiceUrl}/proxmox/hosts`, {
+        params: { addresses: true },
+        headers
+      }),
+      axios.get(`${ipamServiceUrl}/ipam/addresses`, { headers })
+    ]);
+    
+    // Guests on unreachable clusters are missing, which the report has to say
+    const errors = hostsResponse.data.errors || [];
+    const discrepancies = reconcile(
+      hostsResponse.data.hosts,
+      addressesResponse.data.addresses,
+      errors.map(clusterError => clusterError.cluster)
+    ).filter(discrepancy => !category || discrepancy.category === category);
+    
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', 'attachment; filename="reconciliation.csv"');
+      return res.status(200).send(toCsv(discrepancies, CSV_COLUMNS, {
+        comments: errors.map(clusterError => `Cluster ${clusterError.cluster} could not be reached, this report is incomplete: ${clusterError.message}`)
+      }));
+    }
+    
+    return res.status(200).json({
+      generatedAt: new Date().toISOString(),
+      summary: summarize(discrepancies),
+      discrepancies,
+      errors
+    });
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    next(error);
+  }
+});
+
+module.exports = router;
\ No newline at end of file
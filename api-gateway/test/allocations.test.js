@@ -0,0 +1,285 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+
+jest.mock('axios');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'allocations-'));
+process.env.ALLOCATIONS_FILE = path.join(dataDir, 'allocations.json');
+process.env.LOG_LEVEL = 'none';
+
+const allocationsRouter = require('../src/routes/allocations');
+
+const app = express();
+app.use(express.json());
+app.use('/api/allocations', allocationsRouter);
+
+const tokenFor = uid => `Bearer ${jwt.sign({ uid }, 'your_jwt_secret_here')}`;
+
+/**
+ * An axios error for a service that answered with an error status
+ * @param {number} status - HTTP status
+ * @param {string} message - Message in the response body
+ * @returns {Error} Axios-like error
+ */
+const responseError = (status, message) => Object.assign(new Error(message), { response: { status, data: { message } } });
+
+/**
+ * An axios error for a call that got no answer
+ * @returns {Error} Axios-like error
+ */
+const timeoutError = () => Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+
+/**
+ * Create an allocation for a user, with both service calls succeeding
+ * @param {string} uid - Owner
+ * @param {string} hostname - Hostname to allocate
+ * @returns {Promise<Object>} The allocation
+ */
+async function allocate(uid, hostname) {
+  axios.post
+    .mockResolvedValueOnce({ data: { id: `reservation-${hostname}`, hostname, owner: uid } })
+    .mockResolvedValueOnce({ data: { id: `address-${hostname}`, subnetId: '7', ip: '10.0.0.2', hostname, owner: uid } });
+
+  const response = await request(app)
+    .post('/api/allocations')
+    .set('Authorization', tokenFor(uid))
+    .send({ hostname, subnetId: '7' });
+
+  expect(response.status).toBe(201);
+  return response.body;
+}
+
+beforeEach(() => {
+  axios.post.mockReset();
+  axios.delete.mockReset();
+});
+
+afterAll(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe('POST /api/allocations', () => {
+  test('rejects tokens that do not verify', async () => {
+    const response = await request(app)
+      .post('/api/allocations')
+      .set('Authorization', 'Bearer anything')
+      .send({ hostname: 'web01', subnetId: '7' });
+
+    expect(response.status).toBe(401);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('reserves the hostname and claims an address for the verified user', async () => {
+    const allocation = await allocate('alice', 'web01');
+
+    expect(allocation).toMatchObject({
+      status: 'allocated',
+      hostname: 'web01',
+      owner: 'alice',
+      reservation: { id: 'reservation-web01' },
+      address: { id: 'address-web01', ip: '10.0.0.2' }
+    });
+    expect(axios.post.mock.calls[1][0]).toMatch(/\/ipam\/claim$/);
+    expect(axios.post.mock.calls[1][2].headers['X-Authenticated-User']).toBe('alice');
+  });
+
+  test('takes the owner from the token, not the body', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'reservation-web02' } })
+      .mockResolvedValueOnce({ data: { id: 'address-web02', ip: '10.0.0.3' } });
+
+    const response = await request(app)
+      .post('/api/allocations')
+      .set('Authorization', tokenFor('alice'))
+      .send({ hostname: 'web02', subnetId: '7', owner: 'mallory' });
+
+    expect(response.body.owner).toBe('alice');
+    expect(axios.post.mock.calls[0][1].owner).toBe('alice');
+  });
+
+  test('fails without rolling back when the hostname cannot be reserved', async () => {
+    axios.post.mockRejectedValueOnce(responseError(409, 'Hostname web01 is already reserved'));
+
+    const response = await request(app)
+      .post('/api/allocations')
+      .set('Authorization', tokenFor('alice'))
+      .send({ hostname: 'web01', subnetId: '7' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.allocation).toMatchObject({
+      status: 'failed',
+      error: 'Hostname reservation failed: Hostname web01 is already reserved'
+    });
+    expect(axios.delete).not.toHaveBeenCalled();
+  });
+
+  test('releases the reservation when the claim is refused', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'reservation-web03' } })
+      .mockRejectedValueOnce(responseError(409, 'Subnet 7 is full'));
+    axios.delete.mockResolvedValueOnce({ data: {} });
+
+    const response = await request(app)
+      .post('/api/allocations')
+      .set('Authorization', tokenFor('alice'))
+      .send({ hostname: 'web03', subnetId: '7' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.allocation).toMatchObject({ status: 'rolled-back', error: 'IP claim failed: Subnet 7 is full' });
+    expect(axios.delete.mock.calls[0][0]).toMatch(/\/proxmox\/reservations\/reservation-web03$/);
+    // A refused claim recorded nothing, so there is no address to release
+    expect(axios.post).toHaveBeenCalledTimes(2);
+  });
+
+  test('also releases the address when the claim gets no answer', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'reservation-web04' } })
+      .mockRejectedValueOnce(timeoutError())
+      .mockResolvedValueOnce({ data: { id: 'address-web04' } });
+    axios.delete.mockResolvedValueOnce({ data: {} });
+
+    const response = await request(app)
+      .post('/api/allocations')
+      .set('Authorization', tokenFor('alice'))
+      .send({ hostname: 'web04', subnetId: '7' });
+
+    expect(response.status).toBe(502);
+    expect(response.body.allocation.status).toBe('rolled-back');
+    expect(axios.post.mock.calls[2][0]).toMatch(/\/ipam\/release$/);
+    expect(axios.post.mock.calls[2][1]).toEqual({ subnetId: '7', hostname: 'web04' });
+    expect(axios.post.mock.calls[2][2].headers['X-Authenticated-User']).toBe('alice');
+    expect(axios.delete).toHaveBeenCalledTimes(1);
+  });
+
+  test('counts an address that was never recorded as rolled back', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'reservation-web05' } })
+      .mockRejectedValueOnce(timeoutError())
+      .mockRejectedValueOnce(responseError(404, 'No address is recorded for web05 in subnet 7'));
+    axios.delete.mockResolvedValueOnce({ data: {} });
+
+    const response = await request(app)
+      .post('/api/allocations')
+      .set('Authorization', tokenFor('alice'))
+      .send({ hostname: 'web05', subnetId: '7' });
+
+    expect(response.body.allocation.status).toBe('rolled-back');
+  });
+
+  test('reports a rollback that could not release the address', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'reservation-web06' } })
+      .mockRejectedValueOnce(timeoutError())
+      .mockRejectedValueOnce(timeoutError());
+    axios.delete.mockResolvedValueOnce({ data: {} });
+
+    const response = await request(app)
+      .post('/api/allocations')
+      .set('Authorization', tokenFor('alice'))
+      .send({ hostname: 'web06', subnetId: '7' });
+
+    expect(response.body.allocation.status).toBe('rollback-failed');
+    expect(axios.delete).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports a rollback that could not release the reservation', async () => {
+    axios.post
+      .mockResolvedValueOnce({ data: { id: 'reservation-web07' } })
+      .mockRejectedValueOnce(responseError(409, 'Subnet 7 is full'));
+    axios.delete.mockRejectedValueOnce(responseError(500, 'Disk full'));
+
+    const response = await request(app)
+      .post('/api/allocations')
+      .set('Authorization', tokenFor('alice'))
+      .send({ hostname: 'web07', subnetId: '7' });
+
+    expect(response.body.allocation.status).toBe('rollback-failed');
+  });
+});
+
+describe('GET /api/allocations', () => {
+  test('lists only the caller\'s allocations', async () => {
+    await allocate('bob', 'db01');
+
+    const response = await request(app)
+      .get('/api/allocations')
+      .set('Authorization', tokenFor('bob'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(allocation => allocation.hostname)).toEqual(['db01']);
+  });
+
+  test('hides other users\' allocations', async () => {
+    const allocation = await allocate('bob', 'db02');
+
+    const own = await request(app).get(`/api/allocations/${allocation.id}`).set('Authorization', tokenFor('bob'));
+    const other = await request(app).get(`/api/allocations/${allocation.id}`).set('Authorization', tokenFor('alice'));
+    const missing = await request(app).get('/api/allocations/nope').set('Authorization', tokenFor('bob'));
+
+    expect(own.status).toBe(200);
+    expect(other.status).toBe(403);
+    expect(missing.status).toBe(404);
+  });
+});
+
+describe('DELETE /api/allocations/:id', () => {
+  test('refuses to release another user\'s allocation', async () => {
+    const allocation = await allocate('bob', 'db03');
+    axios.post.mockReset();
+
+    const response = await request(app)
+      .delete(`/api/allocations/${allocation.id}`)
+      .set('Authorization', tokenFor('alice'));
+
+    expect(response.status).toBe(403);
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(axios.delete).not.toHaveBeenCalled();
+  });
+
+  test('releases the address and the reservation as the owner', async () => {
+    const allocation = await allocate('bob', 'db04');
+    axios.post.mockResolvedValueOnce({ data: { id: 'address-db04' } });
+    axios.delete.mockResolvedValueOnce({ data: {} });
+
+    const response = await request(app)
+      .delete(`/api/allocations/${allocation.id}`)
+      .set('Authorization', tokenFor('bob'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('released');
+    expect(axios.post.mock.calls[2][1]).toEqual({ id: 'address-db04', hostname: 'db04' });
+    expect(axios.post.mock.calls[2][2].headers['X-Authenticated-User']).toBe('bob');
+    expect(axios.delete.mock.calls[0][0]).toMatch(/\/proxmox\/reservations\/reservation-db04$/);
+  });
+
+  test('keeps the allocation when the address cannot be released', async () => {
+    const allocation = await allocate('bob', 'db05');
+    axios.post.mockRejectedValueOnce(responseError(403, 'IP address 10.0.0.2 was claimed by carol'));
+
+    const response = await request(app)
+      .delete(`/api/allocations/${allocation.id}`)
+      .set('Authorization', tokenFor('bob'));
+
+    expect(response.status).toBe(403);
+    expect(response.body.allocation.status).toBe('allocated');
+    expect(axios.delete).not.toHaveBeenCalled();
+  });
+
+  test('only releases allocated allocations', async () => {
+    const allocation = await allocate('bob', 'db06');
+    axios.post.mockResolvedValueOnce({ data: {} });
+    axios.delete.mockResolvedValueOnce({ data: {} });
+    await request(app).delete(`/api/allocations/${allocation.id}`).set('Authorization', tokenFor('bob'));
+
+    const response = await request(app)
+      .delete(`/api/allocations/${allocation.id}`)
+      .set('Authorization', tokenFor('bob'));
+
+    expect(response.status).toBe(409);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,31 @@
+const { toCsv } = require('../src/csv');
+
+describe('toCsv', () => {
+  test('renders a header line and one line per row', () => {
+    const rows = [{ name: 'web01', vmid: 100, extra: 'ignored' }, { name: 'web02', vmid: 101 }];
+
+    expect(toCsv(rows, ['name', 'vmid'])).toBe('name,vmid\nweb01,100\nweb02,101\n');
+  });
+
+  test('quotes cells with commas, quotes and line breaks', () => {
+    const rows = [{ message: 'a, b', note: 'say "hi"', text: 'two\nlines' }];
+
+    expect(toCsv(rows, ['message', 'note', 'text'])).toBe('message,note,text\n"a, b","say ""hi""","two\nlines"\n');
+  });
+
+  test('joins lists with spaces and leaves missing values empty', () => {
+    const rows = [{ ips: ['10.0.0.1', '10.0.0.2'], pool: null }];
+
+    expect(toCsv(rows, ['ips', 'pool', 'owner'])).toBe('ips,pool,owner\n10.0.0.1 10.0.0.2,,\n');
+  });
+
+  test('renders only the header without rows', () => {
+    expect(toCsv([], ['name'])).toBe('name\n');
+  });
+
+  test('writes comment lines before the header', () => {
+    const comments = ['Cluster lab could not be reached:\ntimeout'];
+
+    expect(toCsv([{ name: 'web01' }], ['name'], { comments })).toBe('# Cluster lab could not be reached: timeout\nname\nweb01\n');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,129 @@
+const { buildInventory, groupHosts, toAnsibleIni, toAnsibleYaml } = require('../src/inventoryExport');
+
+const host = (name, extra = {}) => ({
+  cluster: 'default',
+  node: 'pve1',
+  id: 100,
+  type: 'qemu',
+  status: 'running',
+  name,
+  tags: [],
+  ...extra
+});
+
+const hosts = [
+  host('web02', { id: 101, node: 'pve2', tags: ['Web Frontend'], owner: 'alice' }),
+  host('web01', { tags: ['Web Frontend', 'prod'], role: 'web server' }),
+  host('', { id: 102 })
+];
+
+const addresses = [
+  { id: '1', ip: '10.0.0.10', hostname: 'web01.example.com' },
+  { id: '2', ip: '2001:db8::10', hostname: 'web01' }
+];
+
+describe('buildInventory', () => {
+  test('merges IPAM addresses, groups hosts and sorts by name', () => {
+    const entries = buildInventory(hosts, addresses, ['node', 'tag', 'prefix']);
+
+    expect(entries).toEqual([
+      {
+        name: 'web01',
+        ansibleHost: '10.0.0.10',
+        ips: ['10.0.0.10', '2001:db8::10'],
+        cluster: 'default',
+        node: 'pve1',
+        vmid: 100,
+        type: 'qemu',
+        status: 'running',
+        pool: null,
+        owner: null,
+        role: 'web server',
+        tags: ['Web Frontend', 'prod'],
+        groups: ['node_pve1', 'tag_web_frontend', 'tag_prod', 'prefix_web']
+      },
+      expect.objectContaining({
+        name: 'web02',
+        ansibleHost: null,
+        ips: [],
+        owner: 'alice',
+        groups: ['node_pve2', 'tag_web_frontend', 'prefix_web']
+      })
+    ]);
+  });
+
+  test('only adds the groups asked for', () => {
+    expect(buildInventory(hosts, addresses, []).map(entry => entry.groups)).toEqual([[], []]);
+    expect(buildInventory([host('42')], [], ['prefix'])[0].groups).toEqual([]);
+  });
+});
+
+describe('groupHosts', () => {
+  test('lists the hosts of each group, groups sorted by name', () => {
+    const entries = buildInventory(hosts, addresses, ['node', 'tag']);
+
+    expect(groupHosts(entries)).toEqual({
+      node_pve1: ['web01'],
+      node_pve2: ['web02'],
+      tag_prod: ['web01'],
+      tag_web_frontend: ['web01', 'web02']
+    });
+    expect(Object.keys(groupHosts(entries))).toEqual(['node_pve1', 'node_pve2', 'tag_prod', 'tag_web_frontend']);
+  });
+});
+
+describe('toAnsibleIni', () => {
+  test('lists hosts with their variables under [all] and by group', () => {
+    const entries = buildInventory(hosts, addresses, ['node']);
+
+    expect(toAnsibleIni(entries)).toBe([
+      '[all]',
+      'web01 ansible_host=10.0.0.10 proxmox_cluster=default proxmox_node=pve1 proxmox_vmid=100 proxmox_type=qemu ' +
+        'proxmox_status=running proxmox_tags=["Web Frontend","prod"] role="web server"',
+      'web02 proxmox_cluster=default proxmox_node=pve2 proxmox_vmid=101 proxmox_type=qemu ' +
+        'proxmox_status=running proxmox_tags=["Web Frontend"] owner=alice',
+      '',
+      '[node_pve1]',
+      'web01',
+      '',
+      '[node_pve2]',
+      'web02',
+      ''
+    ].join('\n'));
+  });
+
+  test('notes clusters that could not be reached', () => {
+    expect(toAnsibleIni([], [{ cluster: 'lab', message: 'timeout' }]))
+      .toBe('# Incomplete: cluster lab could not be reached: timeout\n[all]\n');
+  });
+});
+
+describe('toAnsibleYaml', () => {
+  test('writes hosts and groups with quoted values', () => {
+    const entries = buildInventory([hosts[1]], addresses, ['node']);
+
+    expect(toAnsibleYaml(entries)).toBe([
+      'all:',
+      '  hosts:',
+      '    "web01":',
+      '      ansible_host: "10.0.0.10"',
+      '      proxmox_cluster: "default"',
+      '      proxmox_node: "pve1"',
+      '      proxmox_vmid: 100',
+      '      proxmox_type: "qemu"',
+      '      proxmox_status: "running"',
+      '      proxmox_tags: ["Web Frontend","prod"]',
+      '      role: "web server"',
+      '  children:',
+      '    node_pve1:',
+      '      hosts:',
+      '        "web01": {}',
+      ''
+    ].join('\n'));
+  });
+
+  test('writes an empty host map without entries', () => {
+    expect(toAnsibleYaml([], [{ cluster: 'lab', message: 'timeout' }]))
+      .toBe('# Incomplete: cluster lab could not be reached: timeout\nall:\n  hosts: {}\n');
+  });
+});
\ No newline at end of file
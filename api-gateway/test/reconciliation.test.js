@@ -0,0 +1,118 @@
+const { CATEGORIES, shortName, reconcile, summarize } = require('../src/reconciliation');
+
+const guest = (name, ips, extra = {}) => ({
+  cluster: 'default',
+  node: 'pve1',
+  id: 100,
+  type: 'qemu',
+  name,
+  ips,
+  ...extra
+});
+
+const address = (id, ip, hostname) => ({ id, subnetId: '7', ip, hostname });
+
+describe('shortName', () => {
+  test('lowercases and drops the domain', () => {
+    expect(shortName(' Web01.Example.com ')).toBe('web01');
+    expect(shortName(null)).toBe('');
+  });
+});
+
+describe('reconcile', () => {
+  test('reports nothing when both sides agree', () => {
+    const hosts = [guest('web01', ['10.0.0.10']), guest('db01', [])];
+    const addresses = [address('1', '10.0.0.10', 'web01.example.com'), address('2', '10.0.0.20', 'db01')];
+
+    expect(reconcile(hosts, addresses)).toEqual([]);
+  });
+
+  test('reports guests without an IPAM record', () => {
+    const discrepancies = reconcile([guest('web01', ['10.0.0.10']), guest('web02', [])], []);
+
+    expect(discrepancies.map(discrepancy => discrepancy.message)).toEqual([
+      'web01 has no IPAM record for its name or for 10.0.0.10',
+      'web02 has no IPAM record'
+    ]);
+    expect(discrepancies[0]).toMatchObject({ category: 'vm-without-ipam', hostname: 'web01', cluster: 'default', vmid: 100 });
+  });
+
+  test('reports IPAM records no guest has', () => {
+    const discrepancies = reconcile([], [address('1', '10.0.0.10', 'old01'), address('2', '10.0.0.11', '')]);
+
+    expect(discrepancies).toEqual([{
+      category: 'ipam-without-vm',
+      hostname: null,
+      ips: [],
+      cluster: null,
+      node: null,
+      vmid: null,
+      ipamHostname: 'old01',
+      ipamIp: '10.0.0.10',
+      addressId: '1',
+      subnetId: '7',
+      unverified: false,
+      message: 'IPAM records 10.0.0.10 for old01, but no guest has that name or address'
+    }]);
+  });
+
+  test('marks IPAM records without a guest unverified while a cluster is unreachable', () => {
+    const discrepancies = reconcile([], [address('1', '10.0.0.10', 'old01')], ['lab']);
+
+    expect(discrepancies).toEqual([expect.objectContaining({
+      category: 'ipam-without-vm',
+      ipamHostname: 'old01',
+      unverified: true,
+      message: 'IPAM records 10.0.0.10 for old01, but no guest on the reachable clusters has that name or address. Cluster(s) lab could not be checked.'
+    })]);
+  });
+
+  test('reports addresses IPAM records for another hostname', () => {
+    const discrepancies = reconcile([guest('web01', ['10.0.0.10'])], [address('1', '10.0.0.10', 'web02')]);
+
+    expect(discrepancies).toHaveLength(1);
+    expect(discrepancies[0]).toMatchObject({
+      category: 'hostname-mismatch',
+      hostname: 'web01',
+      ipamHostname: 'web02',
+      message: 'web01 uses 10.0.0.10, which IPAM records for web02'
+    });
+  });
+
+  test('reports IPs that differ from what the guest reports', () => {
+    const discrepancies = reconcile([guest('web01', ['10.0.0.11'])], [address('1', '10.0.0.10', 'web01')]);
+
+    expect(discrepancies).toEqual([expect.objectContaining({
+      category: 'ip-mismatch',
+      ipamIp: '10.0.0.10',
+      message: 'IPAM records 10.0.0.10 for web01, but the guest reports 10.0.0.11'
+    })]);
+  });
+
+  test('skips templates and sorts by category, then hostname', () => {
+    const hosts = [
+      guest('web02', []),
+      guest('base', [], { type: 'template' }),
+      guest('db01', ['10.0.0.20']),
+      guest('web01', ['10.0.0.10'])
+    ];
+    const addresses = [address('1', '10.0.0.10', 'app01'), address('2', '10.0.0.30', 'zz01')];
+    const discrepancies = reconcile(hosts, addresses);
+
+    expect(discrepancies.map(({ category, hostname, ipamHostname }) => [category, hostname || ipamHostname])).toEqual([
+      ['vm-without-ipam', 'db01'],
+      ['vm-without-ipam', 'web02'],
+      ['ipam-without-vm', 'zz01'],
+      ['hostname-mismatch', 'web01']
+    ]);
+  });
+});
+
+describe('summarize', () => {
+  test('counts every category, including empty ones', () => {
+    const summary = summarize([{ category: 'ip-mismatch' }, { category: 'ip-mismatch' }]);
+
+    expect(Object.keys(summary)).toEqual(CATEGORIES);
+    expect(summary).toEqual({ 'vm-without-ipam': 0, 'ipam-without-vm': 0, 'hostname-mismatch': 0, 'ip-mismatch': 2 });
+  });
+});
\ No newline at end of file
@@ -0,0 +1,54 @@
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+
+jest.mock('axios');
+
+const reportsRouter = require('../src/routes/reports');
+
+const app = express();
+app.use('/api/reports', reportsRouter);
+
+/**
+ * Answer the hosts and addresses requests, with one cluster unreachable
+ */
+function mockUnreachableCluster() {
+  axios.get.mockImplementation(url => Promise.resolve({
+    data: url.endsWith('/proxmox/hosts')
+      ? { hosts: [], errors: [{ cluster: 'lab', message: 'connect ETIMEDOUT' }] }
+      : { addresses: [{ id: '1', subnetId: '7', ip: '10.0.0.10', hostname: 'old01' }] }
+  }));
+}
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('GET /api/reports/reconciliation', () => {
+  test('marks records unverified and lists the unreachable clusters', async () => {
+    mockUnreachableCluster();
+
+    const response = await request(app)
+      .get('/api/reports/reconciliation')
+      .set('Authorization', 'Bearer token');
+
+    expect(response.status).toBe(200);
+    expect(response.body.errors).toEqual([{ cluster: 'lab', message: 'connect ETIMEDOUT' }]);
+    expect(response.body.discrepancies).toEqual([expect.objectContaining({ category: 'ipam-without-vm', unverified: true })]);
+  });
+
+  test('writes the cluster errors at the top of the CSV export', async () => {
+    mockUnreachableCluster();
+
+    const response = await request(app)
+      .get('/api/reports/reconciliation?format=csv')
+      .set('Authorization', 'Bearer token');
+
+    expect(response.status).toBe(200);
+    expect(response.text.split('\n').slice(0, 3)).toEqual([
+      '# Cluster lab could not be reached, this report is incomplete: connect ETIMEDOUT',
+      'category,hostname,ips,cluster,node,vmid,ipamHostname,ipamIp,addressId,subnetId,unverified,message',
+      'ipam-without-vm,,,,,,old01,10.0.0.10,1,7,true,"IPAM records 10.0.0.10 for old01, but no guest on the reachable clusters has that name or address. Cluster(s) lab could not be checked."'
+    ]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,406 @@
+const { parseArgs } = require('util');
+const axios = require('axios');
+const { credentialsPath, loadCredentials, saveCredentials, clearCredentials } = require('./credentials');
+const { prompt, promptHidden, readStdin } = require('./prompt');
+
+// Exit codes scripts can rely on
+const EXIT_CODES = {
+  ok: 0,
+  unavailable: 1,
+  usage: 2,
+  error: 3,
+  unauthorized: 4
+};
+
+const DEFAULT_API_URL = 'http://localhost:8000';
+
+const USAGE_HINT = "Run 'snp --help' for usage.";
+
+const USAGE = `Usage: snp <command> [options]
+
+Commands:
+  login                        Log in and store the token (--username, --password-stdin)
+  logout                       Log out and forget the token
+  whoami                       Show the logged-in user
+  hostname check <name>        Check whether a hostname is available
+  hostname suggest --prefix p  Suggest free hostnames (--count, --mode)
+  ip next --subnet <id>        Get the next free IP address in a subnet (--mode sequential|eui64|random, --mac)
+  ip check <ip> --subnet <id>  Check whether an IP address is free
+  hosts                        List hostnames in use (--search, --type, --node, --status, --tag, --pool, --owner, --role)
+
+Options:
+  --json                       Print machine-readable JSON
+  --api-url <url>              API gateway URL (default: SNP_API_URL, the URL used at login, or ${DEFAULT_API_URL})
+  -h, --help                   Show this help
+
+Exit codes:
+  0  success, or the name or address is available
+  1  the name or address is not available
+  2  invalid usage
+  3  the request failed
+  4  not logged in, or the session expired`;
+
+const OPTIONS = {
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  'api-url': { type: 'string' },
+  username: { type: 'string', short: 'u' },
+  'password-stdin': { type: 'boolean' },
+  prefix: { type: 'string' },
+  count: { type: 'string' },
+  mode: { type: 'string' },
+  subnet: { type: 'string' },
+  mac: { type: 'string' },
+  search: { type: 'string' },
+  type: { type: 'string' },
+  node: { type: 'string' },
+  status: { type: 'string' },
+  tag: { type: 'string' },
+  pool: { type: 'string' },
+  owner: { type: 'string' },
+  role: { type: 'string' }
+};
+
+/**
+ * An error that ends the CLI with a specific exit code
+ */
+class CliError extends Error {
+  /**
+   * @param {string} message - Message for the user
+   * @param {number} [exitCode=EXIT_CODES.error] - One of EXIT_CODES
+   * @param {number} [status] - HTTP status of the gateway response that caused it
+   */
+  constructor(message, exitCode = EXIT_CODES.error, status = null) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = exitCode;
+    this.status = status;
+  }
+}
+
+/**
+ * Create a client for the API gateway that sends the stored token
+ * @param {Object} options - Parsed command-line options
+ * @returns {Object} apiUrl, credentials and request function
+ */
+function createClient(options) {
+  const credentials = loadCredentials();
+  const apiUrl = (options['api-url'] || process.env.SNP_API_URL || credentials?.apiUrl || DEFAULT_API_URL)
+    .replace(/\/+$/, '');
+  const token = process.env.SNP_TOKEN || credentials?.token;
+
+  /**
+   * Call the gateway and return the response body
+   * @param {string} method - HTTP method
+   * @param {string} url - Path below the gateway URL, e.g. /api/proxmox/hosts
+   * @param {Object} [config] - data and params
+   * @returns {Promise<*>} Response body
+   */
+  const request = async (method, url, { data, params, authenticated = true } = {}) => {
+    if (authenticated && !token) {
+      throw new CliError("Not logged in, run 'snp login' first", EXIT_CODES.unauthorized);
+    }
+
+    try {
+      const response = await axios.request({
+        method,
+        url: `${apiUrl}${url}`,
+        data,
+        params,
+        headers: authenticated ? { Authorization: `Bearer ${token}` } : {}
+      });
+      return response.data;
+    } catch (error) {
+      if (!error.response) {
+        throw new CliError(`Cannot reach ${apiUrl}: ${error.message}`);
+      }
+      if (error.response.status === 401) {
+        throw new CliError(authenticated
+          ? "Session expired or invalid, run 'snp login' again"
+          : error.response.data?.message || 'Invalid credentials', EXIT_CODES.unauthorized);
+      }
+      throw new CliError(
+        error.response.data?.message || `Request failed with status ${error.response.status}`,
+        EXIT_CODES.error,
+        error.response.status
+      );
+    }
+  };
+
+  return {
+    apiUrl,
+    credentials,
+    request
+  };
+}
+
+/**
+ * Print a result as JSON or as text
+ * @param {Object} options - Parsed command-line options
+ * @param {*} data - Value printed with --json
+ * @param {Array<string>|string} text - Lines printed otherwise
+ */
+function print(options, data, text) {
+  const output = options.json ? JSON.stringify(data, null, 2) : [].concat(text).join('\n');
+  if (output) {
+    process.stdout.write(`${output}\n`);
+  }
+}
+
+/**
+ * Lay out rows as aligned columns
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<string>>} rows - Cell values
+ * @returns {Array<string>} Lines
+ */
+function formatTable(headers, rows) {
+  const widths = headers.map((header, index) =>
+    Math.max(header.length, ...rows.map(row => String(row[index]).length))
+  );
+  return [headers, ...rows].map(row =>
+    row.map((cell, index) => String(cell).padEnd(widths[index])).join('  ').trimEnd()
+  );
+}
+
+/**
+ * Fail with a usage error when a required value is missing
+ * @param {*} value - Value to check
+ * @param {string} message - What is missing
+ */
+function requireValue(value, message) {
+  if (!value) {
+    throw new CliError(`${message}\n${USAGE_HINT}`, EXIT_CODES.usage);
+  }
+}
+
+/**
+ * Log in with LDAP credentials and store the token
+ */
+async function login({ options, client }) {
+  const username = options.username || process.env.SNP_USERNAME ||
+    (process.stdin.isTTY ? await prompt('Username: ') : '');
+  requireValue(username, 'A username is required, pass --username');
+
+  let password = process.env.SNP_PASSWORD;
+  if (options['password-stdin']) {
+    password = await readStdin();
+  } else if (!password && process.stdin.isTTY) {
+    password = await promptHidden('Password: ');
+  }
+  requireValue(password, 'A password is required, use --password-stdin when not on a terminal');
+
+  const { token, user } = await client.request('POST', '/api/auth/login', {
+    data: { username, password },
+    authenticated: false
+  });
+  saveCredentials({ apiUrl: client.apiUrl, token, user });
+
+  print(options, { apiUrl: client.apiUrl, user }, `Logged in to ${client.apiUrl} as ${user.name || user.uid}`);
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Log out and remove the stored token
+ */
+async function logout({ options, client }) {
+  if (client.credentials) {
+    try {
+      await client.request('POST', '/api/auth/logout');
+    } catch (error) {
+      // The token is forgotten either way
+    }
+  }
+  clearCredentials();
+
+  print(options, { loggedOut: true }, `Removed ${credentialsPath()}`);
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Show the user the stored token belongs to
+ */
+async function whoami({ options, client }) {
+  const { user } = await client.request('GET', '/api/auth/user');
+  print(options, user, `${user.name || user.uid} (${user.uid}${user.email ? `, ${user.email}` : ''})`);
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Check one hostname; unavailable names exit with EXIT_CODES.unavailable
+ */
+async function hostnameCheck({ options, positionals, client }) {
+  const [hostname] = positionals;
+  requireValue(hostname, 'A hostname is required, e.g. snp hostname check web12');
+
+  const result = await client.request('POST', '/api/proxmox/check-hostname', {
+    data: { hostname, prefix: options.prefix }
+  });
+
+  const lines = [result.message || `Hostname '${hostname}' is ${result.available ? 'available' : 'not available'}`];
+  (result.violations || []).forEach(violation => lines.push(`  - ${violation.message}`));
+  if (result.similar && result.similar.length > 0) {
+    lines.push(`Similar names in use: ${result.similar.map(similar => similar.name).join(', ')}`);
+  }
+  if (result.suggestions && result.suggestions.length > 0) {
+    lines.push(`Suggestions: ${result.suggestions.join(', ')}`);
+  }
+  print(options, { hostname, ...result }, lines);
+
+  return result.available ? EXIT_CODES.ok : EXIT_CODES.unavailable;
+}
+
+/**
+ * Suggest free hostnames for a prefix without reserving them
+ */
+async function hostnameSuggest({ options, client }) {
+  requireValue(options.prefix, 'A prefix is required, e.g. snp hostname suggest --prefix web');
+  const count = options.count === undefined ? 1 : Number(options.count);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new CliError('--count must be a positive whole number', EXIT_CODES.usage);
+  }
+
+  let result;
+  try {
+    result = await client.request('POST', '/api/proxmox/allocate-batch', {
+      data: { prefix: options.prefix, count, mode: options.mode, reserve: false }
+    });
+  } catch (error) {
+    // The gateway answers 409 when fewer than count names are free
+    if (error.status === 409) {
+      print(options, { names: [], message: error.message }, error.message);
+      return EXIT_CODES.unavailable;
+    }
+    throw error;
+  }
+
+  print(options, result, result.names);
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Get the next free address in a subnet
+ */
+async function ipNext({ options, client }) {
+  requireValue(options.subnet, 'A subnet ID is required, e.g. snp ip next --subnet 7');
+
+  let result;
+  try {
+    result = await client.request('POST', '/api/ipam/next-available', {
+      data: { subnetId: options.subnet, mode: options.mode, mac: options.mac }
+    });
+  } catch (error) {
+    // The gateway answers 409 when the subnet has no free address left to claim
+    if (error.status === 409) {
+      print(options, { ip: null, message: error.message }, error.message);
+      return EXIT_CODES.unavailable;
+    }
+    throw error;
+  }
+
+  if (!result.ip) {
+    print(options, result, `No free address in subnet ${options.subnet}`);
+    return EXIT_CODES.unavailable;
+  }
+
+  print(options, result, result.ip);
+  return EXIT_CODES.ok;
+}
+
+/**
+ * Check one address; taken addresses exit with EXIT_CODES.unavailable
+ */
+async function ipCheck({ options, positionals, client }) {
+  const [ip] = positionals;
+  requireValue(ip, 'An IP address is required, e.g. snp ip check 10.0.0.12 --subnet 7');
+  requireValue(options.subnet, 'A subnet ID is required, pass --subnet');
+
+  const result = await client.request('POST', '/api/ipam/check-ip', {
+    data: { ip, subnetId: options.subnet }
+  });
+
+  print(options, { ip, ...result }, result.message || `${ip} is ${result.available ? 'available' : 'not available'}`);
+
+  return result.available ? EXIT_CODES.ok : EXIT_CODES.unavailable;
+}
+
+/**
+ * List the hostnames in use
+ */
+async function hosts({ options, client }) {
+  const { search, type, node, status, tag, pool, owner, role } = options;
+  const result = await client.request('GET', '/api/proxmox/hosts', {
+    params: { q: search, type, node, status, tag, pool, owner, role }
+  });
+
+  result.errors.forEach(error => {
+    process.stderr.write(`Warning: cluster ${error.cluster} could not be reached: ${error.message}\n`);
+  });
+
+  print(options, result, formatTable(
+    ['NAME', 'ID', 'TYPE', 'STATUS', 'CLUSTER', 'NODE', 'OWNER'],
+    result.hosts.map(host => [host.name, host.id, host.type, host.status, host.cluster, host.node, host.owner || '-'])
+  ));
+
+  return EXIT_CODES.ok;
+}
+
+const COMMANDS = {
+  login,
+  logout,
+  whoami,
+  'hostname check': hostnameCheck,
+  'hostname suggest': hostnameSuggest,
+  'ip next': ipNext,
+  'ip check': ipCheck,
+  hosts
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv) {
+  let options;
+  let positionals;
+
+  try {
+    ({ values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true }));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n${USAGE_HINT}\n`);
+    return EXIT_CODES.usage;
+  }
+
+  const [first, second, ...rest] = positionals;
+  const name = COMMANDS[`${first} ${second}`] ? `${first} ${second}` : first;
+
+  if (options.help || !name) {
+    process.stdout.write(`${USAGE}\n`);
+    return name || options.help ? EXIT_CODES.ok : EXIT_CODES.usage;
+  }
+
+  if (!COMMANDS[name]) {
+    process.stderr.write(`Unknown command '${positionals.join(' ')}'\n${USAGE_HINT}\n`);
+    return EXIT_CODES.usage;
+  }
+
+  try {
+    return await COMMANDS[name]({
+      options,
+      positionals: name === first ? positionals.slice(1) : rest,
+      client: createClient(options)
+    });
+  } catch (error) {
+    const exitCode = error instanceof CliError ? error.exitCode : EXIT_CODES.error;
+    process.stderr.write(options.json
+      ? `${JSON.stringify({ error: error.message, exitCode })}\n`
+      : `Error: ${error.message}\n`);
+    return exitCode;
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  CliError,
+  run
+};
\ No newline at end of file
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Where the CLI keeps the token from the last login
+ * @returns {string} Path to the credentials file
+ */
+function credentialsPath() {
+  if (process.env.SNP_CREDENTIALS_FILE) {
+    return path.resolve(process.env.SNP_CREDENTIALS_FILE);
+  }
+  const configHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'snp', 'credentials.json');
+}
+
+/**
+ * Read the saved credentials. A file other users can read is still used,
+ * with a warning, since the token in it may already have leaked.
+ * @returns {Object|null} apiUrl, token and user, or null when not logged in
+ */
+function loadCredentials() {
+  const filePath = credentialsPath();
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  if (process.platform !== 'win32' && (fs.statSync(filePath).mode & 0o077) !== 0) {
+    process.stderr.write(`Warning: ${filePath} is readable by other users, run 'chmod 600 ${filePath}'\n`);
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Save credentials readable by the current user only, replacing the file
+ * atomically
+ * @param {Object} credentials - apiUrl, token and user
+ */
+function saveCredentials(credentials) {
+  const filePath = credentialsPath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+  fs.chmodSync(tempPath, 0o600);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Forget the saved credentials
+ */
+function clearCredentials() {
+  fs.rmSync(credentialsPath(), { force: true });
+}
+
+module.exports = {
+  credentialsPath,
+  loadCredentials,
+  saveCredentials,
+  clearCredentials
+};
\ No newline at end of file
@@ -0,0 +1,83 @@
+const readline = require('readline');
+
+/**
+ * Ask a question on the terminal and read the answer
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Answer without the line break
+ */
+function prompt(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close();
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Ask for a secret without echoing what is typed
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} The secret
+ */
+function promptHidden(question) {
+  const { stdin, stderr } = process;
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+
+    const finish = (error) => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      stderr.write('\n');
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n' || char === '\u0004') {
+          finish();
+          return;
+        }
+        if (char === '\u0003') {
+          finish(new Error('Cancelled'));
+          return;
+        }
+        if (char === '\u007f' || char === '\b') {
+          value = value.slice(0, -1);
+        } else {
+          value += char;
+        }
+      }
+    };
+
+    stderr.write(question);
+    stdin.setEncoding('utf8');
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * Read everything piped into the process, e.g. a password from a secret store
+ * @returns {Promise<string>} Input without the trailing line break
+ */
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8').replace(/\r?\n$/, '');
+}
+
+module.exports = {
+  prompt,
+  promptHidden,
+  readStdin
+};
\ No newline at end of file
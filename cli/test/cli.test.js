@@ -0,0 +1,172 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { EXIT_CODES, run } = require('../src/cli');
+
+jest.mock('axios');
+
+let configDir;
+let stdout;
+let stderr;
+
+/**
+ * Make the next gateway call fail with an HTTP error
+ * @param {number} status - HTTP status
+ * @param {string} [message] - Message in the response body
+ */
+function rejectWith(status, message) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: message ? { message } : {} };
+  axios.request.mockRejectedValueOnce(error);
+}
+
+beforeEach(() => {
+  configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snp-'));
+  process.env.SNP_CREDENTIALS_FILE = path.join(configDir, 'credentials.json');
+  process.env.SNP_TOKEN = 'token';
+  delete process.env.SNP_API_URL;
+  axios.request.mockReset();
+  stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+  stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+});
+
+afterEach(() => {
+  stdout.mockRestore();
+  stderr.mockRestore();
+  fs.rmSync(configDir, { recursive: true, force: true });
+});
+
+describe('usage', () => {
+  test('exits with 2 without a command and 0 for --help', async () => {
+    expect(await run([])).toBe(EXIT_CODES.usage);
+    expect(await run(['--help'])).toBe(EXIT_CODES.ok);
+  });
+
+  test('exits with 2 for unknown commands and options', async () => {
+    expect(await run(['frobnicate'])).toBe(EXIT_CODES.usage);
+    expect(stderr).toHaveBeenCalledWith(expect.stringContaining("Unknown command 'frobnicate'"));
+    expect(await run(['hosts', '--nope'])).toBe(EXIT_CODES.usage);
+  });
+
+  test('exits with 2 when a required value is missing', async () => {
+    expect(await run(['hostname', 'check'])).toBe(EXIT_CODES.usage);
+    expect(await run(['hostname', 'suggest', '--prefix', 'web', '--count', '0'])).toBe(EXIT_CODES.usage);
+    expect(await run(['ip', 'check', '10.0.0.12'])).toBe(EXIT_CODES.usage);
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+});
+
+describe('authentication', () => {
+  test('exits with 4 when not logged in', async () => {
+    delete process.env.SNP_TOKEN;
+
+    expect(await run(['hosts'])).toBe(EXIT_CODES.unauthorized);
+    expect(stderr).toHaveBeenCalledWith("Error: Not logged in, run 'snp login' first\n");
+    expect(axios.request).not.toHaveBeenCalled();
+  });
+
+  test('exits with 4 when the gateway rejects the token', async () => {
+    rejectWith(401, 'Invalid or expired token');
+
+    expect(await run(['whoami'])).toBe(EXIT_CODES.unauthorized);
+    expect(stderr).toHaveBeenCalledWith("Error: Session expired or invalid, run 'snp login' again\n");
+  });
+
+  test('sends the token to the gateway', async () => {
+    axios.request.mockResolvedValueOnce({ data: { user: { uid: 'alice' } } });
+
+    expect(await run(['whoami', '--api-url', 'http://gateway:8000/'])).toBe(EXIT_CODES.ok);
+    expect(axios.request).toHaveBeenCalledWith(expect.objectContaining({
+      method: 'GET',
+      url: 'http://gateway:8000/api/auth/user',
+      headers: { Authorization: 'Bearer token' }
+    }));
+  });
+});
+
+describe('hostname commands', () => {
+  test('exit with 0 for an available name and 1 for a taken one', async () => {
+    axios.request.mockResolvedValueOnce({ data: { available: true } });
+    expect(await run(['hostname', 'check', 'web12'])).toBe(EXIT_CODES.ok);
+
+    axios.request.mockResolvedValueOnce({ data: { available: false, message: 'Hostname web01 is already in use' } });
+    expect(await run(['hostname', 'check', 'web01'])).toBe(EXIT_CODES.unavailable);
+    expect(stdout).toHaveBeenCalledWith('Hostname web01 is already in use\n');
+  });
+
+  test('suggest exits with 0 and prints the names', async () => {
+    axios.request.mockResolvedValueOnce({ data: { names: ['web12', 'web13'] } });
+
+    expect(await run(['hostname', 'suggest', '--prefix', 'web', '--count', '2'])).toBe(EXIT_CODES.ok);
+    expect(axios.request).toHaveBeenCalledWith(expect.objectContaining({
+      data: { prefix: 'web', count: 2, mode: undefined, reserve: false }
+    }));
+    expect(stdout).toHaveBeenCalledWith('web12\nweb13\n');
+  });
+
+  test('suggest exits with 1 when too few names are free', async () => {
+    rejectWith(409, 'Only 1 of 2 hostnames are free');
+
+    expect(await run(['hostname', 'suggest', '--prefix', 'web', '--count', '2', '--json'])).toBe(EXIT_CODES.unavailable);
+    expect(JSON.parse(stdout.mock.calls[0][0])).toEqual({ names: [], message: 'Only 1 of 2 hostnames are free' });
+  });
+
+  test('suggest exits with 3 for other failures', async () => {
+    rejectWith(500, 'ProxMox is unreachable');
+
+    expect(await run(['hostname', 'suggest', '--prefix', 'web'])).toBe(EXIT_CODES.error);
+    expect(stderr).toHaveBeenCalledWith('Error: ProxMox is unreachable\n');
+  });
+});
+
+describe('ip commands', () => {
+  test('check exits with 0 for a free address and 1 for a taken one', async () => {
+    axios.request.mockResolvedValueOnce({ data: { available: true, reason: 'available' } });
+    expect(await run(['ip', 'check', '10.0.0.12', '--subnet', '7'])).toBe(EXIT_CODES.ok);
+
+    axios.request.mockResolvedValueOnce({ data: { available: false, reason: 'in-use' } });
+    expect(await run(['ip', 'check', '10.0.0.2', '--subnet', '7'])).toBe(EXIT_CODES.unavailable);
+  });
+
+  test('next exits with 1 when the subnet is full', async () => {
+    axios.request.mockResolvedValueOnce({ data: { ip: '10.0.0.12' } });
+    expect(await run(['ip', 'next', '--subnet', '7'])).toBe(EXIT_CODES.ok);
+
+    axios.request.mockResolvedValueOnce({ data: { ip: null } });
+    expect(await run(['ip', 'next', '--subnet', '7'])).toBe(EXIT_CODES.unavailable);
+  });
+
+  test('next exits with 1 when the gateway answers 409', async () => {
+    rejectWith(409, 'No free IP addresses in subnet 7');
+
+    expect(await run(['ip', 'next', '--subnet', '7', '--json'])).toBe(EXIT_CODES.unavailable);
+    expect(JSON.parse(stdout.mock.calls[0][0])).toEqual({ ip: null, message: 'No free IP addresses in subnet 7' });
+  });
+
+  test('next exits with 3 for other failures', async () => {
+    rejectWith(500, 'phpIPAM is unreachable');
+
+    expect(await run(['ip', 'next', '--subnet', '7'])).toBe(EXIT_CODES.error);
+    expect(stderr).toHaveBeenCalledWith('Error: phpIPAM is unreachable\n');
+  });
+});
+
+describe('failures', () => {
+  test('exit with 3 when the gateway cannot be reached', async () => {
+    axios.request.mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+    expect(await run(['hosts', '--json'])).toBe(EXIT_CODES.error);
+    expect(JSON.parse(stderr.mock.calls[0][0])).toEqual({
+      error: 'Cannot reach http://localhost:8000: connect ECONNREFUSED',
+      exitCode: EXIT_CODES.error
+    });
+  });
+
+  test('exit with 3 for error responses', async () => {
+    rejectWith(502);
+
+    expect(await run(['hosts'])).toBe(EXIT_CODES.error);
+    expect(stderr).toHaveBeenCalledWith('Error: Request failed with status 502\n');
+  });
+});
\ No newline at end of file
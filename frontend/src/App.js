@@ -5,6 +5,8 @@ import Dashboard from './components/Dashboard';
 import Navbar from './components/Navbar';
 import HostnamePicker from './components/HostnamePicker';
 import IpPicker from './components/IpPicker';
+import ReconciliationReport from './components/ReconciliationReport';
+import SubnetDetail from './components/SubnetDetail';
 import NotFound from './components/NotFound';
 
 function App() {
@@ -83,12 +85,20 @@ function App() {
             />
             <Route 
               path="/hostname-picker" 
-              element={isAuthenticated ? <HostnamePicker /> : <Navigate to="/login" />} 
+              element={isAuthenticated ? <HostnamePicker user={user} /> : <Navigate to="/login" />} 
             />
             <Route 
               path="/ip-picker" 
               element={isAuthenticated ? <IpPicker /> : <Navigate to="/login" />} 
             />
+            <Route 
+              path="/ip-picker/subnets/:id" 
+              element={isAuthenticated ? <SubnetDetail /> : <Navigate to="/login" />} 
+            />
+            <Route 
+              path="/reports/reconciliation" 
+              element={isAuthenticated ? <ReconciliationReport /> : <Navigate to="/login" />} 
+            />
             <Route path="*" element={<NotFound />} />
           </Routes>
         </div>
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Pager from './Pager';
+
+const PAGE_SIZE = 50;
+
+const SORTABLE_COLUMNS = {
+  ip: 'IP Address',
+  hostname: 'Hostname',
+  description: 'Description'
+};
+
+function AddressList({ subnetId }) {
+  const [addresses, setAddresses] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState({ subnetId, search: '', sort: 'ip', order: 'asc' });
+  const [cursor, setCursor] = useState(null);
+  const [previousCursors, setPreviousCursors] = useState([]);
+
+  // Apply the search once the user pauses typing, starting again from the first page
+  useEffect(() => {
+    const timer = setTimeout(() => updateQuery({ search: search.trim() }), 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  useEffect(() => {
+    updateQuery({ subnetId });
+  }, [subnetId]);
+
+  const fetchAddresses = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const params = new URLSearchParams({ subnetId: query.subnetId, limit: PAGE_SIZE, sort: query.sort, order: query.order });
+      if (query.search) {
+        params.set('q', query.search);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/ipam/addresses?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch addresses');
+      }
+
+      setAddresses(data.addresses);
+      setTotal(data.total);
+      setNextCursor(data.nextCursor);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching addresses:', error);
+      setError(`Failed to load addresses: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [query, cursor]);
+
+  useEffect(() => {
+    fetchAddresses();
+  }, [fetchAddresses]);
+
+  const updateQuery = (changes) => {
+    setQuery(current => (
+      Object.keys(changes).every(key => current[key] === changes[key]) ? current : { ...current, ...changes }
+    ));
+    setCursor(null);
+    setPreviousCursors([]);
+  };
+
+  const sortBy = (field) => {
+    updateQuery({
+      sort: field,
+      order: query.sort === field && query.order === 'asc' ? 'desc' : 'asc'
+    });
+  };
+
+  const showNextPage = () => {
+    setPreviousCursors([...previousCursors, cursor]);
+    setCursor(nextCursor);
+  };
+
+  const showPreviousPage = () => {
+    setCursor(previousCursors[previousCursors.length - 1]);
+    setPreviousCursors(previousCursors.slice(0, -1));
+  };
+
+  return (
+    <div className="address-list">
+      <div className="form-group">
+        <label htmlFor="addressSearch">Search IP, hostname or description</label>
+        <input
+          type="text"
+          id="addressSearch"
+          className="form-control"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="e.g., 10.0.0.1 or web"
+        />
+      </div>
+      {error && <div className="alert alert-danger">{error}</div>}
+      {loading && addresses.length === 0 ? (
+        <p>Loading addresses...</p>
+      ) : addresses.length > 0 ? (
+        <>
+          <div className="table-responsive">
+            <table className="table">
+              <thead>
+                <tr>
+                  {Object.entries(SORTABLE_COLUMNS).map(([field, label]) => (
+                    <th key={field} className="sortable" onClick={() => sortBy(field)}>
+                      {label}
+                      {query.sort === field && (query.order === 'asc' ? ' ▲' : ' ▼')}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {addresses.map((address) => (
+                  <tr key={address.id}>
+                    <td>{address.ip}</td>
+                    <td>{address.hostname || '-'}</td>
+                    <td>{address.description || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <Pager
+            offset={previousCursors.length * PAGE_SIZE}
+            count={addresses.length}
+            total={total}
+            hasPrevious={previousCursors.length > 0}
+            hasNext={Boolean(nextCursor)}
+            onPrevious={showPreviousPage}
+            onNext={showNextPage}
+            disabled={loading}
+          />
+        </>
+      ) : (
+        <p>No addresses in use match.</p>
+      )}
+    </div>
+  );
+}
+
+export default AddressList;
\ No newline at end of file
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+
+function BatchAllocator({ policy, segmentValues, mode, onAllocated }) {
+  const [count, setCount] = useState(1);
+  const [names, setNames] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const allocateBatch = async () => {
+    setLoading(true);
+    setError('');
+    setNames([]);
+    setCopied(false);
+
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/proxmox/allocate-batch`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          policy: policy.name,
+          segments: segmentValues,
+          count: parseInt(count, 10),
+          mode
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to allocate hostnames');
+      }
+
+      setNames(data.names);
+      onAllocated();
+    } catch (error) {
+      console.error('Error allocating hostnames:', error);
+      setError(`Failed to allocate hostnames: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyNames = async () => {
+    try {
+      await navigator.clipboard.writeText(names.join('\n'));
+      setCopied(true);
+    } catch (error) {
+      console.error('Error copying hostnames:', error);
+      setError('Failed to copy hostnames to the clipboard.');
+    }
+  };
+
+  const downloadNames = () => {
+    const blob = new Blob([`${names.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `hostnames-${policy.name}.txt`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="batch-allocator mt-3">
+      <h3>Allocate Several Names</h3>
+      <div className="form-group">
+        <label htmlFor="batchCount">How many?</label>
+        <input
+          type="number"
+          id="batchCount"
+          className="form-control"
+          min="1"
+          max="100"
+          value={count}
+          onChange={(e) => setCount(e.target.value)}
+          disabled={loading}
+        />
+        <small className="form-text text-muted">
+          All names are checked and reserved together, or none are.
+        </small>
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <button
+        className="btn btn-primary"
+        onClick={allocateBatch}
+        disabled={loading || !count}
+      >
+        {loading ? 'Allocating...' : `Allocate ${count || ''} Names`}
+      </button>
+
+      {names.length > 0 && (
+        <div className="mt-3">
+          <ul className="batch-list">
+            {names.map((name) => (
+              <li key={name}><code>{name}</code></li>
+            ))}
+          </ul>
+          <button className="btn btn-secondary btn-sm" onClick={copyNames}>
+            {copied ? 'Copied' : 'Copy'}
+          </button>{' '}
+          <button className="btn btn-secondary btn-sm" onClick={downloadNames}>
+            Download
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BatchAllocator;
\ No newline at end of file
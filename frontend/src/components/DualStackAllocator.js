@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+
+function DualStackAllocator({ subnets }) {
+  const [ipv4SubnetId, setIpv4SubnetId] = useState('');
+  const [ipv6SubnetId, setIpv6SubnetId] = useState('');
+  const [hostname, setHostname] = useState('');
+  const [mode, setMode] = useState('sequential');
+  const [macAddress, setMacAddress] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const ipv4Subnets = subnets.filter(subnet => subnet.version === 4);
+  const ipv6Subnets = subnets.filter(subnet => subnet.version === 6);
+
+  const allocate = async () => {
+    if (!ipv4SubnetId || !ipv6SubnetId || !hostname.trim()) {
+      setError('Please select both subnets and enter a hostname');
+      return;
+    }
+
+    if (mode === 'eui64' && !macAddress.trim()) {
+      setError('Please enter a MAC address');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setResult(null);
+
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/ipam/dual-stack`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          ipv4SubnetId,
+          ipv6SubnetId,
+          hostname: hostname.trim(),
+          mode,
+          mac: mode === 'eui64' ? macAddress.trim() : undefined
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to allocate addresses');
+      }
+
+      setResult(data);
+    } catch (error) {
+      console.error('Error allocating dual-stack addresses:', error);
+      setError(`Failed to allocate addresses: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="card mt-4">
+      <h3>Dual-Stack Allocation</h3>
+      <p>Claim one IPv4 and one IPv6 address for the same host in IPAM.</p>
+
+      <div className="form-group">
+        <label htmlFor="dualStackHostname">Hostname</label>
+        <input
+          type="text"
+          id="dualStackHostname"
+          className="form-control"
+          value={hostname}
+          onChange={(e) => setHostname(e.target.value)}
+          placeholder="e.g., web01"
+          disabled={loading}
+        />
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="ipv4Subnet">IPv4 Subnet</label>
+        <select
+          id="ipv4Subnet"
+          className="form-control"
+          value={ipv4SubnetId}
+          onChange={(e) => setIpv4SubnetId(e.target.value)}
+          disabled={loading}
+        >
+          <option value="">-- Select an IPv4 subnet --</option>
+          {ipv4Subnets.map((subnet) => (
+            <option key={subnet.id} value={subnet.id}>{subnet.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="ipv6Subnet">IPv6 Subnet</label>
+        <select
+          id="ipv6Subnet"
+          className="form-control"
+          value={ipv6SubnetId}
+          onChange={(e) => setIpv6SubnetId(e.target.value)}
+          disabled={loading}
+        >
+          <option value="">-- Select an IPv6 subnet --</option>
+          {ipv6Subnets.map((subnet) => (
+            <option key={subnet.id} value={subnet.id}>{subnet.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="dualStackMode">IPv6 Address Selection</label>
+        <select
+          id="dualStackMode"
+          className="form-control"
+          value={mode}
+          onChange={(e) => setMode(e.target.value)}
+          disabled={loading}
+        >
+          <option value="sequential">Sequential</option>
+          <option value="eui64">EUI-64 from a MAC address</option>
+          <option value="random">Random within the /64</option>
+        </select>
+      </div>
+
+      {mode === 'eui64' && (
+        <div className="form-group">
+          <label htmlFor="dualStackMac">MAC Address</label>
+          <input
+            type="text"
+            id="dualStackMac"
+            className="form-control"
+            value={macAddress}
+            onChange={(e) => setMacAddress(e.target.value)}
+            placeholder="e.g., 52:54:00:12:34:56"
+            disabled={loading}
+          />
+        </div>
+      )}
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      <button
+        className="btn btn-primary"
+        onClick={allocate}
+        disabled={loading || ipv4Subnets.length === 0 || ipv6Subnets.length === 0}
+      >
+        {loading ? 'Allocating...' : 'Allocate IPv4 and IPv6'}
+      </button>
+
+      {result && (
+        <div className="alert alert-success mt-3">
+          <strong>{result.hostname}</strong>
+          <div>IPv4: {result.ipv4.ip}</div>
+          <div>IPv6: {result.ipv6.ip}</div>
+          <div>Owner: {result.ipv4.owner}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DualStackAllocator;
\ No newline at end of file
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import InventoryExport from './InventoryExport';
+import Pager from './Pager';
+
+const PAGE_SIZE = 50;
+
+const SORTABLE_COLUMNS = {
+  id: 'ID',
+  name: 'Hostname',
+  type: 'Type',
+  cluster: 'Cluster',
+  node: 'Node',
+  status: 'Status',
+  owner: 'Owner',
+  role: 'Role',
+  pool: 'Pool'
+};
+
+function HostList() {
+  const [hosts, setHosts] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [clusterErrors, setClusterErrors] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [search, setSearch] = useState('');
+  const [matchMode, setMatchMode] = useState('contains');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [query, setQuery] = useState({ search: '', match: 'contains', type: '', sort: 'name', order: 'asc' });
+  const [cursor, setCursor] = useState(null);
+  const [previousCursors, setPreviousCursors] = useState([]);
+
+  // Apply the search once the user pauses typing, starting again from the first page
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      updateQuery({ search: search.trim(), match: matchMode, type: typeFilter });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search, matchMode, typeFilter]);
+
+  const fetchHosts = useCallback(async () => {
+    setLoading(true);
+
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const params = new URLSearchParams({ limit: PAGE_SIZE, sort: query.sort, order: query.order });
+      if (query.search) {
+        params.set('q', query.search);
+        if (query.match !== 'contains') {
+          params.set('match', query.match);
+        }
+      }
+      if (query.type) {
+        params.set('type', query.type);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/proxmox/hosts?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch hosts');
+      }
+
+      setHosts(data.hosts);
+      setTotal(data.total);
+      setNextCursor(data.nextCursor);
+      setClusterErrors(data.errors || []);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching hosts:', error);
+      setError(`Failed to load existing hosts: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [query, cursor]);
+
+  useEffect(() => {
+    fetchHosts();
+  }, [fetchHosts]);
+
+  const updateQuery = (changes) => {
+    setQuery(current => (
+      Object.keys(changes).every(key => current[key] === changes[key]) ? current : { ...current, ...changes }
+    ));
+    setCursor(null);
+    setPreviousCursors([]);
+  };
+
+  const sortBy = (field) => {
+    updateQuery({
+      sort: field,
+      order: query.sort === field && query.order === 'asc' ? 'desc' : 'asc'
+    });
+  };
+
+  const showNextPage = () => {
+    setPreviousCursors([...previousCursors, cursor]);
+    setCursor(nextCursor);
+  };
+
+  const showPreviousPage = () => {
+    setCursor(previousCursors[previousCursors.length - 1]);
+    setPreviousCursors(previousCursors.slice(0, -1));
+  };
+
+  return (
+    <div className="card mt-4">
+      <h3>Existing Hostnames</h3>
+      <div className="form-group">
+        <label htmlFor="typeFilter">Type</label>
+        <select
+          id="typeFilter"
+          className="form-control"
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+        >
+          <option value="">All types</option>
+          <option value="vm">VMs</option>
+          <option value="container">Containers</option>
+          <option value="template">Templates</option>
+        </select>
+      </div>
+      <div className="form-group">
+        <label htmlFor="hostSearch">Search hostname, owner, role, pool or tag</label>
+        <input
+          type="text"
+          id="hostSearch"
+          className="form-control"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="e.g., web or alice"
+        />
+      </div>
+      <div className="form-group">
+        <label htmlFor="hostSearchMatch">Match</label>
+        <select
+          id="hostSearchMatch"
+          className="form-control"
+          value={matchMode}
+          onChange={(e) => setMatchMode(e.target.value)}
+        >
+          <option value="contains">Contains the search</option>
+          <option value="prefix">Starts with the search</option>
+          <option value="exact">Exactly the search</option>
+          <option value="regex">Regular expression</option>
+        </select>
+      </div>
+      <InventoryExport type={typeFilter} />
+      {error && <div className="alert alert-danger">{error}</div>}
+      {clusterErrors.length > 0 && (
+        <div className="alert alert-danger">
+          Some clusters could not be reached, so this list is incomplete:
+          <ul>
+            {clusterErrors.map((clusterError) => (
+              <li key={clusterError.cluster}>
+                <strong>{clusterError.cluster}</strong>: {clusterError.message}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {loading && hosts.length === 0 ? (
+        <p>Loading hosts...</p>
+      ) : hosts.length > 0 ? (
+        <>
+          <div className="table-responsive">
+            <table className="table">
+              <thead>
+                <tr>
+                  {Object.entries(SORTABLE_COLUMNS).map(([field, label]) => (
+                    <th key={field} className="sortable" onClick={() => sortBy(field)}>
+                      {label}
+                      {query.sort === field && (query.order === 'asc' ? ' ▲' : ' ▼')}
+                    </th>
+                  ))}
+                  <th>Tags</th>
+                </tr>
+              </thead>
+              <tbody>
+                {hosts.map((host) => (
+                  <tr key={`${host.cluster}/${host.id}`}>
+                    <td>{host.id}</td>
+                    <td>{host.name}</td>
+                    <td>{host.pending ? `${host.type} (pending)` : host.type}</td>
+                    <td>{host.cluster}</td>
+                    <td>{host.node}</td>
+                    <td>
+                      <span className={`status-badge status-${host.status}`}>
+                        {host.status}
+                      </span>
+                    </td>
+                    <td>{host.owner || '-'}</td>
+                    <td>{host.role || '-'}</td>
+                    <td>{host.pool || '-'}</td>
+                    <td>{host.tags && host.tags.length > 0 ? host.tags.join(', ') : '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <Pager
+            offset={previousCursors.length * PAGE_SIZE}
+            count={hosts.length}
+            total={total}
+            hasPrevious={previousCursors.length > 0}
+            hasNext={Boolean(nextCursor)}
+            onPrevious={showPreviousPage}
+            onNext={showNextPage}
+            disabled={loading}
+          />
+        </>
+      ) : (
+        <p>No hosts found.</p>
+      )}
+    </div>
+  );
+}
+
+export default HostList;
\ No newline at end of file
@@ -1,48 +1,129 @@
 import React, { useState, useEffect } from 'react';
+import ReservationList from './ReservationList';
+import BatchAllocator from './BatchAllocator';
+import PlacementRecommendation from './PlacementRecommendation';
+import HostList from './HostList';
 
-function HostnamePicker() {
+function HostnamePicker({ user }) {
   const [hostname, setHostname] = useState('');
-  const [prefix, setPrefix] = useState('');
+  const [policies, setPolicies] = useState([]);
+  const [selectedPolicy, setSelectedPolicy] = useState('');
+  const [segmentValues, setSegmentValues] = useState({});
+  const [mode, setMode] = useState('append');
+  const [blockSimilar, setBlockSimilar] = useState(false);
+  const [violations, setViolations] = useState([]);
   const [result, setResult] = useState(null);
   const [suggestions, setSuggestions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [existingHosts, setExistingHosts] = useState([]);
-  const [loadingHosts, setLoadingHosts] = useState(true);
+  const [collidingHost, setCollidingHost] = useState(null);
+  const [ticket, setTicket] = useState('');
+  const [reservation, setReservation] = useState(null);
+  const [reserving, setReserving] = useState(false);
+  const [reservationsVersion, setReservationsVersion] = useState(0);
 
-  // Fetch existing hosts when component mounts
+  // Fetch naming policies when component mounts
   useEffect(() => {
-    fetchExistingHosts();
+    fetchPolicies();
   }, []);
 
-  const fetchExistingHosts = async () => {
+  // Validate the hostname as the user types, once they pause
+  useEffect(() => {
+    if (!hostname.trim()) {
+      setViolations([]);
+      return undefined;
+    }
+
+    const timer = setTimeout(() => validateHostname(hostname.trim()), 400);
+    return () => clearTimeout(timer);
+  }, [hostname]);
+
+  const validateHostname = async (value) => {
     try {
       const token = localStorage.getItem('token');
       if (!token) {
-        setError('Authentication token not found');
         return;
       }
 
-      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/proxmox/hosts`, {
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/proxmox/validate-hostname`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ hostname: value })
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to validate hostname');
+      }
+
+      const data = await response.json();
+      setViolations(data.violations);
+    } catch (error) {
+      console.error('Error validating hostname:', error);
+    }
+  };
+
+  const fetchPolicies = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        return;
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/proxmox/naming-policies`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
       });
 
       if (!response.ok) {
-        throw new Error('Failed to fetch hosts');
+        throw new Error('Failed to fetch naming policies');
       }
 
       const data = await response.json();
-      setExistingHosts(data);
+      setPolicies(data);
     } catch (error) {
-      console.error('Error fetching hosts:', error);
-      setError('Failed to load existing hosts. Please try refreshing the page.');
-    } finally {
-      setLoadingHosts(false);
+      console.error('Error fetching naming policies:', error);
+    }
+  };
+
+  // Look up the existing host behind a collision, with its owner from the notes
+  const fetchCollidingHost = async (name) => {
+    try {
+      const token = localStorage.getItem('token');
+      const params = new URLSearchParams({ q: name, match: 'exact', limit: 10 });
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/proxmox/hosts?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch the colliding host');
+      }
+
+      const data = await response.json();
+      setCollidingHost(data.hosts.find(host => host.name.toLowerCase() === name.toLowerCase()) || null);
+    } catch (error) {
+      console.error('Error fetching colliding host:', error);
     }
   };
 
+  const currentPolicy = policies.find(p => p.name === selectedPolicy);
+
+  const handlePolicyChange = (e) => {
+    setSelectedPolicy(e.target.value);
+    setSegmentValues({});
+    setSuggestions([]);
+  };
+
+  const handleSegmentChange = (name, value) => {
+    setSegmentValues({ ...segmentValues, [name]: value });
+  };
+
   const checkHostname = async () => {
     if (!hostname.trim()) {
       setError('Please enter a hostname');
@@ -52,7 +133,9 @@ function HostnamePicker() {
     setLoading(true);
     setError('');
     setResult(null);
+    setCollidingHost(null);
     setSuggestions([]);
+    setReservation(null);
 
     try {
       const token = localStorage.getItem('token');
@@ -69,27 +152,73 @@ function HostnamePicker() {
         },
         body: JSON.stringify({
           hostname: hostname.trim(),
-          prefix: prefix.trim()
+          policy: currentPolicy ? currentPolicy.name : undefined,
+          segments: currentPolicy ? segmentValues : undefined,
+          mode,
+          blockSimilar
         })
       });
 
+      const data = await response.json();
+
       if (!response.ok) {
-        throw new Error('Failed to check hostname');
+        throw new Error(data.message || 'Failed to check hostname');
       }
 
-      const data = await response.json();
       setResult(data);
+      if (data.collision) {
+        fetchCollidingHost(data.collision.name);
+      }
       if (data.suggestions) {
         setSuggestions(data.suggestions);
       }
     } catch (error) {
       console.error('Error checking hostname:', error);
-      setError('Failed to check hostname availability. Please try again.');
+      setError(`Failed to check hostname availability: ${error.message}`);
     } finally {
       setLoading(false);
     }
   };
 
+  const reserveHostname = async () => {
+    setReserving(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/proxmox/reservations`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          hostname: hostname.trim(),
+          ticket: ticket.trim() || undefined
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to reserve hostname');
+      }
+
+      setReservation(data);
+      setReservationsVersion(reservationsVersion + 1);
+    } catch (error) {
+      console.error('Error reserving hostname:', error);
+      setError(`Failed to reserve hostname: ${error.message}`);
+    } finally {
+      setReserving(false);
+    }
+  };
+
   const selectSuggestion = (suggestion) => {
     setHostname(suggestion);
     // Check the selected suggestion immediately
@@ -115,24 +244,99 @@ function HostnamePicker() {
               placeholder="Enter desired hostname"
               disabled={loading}
             />
+            {violations.length > 0 && (
+              <ul className="violation-list">
+                {violations.map((violation, index) => (
+                  <li key={index}>
+                    <code>{violation.code}</code> {violation.message}
+                  </li>
+                ))}
+              </ul>
+            )}
           </div>
 
           <div className="form-group">
-            <label htmlFor="prefix">Prefix (optional)</label>
-            <input
-              type="text"
-              id="prefix"
+            <label htmlFor="policy">Naming Policy (optional)</label>
+            <select
+              id="policy"
               className="form-control"
-              value={prefix}
-              onChange={(e) => setPrefix(e.target.value)}
-              placeholder="e.g., 'web' for web servers"
+              value={selectedPolicy}
+              onChange={handlePolicyChange}
               disabled={loading}
-            />
+            >
+              <option value="">-- No policy --</option>
+              {policies.map((policy) => (
+                <option key={policy.name} value={policy.name}>
+                  {policy.name} ({policy.template})
+                </option>
+              ))}
+            </select>
             <small className="form-text text-muted">
-              Providing a prefix will generate suggestions if your hostname is unavailable
+              {currentPolicy
+                ? currentPolicy.description
+                : 'Selecting a policy will generate suggestions that follow its naming convention'}
             </small>
           </div>
 
+          {currentPolicy && currentPolicy.segments.map((segment) => (
+            <div className="form-group" key={segment.name}>
+              <label htmlFor={`segment-${segment.name}`}>{segment.label}</label>
+              {segment.values ? (
+                <select
+                  id={`segment-${segment.name}`}
+                  className="form-control"
+                  value={segmentValues[segment.name] || ''}
+                  onChange={(e) => handleSegmentChange(segment.name, e.target.value)}
+                  disabled={loading}
+                >
+                  <option value="">-- Select {segment.label.toLowerCase()} --</option>
+                  {segment.values.map((value) => (
+                    <option key={value} value={value}>{value}</option>
+                  ))}
+                </select>
+              ) : (
+                <input
+                  type="text"
+                  id={`segment-${segment.name}`}
+                  className="form-control"
+                  value={segmentValues[segment.name] || ''}
+                  onChange={(e) => handleSegmentChange(segment.name, e.target.value)}
+                  disabled={loading}
+                />
+              )}
+            </div>
+          ))}
+
+          <div className="form-group">
+            <label htmlFor="mode">Numbering</label>
+            <select
+              id="mode"
+              className="form-control"
+              value={mode}
+              onChange={(e) => setMode(e.target.value)}
+              disabled={loading}
+            >
+              <option value="append">Continue after the highest number</option>
+              <option value="gap">Fill the lowest free number</option>
+            </select>
+          </div>
+
+          <div className="form-group">
+            <div className="form-check">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                id="blockSimilar"
+                checked={blockSimilar}
+                onChange={() => setBlockSimilar(!blockSimilar)}
+                disabled={loading}
+              />
+              <label className="form-check-label" htmlFor="blockSimilar">
+                Treat similar names (e.g. web-01 vs web01) as taken
+              </label>
+            </div>
+          </div>
+
           {error && <div className="alert alert-danger">{error}</div>}
 
           <button
@@ -147,7 +351,70 @@ function HostnamePicker() {
             <div className={`alert ${result.available ? 'alert-success' : 'alert-danger'} mt-3`}>
               {result.available ? 
                 `Hostname '${hostname}' is available!` : 
-                `Hostname '${hostname}' is already in use.`}
+                result.message || `Hostname '${hostname}' is already in use.`}
+              {collidingHost && collidingHost.owner && (
+                <div>
+                  Owner: {collidingHost.owner}
+                  {collidingHost.role && `, role: ${collidingHost.role}`}
+                  {collidingHost.pool && `, pool: ${collidingHost.pool}`}
+                </div>
+              )}
+            </div>
+          )}
+
+          {result && result.available && (
+            <PlacementRecommendation hostname={hostname} />
+          )}
+
+          {result && result.available && !reservation && (
+            <div className="form-group">
+              <label htmlFor="ticket">Ticket (optional)</label>
+              <input
+                type="text"
+                id="ticket"
+                className="form-control"
+                value={ticket}
+                onChange={(e) => setTicket(e.target.value)}
+                placeholder="e.g., CHG-1234"
+                disabled={reserving}
+              />
+              <button
+                className="btn btn-primary mt-3"
+                onClick={reserveHostname}
+                disabled={reserving}
+              >
+                {reserving ? 'Reserving...' : `Reserve '${hostname}'`}
+              </button>
+            </div>
+          )}
+
+          {reservation && (
+            <div className="alert alert-success">
+              Reserved '{reservation.hostname}' until {new Date(reservation.expiresAt).toLocaleString()}.
+            </div>
+          )}
+
+          {result && result.sources && (
+            <ul className="source-list">
+              {Object.entries(result.sources).map(([source, sourceResult]) => (
+                <li key={source}>
+                  <strong>{source}</strong>:{' '}
+                  {sourceResult.available ? 'available' : sourceResult.message || 'in use'}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {result && result.similar && result.similar.length > 0 && (
+            <div className="alert alert-warning mt-3">
+              <strong>Similar existing hostnames:</strong>
+              <ul>
+                {result.similar.map((match) => (
+                  <li key={`${match.cluster}-${match.name}`}>
+                    {match.name} ({Math.round(match.score * 100)}% similar, {match.reasons.join(', ')})
+                  </li>
+                ))}
+              </ul>
             </div>
           )}
 
@@ -168,43 +435,20 @@ function HostnamePicker() {
               </ul>
             </div>
           )}
-        </div>
 
-        <div className="card mt-4">
-          <h3>Existing Hostnames</h3>
-          {loadingHosts ? (
-            <p>Loading hosts...</p>
-          ) : existingHosts.length > 0 ? (
-            <div className="table-responsive">
-              <table className="table">
-                <thead>
-                  <tr>
-                    <th>ID</th>
-                    <th>Hostname</th>
-                    <th>Node</th>
-                    <th>Status</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {existingHosts.map((host, index) => (
-                    <tr key={index}>
-                      <td>{host.id}</td>
-                      <td>{host.name}</td>
-                      <td>{host.node}</td>
-                      <td>
-                        <span className={`status-badge status-${host.status}`}>
-                          {host.status}
-                        </span>
-                      </td>
-                    </tr>
-                  ))}
-                </tbody>
-              </table>
-            </div>
-          ) : (
-            <p>No hosts found.</p>
+          {currentPolicy && (
+            <BatchAllocator
+              policy={currentPolicy}
+              segmentValues={segmentValues}
+              mode={mode}
+              onAllocated={() => setReservationsVersion(version => version + 1)}
+            />
           )}
         </div>
+
+        <ReservationList refreshKey={reservationsVersion} user={user} />
+
+        <HostList />
       </div>
     </div>
   );
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+
+const FORMATS = {
+  'ansible-ini': { label: 'Ansible (INI)', fileName: 'inventory.ini' },
+  'ansible-yaml': { label: 'Ansible (YAML)', fileName: 'inventory.yml' },
+  csv: { label: 'CSV', fileName: 'inventory.csv' },
+  json: { label: 'JSON', fileName: 'inventory.json' }
+};
+
+function InventoryExport({ type }) {
+  const [format, setFormat] = useState('ansible-ini');
+  const [groupBy, setGroupBy] = useState('node');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState('');
+
+  const exportInventory = async () => {
+    setExporting(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const params = new URLSearchParams({ format, groupBy });
+      if (type) {
+        params.set('type', type);
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/inventory/export?${params}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to export the inventory');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = FORMATS[format].fileName;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting inventory:', error);
+      setError(`Failed to export the inventory: ${error.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="inventory-export">
+      <select
+        className="form-control"
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        aria-label="Export format"
+      >
+        {Object.entries(FORMATS).map(([key, { label }]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <select
+        className="form-control"
+        value={groupBy}
+        onChange={(e) => setGroupBy(e.target.value)}
+        aria-label="Group hosts by"
+      >
+        <option value="node">Group by node</option>
+        <option value="tag">Group by tag</option>
+        <option value="prefix">Group by name prefix</option>
+        <option value="node,tag,prefix">Group by all</option>
+      </select>
+      <button className="btn btn-secondary btn-sm" onClick={exportInventory} disabled={exporting}>
+        {exporting ? 'Exporting...' : 'Export'}
+      </button>
+      {error && <div className="alert alert-danger">{error}</div>}
+    </div>
+  );
+}
+
+export default InventoryExport;
\ No newline at end of file
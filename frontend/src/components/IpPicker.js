@@ -1,10 +1,41 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import AddressList from './AddressList';
+import DualStackAllocator from './DualStackAllocator';
+
+// Labels for the reasons check-ip gives when an address cannot be used
+const REASON_LABELS = {
+  'invalid-ip': 'Invalid address',
+  'outside-subnet': 'Outside subnet',
+  'network-address': 'Network address',
+  'broadcast-address': 'Broadcast address',
+  'gateway-address': 'Gateway',
+  'in-use': 'In use',
+  reserved: 'Reserved',
+  offline: 'Offline',
+  dhcp: 'DHCP range'
+};
+
+// Boundaries a consecutive block can start on
+const ALIGNMENTS = [1, 2, 4, 8, 16, 32, 64];
+
+// How the next free address is picked; only sequential works for IPv4
+const IPV6_MODES = {
+  sequential: 'Sequential',
+  eui64: 'EUI-64 from a MAC address',
+  random: 'Random within the /64'
+};
 
 function IpPicker() {
   const [subnets, setSubnets] = useState([]);
   const [selectedSubnet, setSelectedSubnet] = useState('');
   const [ipAddress, setIpAddress] = useState('');
   const [useSpecificIp, setUseSpecificIp] = useState(false);
+  const [mode, setMode] = useState('sequential');
+  const [macAddress, setMacAddress] = useState('');
+  const [count, setCount] = useState(1);
+  const [contiguous, setContiguous] = useState(false);
+  const [alignment, setAlignment] = useState(1);
   const [result, setResult] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -45,6 +76,7 @@ function IpPicker() {
 
   const handleSubnetChange = (e) => {
     setSelectedSubnet(e.target.value);
+    setMode('sequential');
     setResult(null);
   };
 
@@ -70,6 +102,16 @@ function IpPicker() {
       return;
     }
 
+    if (!useSpecificIp && (!Number.isInteger(count) || count < 1)) {
+      setError('Please enter how many addresses you need');
+      return;
+    }
+
+    if (!useSpecificIp && count === 1 && mode === 'eui64' && !macAddress.trim()) {
+      setError('Please enter a MAC address');
+      return;
+    }
+
     setLoading(true);
     setError('');
     setResult(null);
@@ -96,6 +138,21 @@ function IpPicker() {
             subnetId: selectedSubnet
           })
         });
+      } else if (count > 1) {
+        // Find several free addresses, optionally as one block
+        response = await fetch(`${process.env.REACT_APP_API_URL}/api/ipam/allocate-range`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`
+          },
+          body: JSON.stringify({
+            subnetId: selectedSubnet,
+            count,
+            contiguous,
+            alignment: contiguous ? alignment : undefined
+          })
+        });
       } else {
         // Get next available IP
         response = await fetch(`${process.env.REACT_APP_API_URL}/api/ipam/next-available`, {
@@ -105,20 +162,23 @@ function IpPicker() {
             'Authorization': `Bearer ${token}`
           },
           body: JSON.stringify({
-            subnetId: selectedSubnet
+            subnetId: selectedSubnet,
+            mode,
+            mac: mode === 'eui64' ? macAddress.trim() : undefined
           })
         });
       }
 
+      const data = await response.json();
+
       if (!response.ok) {
-        throw new Error('Failed to check IP address');
+        throw new Error(data.message || 'Failed to check IP address');
       }
 
-      const data = await response.json();
       setResult(data);
     } catch (error) {
       console.error('Error checking IP address:', error);
-      setError('Failed to check IP address. Please try again.');
+      setError(`Failed to check IP address: ${error.message}`);
     } finally {
       setLoading(false);
     }
@@ -130,6 +190,8 @@ function IpPicker() {
     return subnet ? `${subnet.description || subnet.subnet}` : id;
   };
 
+  const isIpv6 = subnets.find(s => s.id === selectedSubnet)?.version === 6;
+
   return (
     <div className="ip-picker">
       <div className="main-content">
@@ -152,7 +214,7 @@ function IpPicker() {
                 <option value="">-- Select a subnet --</option>
                 {subnets.map((subnet) => (
                   <option key={subnet.id} value={subnet.id}>
-                    {subnet.subnet} - {subnet.description || 'No description'}
+                    {subnet.label}
                   </option>
                 ))}
               </select>
@@ -184,7 +246,105 @@ function IpPicker() {
                 className="form-control"
                 value={ipAddress}
                 onChange={handleIpAddressChange}
-                placeholder="e.g., 192.168.1.100"
+                placeholder={isIpv6 ? 'e.g., 2001:db8::100' : 'e.g., 192.168.1.100'}
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          {!useSpecificIp && (
+            <div className="form-group">
+              <label htmlFor="count">Number of Addresses</label>
+              <input
+                type="number"
+                id="count"
+                className="form-control"
+                min="1"
+                max="256"
+                value={count}
+                onChange={(e) => {
+                  setCount(parseInt(e.target.value, 10) || 0);
+                  setResult(null);
+                }}
+                disabled={loading}
+              />
+            </div>
+          )}
+
+          {!useSpecificIp && count > 1 && (
+            <div className="form-group">
+              <div className="form-check">
+                <input
+                  type="checkbox"
+                  className="form-check-input"
+                  id="contiguous"
+                  checked={contiguous}
+                  onChange={(e) => {
+                    setContiguous(e.target.checked);
+                    setResult(null);
+                  }}
+                  disabled={loading}
+                />
+                <label className="form-check-label" htmlFor="contiguous">
+                  Consecutive addresses
+                </label>
+              </div>
+            </div>
+          )}
+
+          {!useSpecificIp && count > 1 && contiguous && (
+            <div className="form-group">
+              <label htmlFor="alignment">Start on a multiple of</label>
+              <select
+                id="alignment"
+                className="form-control"
+                value={alignment}
+                onChange={(e) => {
+                  setAlignment(Number(e.target.value));
+                  setResult(null);
+                }}
+                disabled={loading}
+              >
+                {ALIGNMENTS.map((value) => (
+                  <option key={value} value={value}>{value === 1 ? 'Any address' : value}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {isIpv6 && !useSpecificIp && count === 1 && (
+            <div className="form-group">
+              <label htmlFor="mode">Address Selection</label>
+              <select
+                id="mode"
+                className="form-control"
+                value={mode}
+                onChange={(e) => {
+                  setMode(e.target.value);
+                  setResult(null);
+                }}
+                disabled={loading}
+              >
+                {Object.entries(IPV6_MODES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {isIpv6 && !useSpecificIp && count === 1 && mode === 'eui64' && (
+            <div className="form-group">
+              <label htmlFor="macAddress">MAC Address</label>
+              <input
+                type="text"
+                id="macAddress"
+                className="form-control"
+                value={macAddress}
+                onChange={(e) => {
+                  setMacAddress(e.target.value);
+                  setResult(null);
+                }}
+                placeholder="e.g., 52:54:00:12:34:56"
                 disabled={loading}
               />
             </div>
@@ -197,21 +357,48 @@ function IpPicker() {
             onClick={findIpAddress}
             disabled={loading || !selectedSubnet}
           >
-            {loading ? 'Checking...' : useSpecificIp ? 'Check Availability' : 'Get Next Available IP'}
+            {loading
+              ? 'Checking...'
+              : useSpecificIp ? 'Check Availability' : count > 1 ? 'Find Free Addresses' : 'Get Next Available IP'}
           </button>
 
           {result && (
             <div className="result-section mt-3">
               {useSpecificIp ? (
                 <div className={`alert ${result.available ? 'alert-success' : 'alert-danger'}`}>
-                  {result.available ? 
-                    `IP address '${ipAddress}' is available in subnet ${getSubnetName(selectedSubnet)}` : 
-                    `IP address '${ipAddress}' is already in use.`}
+                  {result.available ? (
+                    `IP address '${result.ip}' is available in subnet ${getSubnetName(selectedSubnet)}`
+                  ) : (
+                    <>
+                      <strong>{REASON_LABELS[result.reason] || 'Unavailable'}:</strong> {result.message}
+                    </>
+                  )}
+                </div>
+              ) : result.ips ? (
+                <div className="alert alert-success">
+                  {result.contiguous ? (
+                    <>
+                      <strong>Free Block:</strong> {result.first} - {result.last}
+                    </>
+                  ) : (
+                    <>
+                      <strong>Free Addresses:</strong>
+                      <ul className="address-results">
+                        {result.ips.map((ip) => <li key={ip}>{ip}</li>)}
+                      </ul>
+                    </>
+                  )}
+                  <div><small>{result.ips.length} addresses in subnet {getSubnetName(result.subnetId)}</small></div>
                 </div>
               ) : (
                 <div className="alert alert-success">
                   <strong>Next Available IP:</strong> {result.ip}
-                  <div><small>in subnet {getSubnetName(result.subnetId)}</small></div>
+                  <div>
+                    <small>
+                      in subnet {getSubnetName(result.subnetId)}
+                      {result.version === 6 && ` (${IPV6_MODES[result.mode]})`}
+                    </small>
+                  </div>
                 </div>
               )}
             </div>
@@ -222,20 +409,18 @@ function IpPicker() {
           <h3>Subnet Information</h3>
           {selectedSubnet ? (
             <div className="subnet-info">
-              <button
-                className="btn btn-secondary mb-3"
-                onClick={() => {
-                  window.open(`${process.env.REACT_APP_API_URL}/api/ipam/subnet/${selectedSubnet}`, '_blank');
-                }}
-              >
+              <Link to={`/ip-picker/subnets/${selectedSubnet}`} className="btn btn-secondary mb-3">
                 View Complete Subnet Details
-              </button>
-              <p>To see all IP addresses in this subnet and detailed information, click the button above.</p>
+              </Link>
+              <p>Utilization, a map of every address and the free ranges are on the details page.</p>
+              <AddressList subnetId={selectedSubnet} />
             </div>
           ) : (
             <p>Select a subnet to view details.</p>
           )}
         </div>
+
+        <DualStackAllocator subnets={subnets} />
       </div>
     </div>
   );
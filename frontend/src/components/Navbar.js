@@ -46,6 +46,9 @@ function Navbar({ isAuthenticated, user, onLogout }) {
                 <li>
                   <Link to="/ip-picker">IP Picker</Link>
                 </li>
+                <li>
+                  <Link to="/reports/reconciliation">Reconciliation</Link>
+                </li>
               </ul>
             </>
           ) : null}
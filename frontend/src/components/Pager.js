@@ -0,0 +1,19 @@
+import React from 'react';
+
+function Pager({ offset, count, total, hasPrevious, hasNext, onPrevious, onNext, disabled }) {
+  return (
+    <div className="pager">
+      <span className="text-muted">
+        {total === 0 ? 'No results' : `${offset + 1}-${offset + count} of ${total}`}
+      </span>
+      <button className="btn btn-secondary btn-sm" onClick={onPrevious} disabled={disabled || !hasPrevious}>
+        Previous
+      </button>
+      <button className="btn btn-secondary btn-sm" onClick={onNext} disabled={disabled || !hasNext}>
+        Next
+      </button>
+    </div>
+  );
+}
+
+export default Pager;
\ No newline at end of file
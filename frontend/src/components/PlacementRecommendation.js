@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback } from 'react';
+
+const GIB = 1024 * 1024 * 1024;
+
+function PlacementRecommendation({ hostname }) {
+  const [cores, setCores] = useState(2);
+  const [memory, setMemory] = useState(4096);
+  const [disk, setDisk] = useState(32);
+  const [placement, setPlacement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchPlacement = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/proxmox/placement`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          hostname,
+          cores: parseInt(cores, 10),
+          memory: parseInt(memory, 10),
+          disk: parseInt(disk, 10)
+        })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to get a placement recommendation');
+      }
+
+      setPlacement(data);
+    } catch (error) {
+      console.error('Error fetching placement:', error);
+      setError(`Failed to recommend a node: ${error.message}`);
+      setPlacement(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [hostname, cores, memory, disk]);
+
+  // Ask again once the size has stopped changing
+  useEffect(() => {
+    const timer = setTimeout(fetchPlacement, 400);
+    return () => clearTimeout(timer);
+  }, [fetchPlacement]);
+
+  const recommendation = placement && placement.recommendation;
+
+  return (
+    <div className="placement mt-3">
+      <div className="placement-size">
+        <label htmlFor="placementCores">vCPU</label>
+        <input
+          type="number"
+          id="placementCores"
+          className="form-control"
+          min="1"
+          value={cores}
+          onChange={(e) => setCores(e.target.value)}
+        />
+        <label htmlFor="placementMemory">RAM (MiB)</label>
+        <input
+          type="number"
+          id="placementMemory"
+          className="form-control"
+          min="1"
+          step="1024"
+          value={memory}
+          onChange={(e) => setMemory(e.target.value)}
+        />
+        <label htmlFor="placementDisk">Disk (GiB)</label>
+        <input
+          type="number"
+          id="placementDisk"
+          className="form-control"
+          min="1"
+          value={disk}
+          onChange={(e) => setDisk(e.target.value)}
+        />
+      </div>
+
+      {error && <div className="alert alert-danger">{error}</div>}
+
+      {loading && !placement && <p>Finding a node...</p>}
+
+      {placement && (recommendation ? (
+        <div className="alert alert-success">
+          Recommended node for '{hostname}': <strong>{recommendation.node}</strong> on cluster {recommendation.cluster}
+          {' '}({(recommendation.memoryFree / GIB).toFixed(1)} GiB RAM free, {recommendation.cpuFree} CPUs idle
+          {recommendation.storage && `, storage ${recommendation.storage.storage}`})
+          {recommendation.antiAffinity.length > 0 && (
+            <div>Already runs {recommendation.antiAffinity.join(', ')} from the same group.</div>
+          )}
+        </div>
+      ) : (
+        <div className="alert alert-warning">
+          No node has room for {cores} vCPU, {memory} MiB RAM and {disk} GiB disk.
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default PlacementRecommendation;
\ No newline at end of file
@@ -0,0 +1,178 @@
+import React, { useState, useEffect } from 'react';
+
+const CATEGORY_LABELS = {
+  'vm-without-ipam': 'Guests without an IPAM record',
+  'ipam-without-vm': 'IPAM records without a guest',
+  'hostname-mismatch': 'Hostname mismatches',
+  'ip-mismatch': 'IP mismatches'
+};
+
+function ReconciliationReport() {
+  const [report, setReport] = useState(null);
+  const [category, setCategory] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchReport();
+  }, []);
+
+  const fetchReport = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/reports/reconciliation`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to build the report');
+      }
+
+      setReport(data);
+    } catch (error) {
+      console.error('Error fetching reconciliation report:', error);
+      setError(`Failed to load the report: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const downloadCsv = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      const query = category ? `&category=${encodeURIComponent(category)}` : '';
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/reports/reconciliation?format=csv${query}`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.message || 'Failed to export the report');
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'reconciliation.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting reconciliation report:', error);
+      setError(`Failed to export the report: ${error.message}`);
+    }
+  };
+
+  const discrepancies = report
+    ? report.discrepancies.filter(discrepancy => !category || discrepancy.category === category)
+    : [];
+
+  return (
+    <div className="reconciliation-report">
+      <div className="main-content">
+        <h1>Reconciliation Report</h1>
+        <p>
+          Guests in ProxMox compared with phpIPAM records, matched by hostname and by the
+          addresses each guest agent reports.
+        </p>
+
+        {error && <div className="alert alert-danger">{error}</div>}
+
+        {report && report.errors.length > 0 && (
+          <div className="alert alert-danger">
+            Some clusters could not be reached, so this report is incomplete:
+            <ul>
+              {report.errors.map((clusterError) => (
+                <li key={clusterError.cluster}>
+                  <strong>{clusterError.cluster}</strong>: {clusterError.message}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {report && (
+          <div className="card">
+            <div className="report-summary">
+              {Object.entries(CATEGORY_LABELS).map(([key, label]) => (
+                <button
+                  key={key}
+                  className={`btn btn-sm ${category === key ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => setCategory(category === key ? '' : key)}
+                >
+                  {label}: {report.summary[key]}
+                </button>
+              ))}
+            </div>
+            <div className="report-actions">
+              <button className="btn btn-secondary btn-sm" onClick={fetchReport} disabled={loading}>
+                {loading ? 'Refreshing...' : 'Refresh'}
+              </button>
+              <button className="btn btn-secondary btn-sm" onClick={downloadCsv}>
+                Export CSV
+              </button>
+              <small className="text-muted">
+                Generated {new Date(report.generatedAt).toLocaleString()}
+              </small>
+            </div>
+          </div>
+        )}
+
+        <div className="card mt-4">
+          {loading && !report ? (
+            <p>Comparing ProxMox with IPAM...</p>
+          ) : discrepancies.length > 0 ? (
+            <div className="table-responsive">
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Guest</th>
+                    <th>Guest IPs</th>
+                    <th>Cluster / Node</th>
+                    <th>IPAM Hostname</th>
+                    <th>IPAM IP</th>
+                    <th>Details</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {discrepancies.map((discrepancy, index) => (
+                    <tr key={index}>
+                      <td>
+                        {CATEGORY_LABELS[discrepancy.category]}
+                        {discrepancy.unverified && ' (unverified)'}
+                      </td>
+                      <td>{discrepancy.hostname ? `${discrepancy.hostname} (${discrepancy.vmid})` : '-'}</td>
+                      <td>{discrepancy.ips.length > 0 ? discrepancy.ips.join(', ') : '-'}</td>
+                      <td>{discrepancy.cluster ? `${discrepancy.cluster} / ${discrepancy.node}` : '-'}</td>
+                      <td>{discrepancy.ipamHostname || '-'}</td>
+                      <td>{discrepancy.ipamIp || '-'}</td>
+                      <td>{discrepancy.message}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : report ? (
+            <p>No discrepancies found.</p>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ReconciliationReport;
\ No newline at end of file
@@ -0,0 +1,130 @@
+import React, { useState, useEffect } from 'react';
+
+function ReservationList({ refreshKey, user }) {
+  const [reservations, setReservations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  // Reload whenever the parent reserves a new name
+  useEffect(() => {
+    fetchReservations();
+  }, [refreshKey]);
+
+  const fetchReservations = async () => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/proxmox/reservations`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch reservations');
+      }
+
+      const data = await response.json();
+      setReservations(data);
+      setError('');
+    } catch (error) {
+      console.error('Error fetching reservations:', error);
+      setError('Failed to load reservations.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateReservation = async (reservation, action) => {
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const url = action === 'renew'
+        ? `${process.env.REACT_APP_API_URL}/api/proxmox/reservations/${reservation.id}/renew`
+        : `${process.env.REACT_APP_API_URL}/api/proxmox/reservations/${reservation.id}`;
+
+      const response = await fetch(url, {
+        method: action === 'renew' ? 'POST' : 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: action === 'renew' ? JSON.stringify({}) : undefined
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to ${action} reservation`);
+      }
+
+      fetchReservations();
+    } catch (error) {
+      console.error(`Error updating reservation for ${reservation.hostname}:`, error);
+      setError(`Failed to ${action} reservation for ${reservation.hostname}.`);
+    }
+  };
+
+  return (
+    <div className="card mt-4">
+      <h3>Reserved Hostnames</h3>
+      {error && <div className="alert alert-danger">{error}</div>}
+      {loading ? (
+        <p>Loading reservations...</p>
+      ) : reservations.length > 0 ? (
+        <div className="table-responsive">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>Hostname</th>
+                <th>Owner</th>
+                <th>Ticket</th>
+                <th>Expires</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {reservations.map((reservation) => (
+                <tr key={reservation.hostname}>
+                  <td>{reservation.hostname}</td>
+                  <td>{reservation.owner}</td>
+                  <td>{reservation.ticket || '-'}</td>
+                  <td>{new Date(reservation.expiresAt).toLocaleString()}</td>
+                  <td>
+                    {/* Only the owner can renew or release a reservation */}
+                    {reservation.id && reservation.owner === user?.uid && (
+                      <>
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => updateReservation(reservation, 'renew')}
+                        >
+                          Renew
+                        </button>{' '}
+                        <button
+                          className="btn btn-secondary btn-sm"
+                          onClick={() => updateReservation(reservation, 'release')}
+                        >
+                          Release
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p>No active reservations.</p>
+      )}
+    </div>
+  );
+}
+
+export default ReservationList;
\ No newline at end of file
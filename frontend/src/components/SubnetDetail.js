@@ -0,0 +1,170 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+
+// Address states as the stats endpoint reports them, in legend order
+const STATE_LABELS = {
+  free: 'Free',
+  'in-use': 'Used',
+  reserved: 'Reserved',
+  offline: 'Offline',
+  dhcp: 'DHCP',
+  gateway: 'Gateway',
+  network: 'Network',
+  broadcast: 'Broadcast'
+};
+
+function SubnetDetail() {
+  const { id } = useParams();
+  const [stats, setStats] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchStats = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const token = localStorage.getItem('token');
+      if (!token) {
+        setError('Authentication token not found');
+        return;
+      }
+
+      const response = await fetch(`${process.env.REACT_APP_API_URL}/api/ipam/subnet/${encodeURIComponent(id)}/stats`, {
+        headers: {
+          'Authorization': `Bearer ${token}`
+        }
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.message || 'Failed to fetch subnet statistics');
+      }
+
+      setStats(data);
+    } catch (error) {
+      console.error('Error fetching subnet statistics:', error);
+      setError(`Failed to load the subnet: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    setSelected(null);
+    fetchStats();
+  }, [fetchStats]);
+
+  return (
+    <div className="subnet-detail">
+      <div className="main-content">
+        <Link to="/ip-picker">&larr; Back to IP Picker</Link>
+        <h1>{stats ? stats.label : `Subnet ${id}`}</h1>
+
+        {error && <div className="alert alert-danger">{error}</div>}
+
+        {loading && !stats && <p>Loading subnet...</p>}
+
+        {stats && (
+          <>
+            <div className="card">
+              <h3>Utilization</h3>
+              <div className="utilization-bar">
+                <div className="utilization-fill" style={{ width: `${Math.min(stats.utilization, 100)}%` }} />
+              </div>
+              <p>
+                <strong>{stats.utilization}%</strong> of {stats.usable} usable addresses taken
+              </p>
+              <div className="subnet-counts">
+                <div><strong>{stats.free}</strong> free</div>
+                <div><strong>{stats.used}</strong> used</div>
+                <div><strong>{stats.reserved}</strong> reserved</div>
+                <div><strong>{stats.offline}</strong> offline</div>
+                <div><strong>{stats.dhcp}</strong> DHCP</div>
+              </div>
+              <div className="report-actions">
+                <button className="btn btn-secondary btn-sm" onClick={fetchStats} disabled={loading}>
+                  {loading ? 'Refreshing...' : 'Refresh'}
+                </button>
+              </div>
+            </div>
+
+            <div className="card mt-4">
+              <h3>Address Map</h3>
+              {stats.map ? (
+                <>
+                  <div className="address-map-legend">
+                    {Object.entries(STATE_LABELS).map(([state, label]) => (
+                      <span key={state}>
+                        <span className={`address-cell state-${state}`} /> {label}
+                      </span>
+                    ))}
+                  </div>
+                  <div className="address-map">
+                    {stats.map.map((cell) => (
+                      <button
+                        key={cell.ip}
+                        type="button"
+                        className={`address-cell state-${cell.state}${selected && selected.ip === cell.ip ? ' selected' : ''}`}
+                        title={`${cell.ip} - ${STATE_LABELS[cell.state]}${cell.hostname ? ` (${cell.hostname})` : ''}`}
+                        onClick={() => setSelected(cell)}
+                      />
+                    ))}
+                  </div>
+                  {selected && (
+                    <p className="mt-3">
+                      <strong>{selected.ip}</strong>: {STATE_LABELS[selected.state]}
+                      {selected.hostname && <> by <strong>{selected.hostname}</strong></>}
+                      {selected.id && <small className="text-muted"> (IPAM address {selected.id})</small>}
+                    </p>
+                  )}
+                </>
+              ) : (
+                <p>This subnet is too large to map every address. Use the free ranges below.</p>
+              )}
+            </div>
+
+            <div className="card mt-4">
+              <h3>Free Ranges</h3>
+              {stats.freeRanges.length > 0 ? (
+                <>
+                  <div className="table-responsive">
+                    <table className="table">
+                      <thead>
+                        <tr>
+                          <th>First</th>
+                          <th>Last</th>
+                          <th>Addresses</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {stats.freeRanges.map((range) => (
+                          <tr key={range.first}>
+                            <td>{range.first}</td>
+                            <td>{range.last}</td>
+                            <td>{range.size}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {stats.freeRangeCount > stats.freeRanges.length && (
+                    <p className="text-muted">
+                      Showing the first {stats.freeRanges.length} of {stats.freeRangeCount} free ranges.
+                    </p>
+                  )}
+                </>
+              ) : (
+                <p>No free addresses left in this subnet.</p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SubnetDetail;
\ No newline at end of file
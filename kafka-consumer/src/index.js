@@ -33,10 +33,6 @@ const hostnameRequestConsumer = kafka.consumer({
   groupId: `${process.env.KAFKA_GROUP_ID || 'kafka-consumer-group'}-hostname-requests`
 });
 
-const ipRequestConsumer = kafka.consumer({ 
-  groupId: `${process.env.KAFKA_GROUP_ID || 'kafka-consumer-group'}-ip-requests`
-});
-
 const userActivityConsumer = kafka.consumer({ 
   groupId: `${process.env.KAFKA_GROUP_ID || 'kafka-consumer-group'}-user-activity`
 });
@@ -44,9 +40,9 @@ const userActivityConsumer = kafka.consumer({
 // Producer for responses
 const producer = kafka.producer();
 
-// Create API clients for services
+// Create API clients for services. IP requests are claimed by the
+// ipam-service itself, which consumes the ip-requests topic.
 const proxmoxServiceUrl = process.env.PROXMOX_SERVICE_URL || 'http://localhost:8002';
-const ipamServiceUrl = process.env.IPAM_SERVICE_URL || 'http://localhost:8003';
 
 /**
  * Process hostname requests
@@ -65,7 +61,11 @@ async function processHostnameRequest(message) {
     // Call ProxMox service to check hostname
     const response = await axios.post(`${proxmoxServiceUrl}/proxmox/check-hostname`, {
       hostname: request.hostname,
-      prefix: request.prefix
+      prefix: request.prefix,
+      policy: request.policy,
+      segments: request.segments,
+      mode: request.mode,
+      blockSimilar: request.blockSimilar
     });
     
     // Send response back to Kafka
@@ -79,6 +79,9 @@ async function processHostnameRequest(message) {
             hostname: request.hostname,
             available: response.data.available,
             suggestions: response.data.suggestions || [],
+            violations: response.data.violations || [],
+            similar: response.data.similar || [],
+            collision: response.data.collision ? response.data.collision.type : undefined,
             timestamp: new Date().toISOString()
           })
         }
@@ -91,57 +94,6 @@ async function processHostnameRequest(message) {
   }
 }
 
-/**
- * Process IP address requests
- * @param {Object} message - Kafka message
- */
-async function processIpRequest(message) {
-  try {
-    const request = JSON.parse(message.value.toString());
-    logger.info(`Processing IP request: ${JSON.stringify(request)}`);
-    
-    if (!request.subnetId) {
-      logger.error('Invalid IP request: missing subnetId');
-      return;
-    }
-    
-    let response;
-    if (request.ip) {
-      // Check specific IP
-      response = await axios.post(`${ipamServiceUrl}/ipam/check-ip`, {
-        ip: request.ip,
-        subnetId: request.subnetId
-      });
-    } else {
-      // Get next available IP
-      response = await axios.post(`${ipamServiceUrl}/ipam/next-available`, {
-        subnetId: request.subnetId
-      });
-    }
-    
-    // Send response back to Kafka
-    await producer.send({
-      topic: process.env.KAFKA_TOPIC_IP_RESPONSE || 'ip-responses',
-      messages: [
-        {
-          key: message.key,
-          value: JSON.stringify({
-            requestId: request.requestId,
-            subnetId: request.subnetId,
-            ip: request.ip || response.data.ip,
-            available: response.data.available !== undefined ? response.data.available : true,
-            timestamp: new Date().toISOString()
-          })
-        }
-      ]
-    });
-    
-    logger.info(`Processed IP request for subnet ${request.subnetId}`);
-  } catch (error) {
-    logger.error('Error processing IP request', error);
-  }
-}
-
 /**
  * Process user activity events
  * @param {Object} message - Kafka message
@@ -182,21 +134,6 @@ async function run() {
     
     logger.info('Hostname request consumer started');
     
-    // Setup IP request consumer
-    await ipRequestConsumer.connect();
-    await ipRequestConsumer.subscribe({
-      topic: process.env.KAFKA_TOPIC_IP_REQUEST || 'ip-requests',
-      fromBeginning: false
-    });
-    
-    await ipRequestConsumer.run({
-      eachMessage: async ({ topic, partition, message }) => {
-        await processIpRequest(message);
-      }
-    });
-    
-    logger.info('IP request consumer started');
-    
     // Setup user activity consumer
     await userActivityConsumer.connect();
     await userActivityConsumer.subscribe({
@@ -219,7 +156,6 @@ async function run() {
     // Attempt to disconnect everything before exiting
     try {
       await hostnameRequestConsumer.disconnect();
-      await ipRequestConsumer.disconnect();
       await userActivityConsumer.disconnect();
       await producer.disconnect();
     } catch (e) {
@@ -236,7 +172,6 @@ process.on('SIGTERM', async () => {
   
   try {
     await hostnameRequestConsumer.disconnect();
-    await ipRequestConsumer.disconnect();
     await userActivityConsumer.disconnect();
     await producer.disconnect();
     logger.info('Disconnected from Kafka');
@@ -0,0 +1,6 @@
+// Helpers shared by the backend services
+const listing = require('./listing');
+
+module.exports = {
+  ...listing
+};
\ No newline at end of file
@@ -0,0 +1,247 @@
+// Page size when a listing is paged without a limit, and the largest allowed
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Longest search text accepted
+const MAX_SEARCH_LENGTH = 200;
+
+// Limits on regular expression searches. A user-supplied pattern can backtrack
+// for minutes, so patterns are kept short and simple (see checkPattern) and
+// only the start of each field is matched.
+const MAX_PATTERN_LENGTH = 100;
+const MAX_UNBOUNDED_REPEATS = 2;
+const MAX_BOUNDED_COMBINATIONS = 256;
+const MAX_REGEX_FIELD_LENGTH = 128;
+
+// How the search text is compared with each field
+const MATCH_MODES = {
+  contains: (value, needle) => value.includes(needle),
+  prefix: (value, needle) => value.startsWith(needle),
+  exact: (value, needle) => value === needle,
+  regex: (value, pattern) => pattern.test(value.slice(0, MAX_REGEX_FIELD_LENGTH))
+};
+
+// A repeat: *, +, ?, {n}, {n,} or {n,m}, optionally lazy
+const REPEAT_PATTERN = /^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/;
+
+/**
+ * Check that a regular expression cannot backtrack for long. Repeats may not
+ * be nested or applied to alternatives, backreferences and lookaround are
+ * refused, and the number of repeats is limited.
+ * @param {string} pattern - Regular expression source
+ * @returns {string|null} Why the pattern is refused, or null when it is safe
+ */
+function checkPattern(pattern) {
+  // Per open group: whether it holds a repeat or an alternative
+  const groups = [{ complex: false }];
+  let target = null;
+  let unbounded = 0;
+  let combinations = 1;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    const repeat = pattern.slice(i).match(REPEAT_PATTERN);
+
+    if (repeat && (char !== '{' || target)) {
+      if (!target) {
+        return 'Search pattern has a repeat with nothing to repeat';
+      }
+      if (target.complex) {
+        return 'Search pattern may not repeat a group that holds a repeat or alternatives';
+      }
+      const [, min, comma, max] = repeat;
+      if (char === '*' || char === '+' || (comma && max === '')) {
+        unbounded++;
+      } else {
+        const upper = char === '?' ? 1 : Number(comma ? max : min);
+        combinations *= upper - (char === '?' ? 0 : Number(min)) + 1;
+      }
+      groups[groups.length - 1].complex = true;
+      target = null;
+      i += repeat[0].length - 1;
+      continue;
+    }
+
+    target = { complex: false };
+    if (char === '\\') {
+      if (/[1-9k]/.test(pattern[i + 1] || '')) {
+        return 'Search pattern may not use backreferences';
+      }
+      i++;
+    } else if (char === '[') {
+      // Skip the character class, whose contents are all literal
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        i += pattern[i] === '\\' ? 2 : 1;
+      }
+    } else if (char === '(') {
+      if (/^\(\?<?[=!]/.test(pattern.slice(i))) {
+        return 'Search pattern may not use lookahead or lookbehind';
+      }
+      // Skip the ?: or ?<name> that makes a group non-capturing or named
+      const modifier = pattern.slice(i + 1).match(/^\?(?::|<[^>]*>)/);
+      i += modifier ? modifier[0].length : 0;
+      groups.push({ complex: false });
+      target = null;
+    } else if (char === ')' && groups.length > 1) {
+      target = groups.pop();
+      groups[groups.length - 1].complex ||= target.complex;
+    } else if (char === '|') {
+      groups[groups.length - 1].complex = true;
+      target = null;
+    }
+  }
+
+  if (unbounded > MAX_UNBOUNDED_REPEATS) {
+    return `Search pattern may hold at most ${MAX_UNBOUNDED_REPEATS} of *, + or {n,}`;
+  }
+  if (combinations > MAX_BOUNDED_COMBINATIONS) {
+    return 'Search pattern has too many optional or counted repeats';
+  }
+  return null;
+}
+
+/**
+ * Compare two values for sorting: numbers numerically, everything else as
+ * case-insensitive text, with empty values last
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const emptyA = a === null || a === undefined || a === '';
+  const emptyB = b === null || b === undefined || b === '';
+  if (emptyA || emptyB) {
+    return Number(emptyA) - Number(emptyB);
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+}
+
+/**
+ * Read the search, sort and paging parameters of a listing request
+ * @param {Object} query - Request query
+ * @param {Object} options
+ * @param {Array<string>} options.sortFields - Fields the listing can be sorted by
+ * @param {string} options.defaultSort - Field used when no sort is given
+ * @returns {Object} search matcher, sort, order, limit and cursor, or an error message
+ */
+function parseListQuery(query, { sortFields, defaultSort }) {
+  const { q, match = 'contains', sort = defaultSort, order = 'asc', limit, cursor } = query;
+
+  if (!sortFields.includes(sort)) {
+    return { error: `Sort must be one of: ${sortFields.join(', ')}` };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'Order must be asc or desc' };
+  }
+
+  let pageSize = null;
+  if (limit !== undefined || cursor !== undefined) {
+    pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return { error: `Limit must be a whole number between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  let after = null;
+  if (cursor) {
+    try {
+      after = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      after = null;
+    }
+    if (!after || after.sort !== sort || after.order !== order) {
+      return { error: 'Cursor is invalid or belongs to a different sort order' };
+    }
+  }
+
+  if (!Object.hasOwn(MATCH_MODES, match)) {
+    return { error: `Match must be one of: ${Object.keys(MATCH_MODES).join(', ')}` };
+  }
+
+  let search = null;
+  if (q) {
+    if (typeof q !== 'string') {
+      return { error: 'Search must be a single value' };
+    }
+    if (q.length > MAX_SEARCH_LENGTH) {
+      return { error: `Search must be at most ${MAX_SEARCH_LENGTH} characters` };
+    }
+    let needle = q.toLowerCase();
+    if (match === 'regex') {
+      if (q.length > MAX_PATTERN_LENGTH) {
+        return { error: `Search pattern must be at most ${MAX_PATTERN_LENGTH} characters` };
+      }
+      const refused = checkPattern(q);
+      if (refused) {
+        return { error: refused };
+      }
+      try {
+        needle = new RegExp(q, 'i');
+      } catch (error) {
+        return { error: 'Search is not a valid regular expression' };
+      }
+    }
+    search = value => MATCH_MODES[match](value.toLowerCase(), needle);
+  }
+
+  return {
+    search,
+    sort,
+    order,
+    limit: pageSize,
+    after
+  };
+}
+
+/**
+ * Search, sort and page a listing. Cursors point just past the last item of
+ * a page by its sort value and key, so a page stays in place when items are
+ * added or removed before it.
+ * @param {Array<Object>} items - All items
+ * @param {Object} listQuery - Output of parseListQuery
+ * @param {Object} options
+ * @param {Function} options.searchText - Returns the strings of an item the search looks at
+ * @param {Function} options.key - Returns a unique key of an item, used to break ties
+ * @param {Function} [options.compare=compareValues] - Compares two sort values
+ * @returns {Object} items of the page, total matching items and nextCursor (null on the last page)
+ */
+function applyListQuery(items, listQuery, { searchText, key, compare = compareValues }) {
+  const { search, sort, order, limit, after } = listQuery;
+  const direction = order === 'desc' ? -1 : 1;
+
+  const position = item => ({ value: item[sort] ?? null, key: key(item) });
+  const comparePositions = (a, b) =>
+    direction * compare(a.value, b.value) || compareValues(a.key, b.key);
+
+  const matching = search
+    ? items.filter(item => searchText(item).some(text => text && search(String(text))))
+    : items;
+  const sorted = [...matching].sort((a, b) => comparePositions(position(a), position(b)));
+
+  if (!limit) {
+    return { items: sorted, total: sorted.length, nextCursor: null };
+  }
+
+  const start = after ? sorted.findIndex(item => comparePositions(position(item), after) > 0) : 0;
+  const page = start === -1 ? [] : sorted.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start !== -1 && start + limit < sorted.length;
+
+  return {
+    items: page,
+    total: sorted.length,
+    nextCursor: hasMore
+      ? Buffer.from(JSON.stringify({ sort, order, ...position(last) })).toString('base64url')
+      : null
+  };
+}
+
+module.exports = {
+  compareValues,
+  parseListQuery,
+  applyListQuery
+};
\ No newline at end of file
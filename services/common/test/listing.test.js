@@ -0,0 +1,137 @@
+const { compareValues, parseListQuery, applyListQuery } = require('../src/listing');
+
+const options = { sortFields: ['name', 'id'], defaultSort: 'name' };
+
+const hosts = [
+  { id: 3, name: 'web10', owner: 'alice' },
+  { id: 1, name: 'web2', owner: 'bob' },
+  { id: 2, name: 'db01', owner: 'alice' },
+  { id: 4, name: '', owner: 'carol' }
+];
+
+const list = (query) => applyListQuery(hosts, parseListQuery(query, options), {
+  searchText: host => [host.name, host.owner],
+  key: host => host.id
+});
+
+describe('compareValues', () => {
+  test('sorts numbers numerically, text naturally and empty values last', () => {
+    expect(['web10', '', 'web2', null, 'Web1'].sort(compareValues)).toEqual(['Web1', 'web2', 'web10', '', null]);
+    expect([10, 9].sort(compareValues)).toEqual([9, 10]);
+  });
+});
+
+describe('parseListQuery', () => {
+  test('rejects unknown sort fields, orders and match modes', () => {
+    expect(parseListQuery({ sort: 'ip' }, options).error).toBe('Sort must be one of: name, id');
+    expect(parseListQuery({ order: 'up' }, options).error).toBe('Order must be asc or desc');
+    expect(parseListQuery({ q: 'web', match: 'glob' }, options).error)
+      .toBe('Match must be one of: contains, prefix, exact, regex');
+  });
+
+  test('rejects bad limits, long searches and repeated search values', () => {
+    expect(parseListQuery({ limit: '0' }, options).error).toMatch(/^Limit must be/);
+    expect(parseListQuery({ limit: '501' }, options).error).toMatch(/^Limit must be/);
+    expect(parseListQuery({ q: 'x'.repeat(201) }, options).error).toBe('Search must be at most 200 characters');
+    expect(parseListQuery({ q: ['a', 'b'] }, options).error).toBe('Search must be a single value');
+  });
+
+  test('pages with the default size when only a cursor is given', () => {
+    const first = list({ limit: '1' });
+
+    expect(parseListQuery({ cursor: first.nextCursor }, options).limit).toBe(50);
+  });
+
+  test('rejects malformed cursors and cursors from another sort', () => {
+    const { nextCursor } = list({ limit: '1' });
+
+    expect(parseListQuery({ cursor: 'not-a-cursor' }, options).error).toMatch(/^Cursor is invalid/);
+    expect(parseListQuery({ cursor: nextCursor, order: 'desc' }, options).error).toMatch(/^Cursor is invalid/);
+  });
+
+  test('treats a pattern as plain text unless asked for a regex', () => {
+    expect(list({ q: '(a+)+$' }).items).toEqual([]);
+    expect(list({ q: 'web.' }).items).toEqual([]);
+  });
+
+  test('rejects regexes that could backtrack for long', () => {
+    const refused = q => parseListQuery({ q, match: 'regex' }, options).error;
+
+    expect(refused('(a+)+$')).toMatch(/^Search pattern may not repeat a group/);
+    expect(refused('(web|db)*')).toMatch(/^Search pattern may not repeat a group/);
+    expect(refused('(a)\\1')).toBe('Search pattern may not use backreferences');
+    expect(refused('(?=web)')).toBe('Search pattern may not use lookahead or lookbehind');
+    expect(refused('.*a.*b.*')).toBe('Search pattern may hold at most 2 of *, + or {n,}');
+    expect(refused('a?'.repeat(9))).toBe('Search pattern has too many optional or counted repeats');
+    expect(refused('x'.repeat(101))).toBe('Search pattern must be at most 100 characters');
+    expect(refused('web(')).toBe('Search is not a valid regular expression');
+  });
+
+  test('accepts simple regexes', () => {
+    const accepted = q => parseListQuery({ q, match: 'regex' }, options).error;
+
+    expect(accepted('^web\\d+$')).toBeUndefined();
+    expect(accepted('^(?:web|db)\\d{1,3}$')).toBeUndefined();
+    expect(accepted('[(+]+x')).toBeUndefined();
+  });
+});
+
+describe('applyListQuery', () => {
+  test('returns everything sorted when not paged', () => {
+    const page = list({});
+
+    expect(page.items.map(host => host.name)).toEqual(['db01', 'web2', 'web10', '']);
+    expect(page).toMatchObject({ total: 4, nextCursor: null });
+  });
+
+  test('searches the given fields without case', () => {
+    expect(list({ q: 'ALICE' }).items.map(host => host.id)).toEqual([2, 3]);
+    expect(list({ q: 'web', match: 'prefix' }).items.map(host => host.id)).toEqual([1, 3]);
+    expect(list({ q: 'web2', match: 'exact' }).items.map(host => host.id)).toEqual([1]);
+    expect(list({ q: 'eb', match: 'prefix' }).items).toEqual([]);
+    expect(list({ q: '^WEB\\d$', match: 'regex' }).items.map(host => host.id)).toEqual([1]);
+  });
+
+  test('matches a regex against the start of long fields only', () => {
+    const long = [{ id: 1, name: `${'a'.repeat(200)}web` }];
+    const search = q => applyListQuery(long, parseListQuery({ q, match: 'regex' }, options), {
+      searchText: host => [host.name],
+      key: host => host.id
+    }).total;
+
+    expect(search('web$')).toBe(0);
+    expect(search('^a+$')).toBe(1);
+  });
+
+  test('walks pages with cursors', () => {
+    const first = list({ sort: 'id', order: 'desc', limit: '3' });
+    const second = list({ sort: 'id', order: 'desc', limit: '3', cursor: first.nextCursor });
+
+    expect(first.items.map(host => host.id)).toEqual([4, 3, 2]);
+    expect(first.total).toBe(4);
+    expect(second.items.map(host => host.id)).toEqual([1]);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('keeps the next page in place when earlier items are removed', () => {
+    const query = parseListQuery({ limit: '2' }, options);
+    const listOptions = { searchText: host => [host.name], key: host => host.id };
+    const first = applyListQuery(hosts, query, listOptions);
+
+    const remaining = hosts.filter(host => host.name !== 'db01');
+    const next = applyListQuery(remaining, parseListQuery({ limit: '2', cursor: first.nextCursor }, options), listOptions);
+
+    expect(first.items.map(host => host.name)).toEqual(['db01', 'web2']);
+    expect(next.items.map(host => host.name)).toEqual(['web10', '']);
+  });
+
+  test('uses a custom comparison for the sort field', () => {
+    const page = applyListQuery(hosts, parseListQuery({}, options), {
+      searchText: host => [host.name],
+      key: host => host.id,
+      compare: (a, b) => b.length - a.length
+    });
+
+    expect(page.items[0].name).toBe('web10');
+  });
+});
\ No newline at end of file
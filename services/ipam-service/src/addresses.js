@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const { parseIp, formatIp, eui64InterfaceId, parseSubnet, subnetContains } = require('./ip');
+
+// phpIPAM's built-in address states by tag ID, used when its tag list cannot be read
+const DEFAULT_ADDRESS_STATES = {
+  1: 'Offline',
+  2: 'Used',
+  3: 'Reserved',
+  4: 'DHCP'
+};
+
+// Reason codes for addresses phpIPAM already holds, by lowercased state name
+const STATE_REASONS = {
+  offline: 'offline',
+  used: 'in-use',
+  reserved: 'reserved',
+  dhcp: 'dhcp'
+};
+
+// Every reason code an address check can return
+const CHECK_REASONS = [
+  'available',
+  'invalid-ip',
+  'outside-subnet',
+  'network-address',
+  'broadcast-address',
+  'gateway-address',
+  'in-use',
+  'reserved',
+  'offline',
+  'dhcp'
+];
+
+// Ways /ipam/next-available can pick an address; eui64 and random are IPv6 only
+const NEXT_AVAILABLE_MODES = ['sequential', 'eui64', 'random'];
+
+// Random interface identifiers tried before giving up on a crowded subnet
+const RANDOM_ATTEMPTS = 32;
+
+/**
+ * Add the IP version, canonical CIDR and a display label to a phpIPAM subnet
+ * @param {Object} subnet - phpIPAM subnet with subnet, mask and description
+ * @returns {Object} Subnet with version (4, 6, or null for folders), cidr and label
+ */
+function describeSubnet(subnet) {
+  const range = parseSubnet(subnet.subnet, subnet.mask);
+  if (!range) {
+    return { ...subnet, version: null, cidr: null, label: subnet.description || String(subnet.id) };
+  }
+
+  const cidr = `${formatIp({ version: range.version, value: range.network })}/${range.prefix}`;
+  return {
+    ...subnet,
+    version: range.version,
+    cidr,
+    label: `IPv${range.version} ${cidr}${subnet.description ? ` - ${subnet.description}` : ''}`
+  };
+}
+
+/**
+ * Find the tag ID phpIPAM uses for an address state
+ * @param {Object} states - phpIPAM address state names by tag ID
+ * @param {string} name - State name, e.g. Reserved
+ * @returns {string} Tag ID, from the built-in states when phpIPAM has no such state
+ */
+function stateTagId(states, name) {
+  const find = stateNames => Object.keys(stateNames)
+    .find(id => stateNames[id].toLowerCase() === name.toLowerCase());
+  return String(find(states) || find(DEFAULT_ADDRESS_STATES));
+}
+
+/**
+ * Compare two phpIPAM address lists by address ID
+ * @param {Array<Object>} previous - Addresses from the earlier snapshot
+ * @param {Array<Object>} current - Addresses from the later snapshot
+ * @returns {Object} Addresses added, removed and renamed, each as id, subnetId, ip and hostname
+ */
+function diffAddresses(previous, current) {
+  const summarize = ({ id, subnetId, ip, hostname }) => ({ id, subnetId, ip, hostname: hostname || null });
+  const before = new Map(previous.map(address => [address.id, address]));
+  const after = new Map(current.map(address => [address.id, address]));
+
+  return {
+    added: current.filter(address => !before.has(address.id)).map(summarize),
+    removed: previous.filter(address => !after.has(address.id)).map(summarize),
+    renamed: current
+      .filter(address => before.has(address.id) && (before.get(address.id).hostname || null) !== (address.hostname || null))
+      .map(address => ({ ...summarize(address), previousHostname: before.get(address.id).hostname || null }))
+  };
+}
+
+/**
+ * Work out which addresses of a subnet can be handed out at all: all but the
+ * network address, and for IPv4 the broadcast address
+ * @param {Object} range - Output of parseSubnet
+ * @returns {Object} first and last usable address as BigInts
+ */
+function usableRange(range) {
+  // Point-to-point IPv4 subnets (/31, /32) and the smallest IPv6 ones use every address
+  const reservesEnds = range.version === 4 ? range.prefix <= 30 : range.prefix <= 126;
+  return {
+    first: reservesEnds ? range.network + 1n : range.network,
+    last: reservesEnds && range.version === 4 ? range.last - 1n : range.last
+  };
+}
+
+/**
+ * Read a subnet's gateway, which phpIPAM gives as an object or a plain address
+ * @param {Object} subnet - phpIPAM subnet
+ * @returns {Object|null} Output of parseIp, or null when the subnet has no gateway
+ */
+function subnetGateway(subnet) {
+  return parseIp(subnet.gateway?.ip_addr || (typeof subnet.gateway === 'string' ? subnet.gateway : ''));
+}
+
+/**
+ * Tell whether an address inside a subnet is one of its fixed addresses
+ * @param {Object} subnet - phpIPAM subnet with gateway
+ * @param {Object} range - Output of parseSubnet for the subnet
+ * @param {Object} parsed - Output of parseIp for the address
+ * @returns {string|null} network-address, broadcast-address, gateway-address, or null
+ */
+function fixedAddressReason(subnet, range, parsed) {
+  const usable = usableRange(range);
+  if (parsed.value < usable.first) {
+    return 'network-address';
+  }
+  if (parsed.value > usable.last) {
+    return 'broadcast-address';
+  }
+
+  const gateway = subnetGateway(subnet);
+  if (gateway && gateway.version === parsed.version && gateway.value === parsed.value) {
+    return 'gateway-address';
+  }
+
+  return null;
+}
+
+/**
+ * Decide whether an address can be handed out in a subnet: it must parse,
+ * lie inside the subnet, not be its network, broadcast or gateway address,
+ * and not be held by phpIPAM in any state
+ * @param {string} ip - Address to check
+ * @param {Object} context
+ * @param {Object} context.subnet - phpIPAM subnet with id, subnet, mask and gateway
+ * @param {Array<Object>} context.addresses - phpIPAM address records, of this subnet or all
+ * @param {Object} [context.states] - phpIPAM address state names by tag ID
+ * @returns {Object} available, a reason from CHECK_REASONS, a message, and the record holding the address
+ */
+function checkAddress(ip, { subnet, addresses, states = DEFAULT_ADDRESS_STATES }) {
+  const cidr = `${subnet.subnet}/${subnet.mask}`;
+  const unavailable = (reason, message, extra = {}) => ({ available: false, reason, message, ...extra });
+
+  const parsed = parseIp(ip);
+  if (!parsed) {
+    return unavailable('invalid-ip', `'${ip}' is not a valid IP address`);
+  }
+
+  const canonical = formatIp(parsed);
+
+  const range = parseSubnet(subnet.subnet, subnet.mask);
+  if (!range || !subnetContains(range, parsed)) {
+    return unavailable('outside-subnet', `IP address ${canonical} is outside subnet ${cidr}`);
+  }
+
+  const fixedReason = fixedAddressReason(subnet, range, parsed);
+  if (fixedReason) {
+    const roles = {
+      'network-address': 'the network address',
+      'broadcast-address': 'the broadcast address',
+      'gateway-address': 'the gateway'
+    };
+    return unavailable(fixedReason, `IP address ${canonical} is ${roles[fixedReason]} of ${cidr}`);
+  }
+
+  const existing = addresses.find(address => {
+    const held = parseIp(address.ip);
+    return String(address.subnetId) === String(subnet.id) &&
+      held && held.version === parsed.version && held.value === parsed.value;
+  });
+  if (existing) {
+    const state = states[existing.tag] || DEFAULT_ADDRESS_STATES[2];
+    const reason = STATE_REASONS[state.toLowerCase()] || 'in-use';
+    const messages = {
+      offline: `IP address ${canonical} is recorded in IPAM as offline`,
+      reserved: `IP address ${canonical} is reserved in IPAM`,
+      dhcp: `IP address ${canonical} belongs to a DHCP range`,
+      'in-use': `IP address ${canonical} is already in use${existing.hostname ? ` by ${existing.hostname}` : ''}`
+    };
+    return unavailable(reason, messages[reason], {
+      state,
+      address: { id: existing.id, hostname: existing.hostname || null }
+    });
+  }
+
+  return {
+    available: true,
+    reason: 'available',
+    message: `IP address ${canonical} is available in subnet ${cidr}`
+  };
+}
+
+/**
+ * List the runs of free addresses in a subnet, leaving out its network,
+ * broadcast and gateway addresses and every address phpIPAM holds
+ * @param {Object} subnet - phpIPAM subnet with id, subnet, mask and gateway
+ * @param {Array<Object>} addresses - phpIPAM address records, of this subnet or all
+ * @returns {Array<Object>} Runs in address order, each with first and last as BigInts
+ */
+function freeRanges(subnet, addresses) {
+  const range = parseSubnet(subnet.subnet, subnet.mask);
+  if (!range) {
+    return [];
+  }
+
+  const usable = usableRange(range);
+  const gateway = subnetGateway(subnet);
+  const taken = addresses
+    .filter(address => String(address.subnetId) === String(subnet.id))
+    .map(address => parseIp(address.ip))
+    .concat(gateway ? [gateway] : [])
+    .filter(parsed => parsed && parsed.version === range.version)
+    .map(parsed => parsed.value)
+    .filter(value => value >= usable.first && value <= usable.last)
+    .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+  const runs = [];
+  let next = usable.first;
+  for (const value of taken) {
+    if (value > next) {
+      runs.push({ first: next, last: value - 1n });
+    }
+    if (value >= next) {
+      next = value + 1n;
+    }
+  }
+  if (next <= usable.last) {
+    runs.push({ first: next, last: usable.last });
+  }
+
+  return runs;
+}
+
+/**
+ * Choose count free addresses from a subnet's free runs: the lowest ones, or
+ * with contiguous the lowest run of count consecutive addresses whose first
+ * address is a multiple of alignment
+ * @param {Array<Object>} runs - Output of freeRanges
+ * @param {Object} options
+ * @param {number} options.count - Number of addresses
+ * @param {boolean} [options.contiguous=false] - Whether the addresses must be consecutive
+ * @param {number} [options.alignment=1] - Boundary a contiguous block starts on
+ * @returns {Array<bigint>|null} Chosen addresses, or null when the subnet has too few free
+ */
+function pickBlock(runs, { count, contiguous = false, alignment = 1 }) {
+  const size = BigInt(count);
+
+  if (contiguous) {
+    const step = BigInt(alignment);
+    for (const run of runs) {
+      const start = ((run.first + step - 1n) / step) * step;
+      if (start + size - 1n <= run.last) {
+        return Array.from({ length: count }, (_, index) => start + BigInt(index));
+      }
+    }
+    return null;
+  }
+
+  const picked = [];
+  for (const run of runs) {
+    for (let value = run.first; value <= run.last && picked.length < count; value++) {
+      picked.push(value);
+    }
+    if (picked.length === count) {
+      return picked;
+    }
+  }
+  return null;
+}
+
+/**
+ * Count a subnet's addresses by state and lay out its free runs and, for
+ * small subnets, a map of every address. Usable and free counts are decimal
+ * strings, since IPv6 subnets outgrow JavaScript numbers.
+ * @param {Object} subnet - phpIPAM subnet with id, subnet, mask and gateway
+ * @param {Object} options
+ * @param {Array<Object>} options.addresses - phpIPAM address records, of this subnet or all
+ * @param {Object} [options.states] - phpIPAM address state names by tag ID
+ * @param {number} options.mapLimit - Largest subnet, in addresses, that gets a map
+ * @param {number} options.rangeLimit - Most free runs listed
+ * @returns {Object|null} Counts, utilization, freeRanges and map, or null when the subnet is malformed
+ */
+function subnetStats(subnet, { addresses, states = DEFAULT_ADDRESS_STATES, mapLimit, rangeLimit }) {
+  const range = parseSubnet(subnet.subnet, subnet.mask);
+  if (!range) {
+    return null;
+  }
+
+  const { version } = range;
+  const usable = usableRange(range);
+  const usableCount = usable.last >= usable.first ? usable.last - usable.first + 1n : 0n;
+
+  // Each address counts once, even if more than one record holds it
+  const held = new Map();
+  addresses
+    .filter(address => String(address.subnetId) === String(subnet.id))
+    .forEach(address => {
+      const parsed = parseIp(address.ip);
+      if (parsed && parsed.version === version && parsed.value >= usable.first && parsed.value <= usable.last) {
+        const state = STATE_REASONS[(states[address.tag] || DEFAULT_ADDRESS_STATES[2]).toLowerCase()] || 'in-use';
+        held.set(parsed.value, { id: address.id, hostname: address.hostname || null, state });
+      }
+    });
+
+  const counts = { 'in-use': 0, reserved: 0, offline: 0, dhcp: 0 };
+  held.forEach(({ state }) => {
+    counts[state]++;
+  });
+
+  const gateway = subnetGateway(subnet);
+  const gatewayValue = gateway && gateway.version === version ? gateway.value : null;
+  if (gatewayValue !== null && gatewayValue >= usable.first && gatewayValue <= usable.last && !held.has(gatewayValue)) {
+    counts['in-use']++;
+  }
+
+  const runs = freeRanges(subnet, addresses);
+  const free = runs.reduce((total, run) => total + run.last - run.first + 1n, 0n);
+  const taken = usableCount - free;
+
+  let map = null;
+  const size = range.last - range.network + 1n;
+  if (size <= BigInt(mapLimit)) {
+    map = [];
+    for (let value = range.network; value <= range.last; value++) {
+      const ip = formatIp({ version, value });
+      if (value < usable.first) {
+        map.push({ ip, state: 'network' });
+      } else if (value > usable.last) {
+        map.push({ ip, state: 'broadcast' });
+      } else if (held.has(value)) {
+        map.push({ ip, ...held.get(value) });
+      } else if (value === gatewayValue) {
+        map.push({ ip, state: 'gateway' });
+      } else {
+        map.push({ ip, state: 'free' });
+      }
+    }
+  }
+
+  return {
+    version,
+    cidr: `${formatIp({ version, value: range.network })}/${range.prefix}`,
+    usable: usableCount.toString(),
+    free: free.toString(),
+    used: counts['in-use'],
+    reserved: counts.reserved,
+    offline: counts.offline,
+    dhcp: counts.dhcp,
+    utilization: usableCount > 0n ? Number((taken * 10000n) / usableCount) / 100 : 0,
+    freeRangeCount: runs.length,
+    freeRanges: runs.slice(0, rangeLimit).map(run => ({
+      first: formatIp({ version, value: run.first }),
+      last: formatIp({ version, value: run.last }),
+      size: (run.last - run.first + 1n).toString()
+    })),
+    map
+  };
+}
+
+/**
+ * Pick an IPv6 address for a host: from its MAC address (eui64), or a random
+ * interface identifier (random). Both are placed in the subnet's first /64,
+ * or anywhere in a longer prefix for random.
+ * @param {Object} subnet - phpIPAM subnet with id, subnet, mask and gateway
+ * @param {Object} options
+ * @param {string} options.mode - eui64 or random
+ * @param {string} [options.mac] - MAC address, required for eui64
+ * @param {Array<Object>} options.addresses - phpIPAM address records, of this subnet or all
+ * @param {Object} [options.states] - phpIPAM address state names by tag ID
+ * @returns {Object} ip on success; error when the mode cannot work in this subnet;
+ * or ip null with a reason and message when no address is free
+ */
+function pickIpv6Address(subnet, { mode, mac, addresses, states }) {
+  const range = parseSubnet(subnet.subnet, subnet.mask);
+  if (!range || range.version !== 6) {
+    return { error: `Mode ${mode} needs an IPv6 subnet, ${subnet.subnet}/${subnet.mask} is not one` };
+  }
+
+  const hostBits = BigInt(128 - range.prefix);
+  const interfaceBits = hostBits < 64n ? hostBits : 64n;
+  const check = value => checkAddress(formatIp({ version: 6, value }), { subnet, addresses, states });
+
+  if (mode === 'eui64') {
+    if (interfaceBits < 64n) {
+      return { error: `EUI-64 addresses need a /64 or shorter prefix, ${subnet.subnet}/${subnet.mask} is too small` };
+    }
+    const interfaceId = eui64InterfaceId(mac);
+    if (interfaceId === null) {
+      return { error: `'${mac || ''}' is not a valid MAC address` };
+    }
+
+    const ip = formatIp({ version: 6, value: range.network | interfaceId });
+    const result = check(range.network | interfaceId);
+    return result.available ? { ip } : { ip: null, reason: result.reason, message: result.message };
+  }
+
+  const mask = (1n << interfaceBits) - 1n;
+  for (let attempt = 0; attempt < RANDOM_ATTEMPTS; attempt++) {
+    const interfaceId = BigInt(`0x${crypto.randomBytes(8).toString('hex')}`) & mask;
+    // The all-zero identifier is the subnet-router anycast address
+    if (interfaceId !== 0n && check(range.network | interfaceId).available) {
+      return { ip: formatIp({ version: 6, value: range.network | interfaceId }) };
+    }
+  }
+
+  return {
+    ip: null,
+    reason: 'in-use',
+    message: `No free random address found in ${subnet.subnet}/${subnet.mask} after ${RANDOM_ATTEMPTS} attempts`
+  };
+}
+
+module.exports = {
+  DEFAULT_ADDRESS_STATES,
+  CHECK_REASONS,
+  NEXT_AVAILABLE_MODES,
+  describeSubnet,
+  stateTagId,
+  diffAddresses,
+  checkAddress,
+  freeRanges,
+  pickBlock,
+  subnetStats,
+  pickIpv6Address
+};
\ No newline at end of file
@@ -8,6 +8,20 @@ const winston = require('winston');
 const axios = require('axios');
 const NodeCache = require('node-cache');
 const rateLimit = require('express-rate-limit');
+const {
+  DEFAULT_ADDRESS_STATES,
+  NEXT_AVAILABLE_MODES,
+  describeSubnet,
+  stateTagId,
+  diffAddresses,
+  checkAddress,
+  freeRanges,
+  pickBlock,
+  subnetStats,
+  pickIpv6Address
+} = require('./addresses');
+const { parseIp, formatIp, canonicalIp, compareIps } = require('./ip');
+const { compareValues, parseListQuery, applyListQuery } = require('server-name-picker-common');
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -36,6 +50,28 @@ const cache = new NodeCache({
   checkperiod: 120
 });
 
+// Addresses are polled in the background; IP checks use the latest snapshot
+// while it is no older than two poll intervals. 0 disables polling.
+const addressPollSeconds = process.env.INVENTORY_POLL_INTERVAL
+  ? parseInt(process.env.INVENTORY_POLL_INTERVAL)
+  : 30;
+let addressSnapshot = null;
+let addressPollTimer = null;
+
+// Fields /ipam/addresses can be sorted by
+const ADDRESS_SORT_FIELDS = ['ip', 'hostname', 'subnetId', 'description', 'id'];
+
+// Most addresses one /ipam/allocate-range request can hand out
+const MAX_RANGE_COUNT = 256;
+
+// Largest subnet, in addresses, whose stats include a map of every address (a /22),
+// and the most free runs the stats list
+const MAX_MAP_ADDRESSES = 1024;
+const MAX_FREE_RANGES = 100;
+
+// Times a claim of the first free address is tried when other clients keep taking it first
+const claimAttempts = parseInt(process.env.IPAM_CLAIM_ATTEMPTS) || 5;
+
 // Initialize Express app
 const app = express();
 const port = process.env.PORT || 8003;
@@ -69,6 +105,26 @@ const verifyToken = (req, res, next) => {
   next();
 };
 
+/**
+ * The user the API gateway verified from the caller's JWT. The service is only
+ * reachable through the gateway, which sets this header itself.
+ * @param {Object} req - Express request
+ * @returns {string|null} User ID, or null when the gateway did not send one
+ */
+const authenticatedUser = (req) => req.get('X-Authenticated-User') || null;
+
+// Middleware for routes that record or remove addresses on someone's behalf
+const requireUser = (req, res, next) => {
+  if (!authenticatedUser(req)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A verified user is required'
+    });
+  }
+  
+  next();
+};
+
 // Create the phpIPAM API client
 const phpIpamApi = axios.create({
   baseURL: process.env.PHPIPAM_API_URL || 'https://ipam.example.com/api',
@@ -116,34 +172,204 @@ const authenticateIpam = async () => {
   }
 };
 
+/**
+ * Fetch every address from phpIPAM and make it the current snapshot. Changes
+ * since the previous snapshot are published and the affected cached
+ * listings are replaced or dropped.
+ * @returns {Promise<Object>} The new snapshot
+ */
+const refreshAddresses = async () => {
+  await authenticateIpam();
+  
+  const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+  const response = await phpIpamApi.get(`/${appId}/addresses/`);
+  const addresses = response.data.data || [];
+  
+  if (addressSnapshot) {
+    const changes = diffAddresses(addressSnapshot.addresses, addresses);
+    const changed = [...changes.added, ...changes.removed, ...changes.renamed];
+    
+    if (changed.length > 0) {
+      const subnetIds = [...new Set(changed.map(address => address.subnetId))];
+      cache.del(subnetIds.map(subnetId => `ipam_subnet_${subnetId}`));
+      
+      logger.info(`Addresses changed: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.renamed.length} renamed`);
+      
+      try {
+        await producer.send({
+          topic: process.env.KAFKA_TOPIC_INVENTORY_CHANGED || 'inventory-changed',
+          messages: [
+            {
+              key: 'phpipam',
+              value: JSON.stringify({
+                source: 'ipam',
+                ...changes,
+                timestamp: new Date().toISOString()
+              })
+            }
+          ]
+        });
+      } catch (error) {
+        logger.error('Failed to publish inventory change', error);
+      }
+    }
+  }
+  
+  addressSnapshot = { addresses, takenAt: Date.now() };
+  cache.set('ipam_addresses', addresses);
+  
+  return addressSnapshot;
+};
+
+/**
+ * Get the polled address snapshot if it is fresh
+ * @returns {Object|null} Snapshot, or null when polling is off or behind
+ */
+const freshAddressSnapshot = () => {
+  const maxAge = addressPollSeconds * 2 * 1000;
+  return addressSnapshot && Date.now() - addressSnapshot.takenAt < maxAge ? addressSnapshot : null;
+};
+
+/**
+ * Poll the addresses, then schedule the next poll
+ */
+const pollAddresses = async () => {
+  try {
+    await refreshAddresses();
+  } catch (error) {
+    logger.error('Address poll failed', error);
+  }
+  
+  addressPollTimer = setTimeout(pollAddresses, addressPollSeconds * 1000);
+};
+
+/**
+ * Get a subnet with its addresses, from the cache when possible
+ * @param {string} subnetId - phpIPAM subnet ID
+ * @returns {Promise<Object|null>} Subnet with an addresses list, or null when phpIPAM does not know it
+ */
+const fetchSubnet = async (subnetId) => {
+  const cacheKey = `ipam_subnet_${subnetId}`;
+  const cachedSubnet = cache.get(cacheKey);
+  
+  if (cachedSubnet) {
+    logger.debug(`Returning cached subnet ${subnetId}`);
+    return cachedSubnet;
+  }
+  
+  await authenticateIpam();
+  
+  const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+  let subnet;
+  try {
+    const response = await phpIpamApi.get(`/${appId}/subnets/${subnetId}/`);
+    subnet = response.data.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+  if (!subnet) {
+    return null;
+  }
+  
+  // phpIPAM answers 404 for a subnet without addresses
+  let addresses = [];
+  try {
+    const addressesResponse = await phpIpamApi.get(`/${appId}/subnets/${subnetId}/addresses/`);
+    addresses = addressesResponse.data.data || [];
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+  
+  const result = {
+    ...subnet,
+    addresses
+  };
+  
+  cache.set(cacheKey, result);
+  
+  return result;
+};
+
+/**
+ * Get phpIPAM's address states (its tags), falling back to the built-in ones
+ * @returns {Promise<Object>} State names by tag ID
+ */
+const fetchAddressStates = async () => {
+  const cacheKey = 'ipam_address_states';
+  const cachedStates = cache.get(cacheKey);
+  
+  if (cachedStates) {
+    return cachedStates;
+  }
+  
+  try {
+    await authenticateIpam();
+    
+    const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+    const response = await phpIpamApi.get(`/${appId}/tools/tags/`);
+    const states = Object.fromEntries((response.data.data || []).map(tag => [tag.id, tag.type]));
+    
+    cache.set(cacheKey, states);
+    
+    return states;
+  } catch (error) {
+    logger.warn(`Failed to read address states from phpIPAM, using the defaults: ${error.message}`);
+    return DEFAULT_ADDRESS_STATES;
+  }
+};
+
+/**
+ * Get the addresses to check a subnet's candidates against: the polled
+ * snapshot, so checks agree with the cached listings, or else the subnet's own
+ * @param {Object} subnet - Output of fetchSubnet
+ * @returns {Array<Object>} phpIPAM address records
+ */
+const knownAddresses = (subnet) => {
+  const snapshot = freshAddressSnapshot();
+  return snapshot ? snapshot.addresses : subnet.addresses;
+};
+
 /**
  * @route GET /ipam/subnets
- * @desc Get all available subnets
+ * @desc Get all available subnets with their IP version, CIDR and a label;
+ * ?version=4 or ?version=6 keeps one family
  * @access Private
  */
 app.get('/ipam/subnets', verifyToken, async (req, res) => {
   try {
+    const { version } = req.query;
+    if (version !== undefined && !['4', '6'].includes(version)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Version must be 4 or 6'
+      });
+    }
+    
     // Check cache first
     const cacheKey = 'ipam_subnets';
-    const cachedSubnets = cache.get(cacheKey);
+    let subnets = cache.get(cacheKey);
     
-    if (cachedSubnets) {
+    if (subnets) {
       logger.debug('Returning cached subnets');
-      return res.status(200).json(cachedSubnets);
+    } else {
+      // Authenticate with phpIPAM API
+      await authenticateIpam();
+      
+      // Call phpIPAM API to get subnets
+      const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+      const response = await phpIpamApi.get(`/${appId}/subnets/`);
+      subnets = (response.data.data || []).map(describeSubnet);
+      
+      // Cache the result
+      cache.set(cacheKey, subnets);
     }
     
-    // Authenticate with phpIPAM API
-    await authenticateIpam();
-    
-    // Call phpIPAM API to get subnets
-    const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
-    const response = await phpIpamApi.get(`/${appId}/subnets/`);
-    const subnets = response.data.data;
-    
-    // Cache the result
-    cache.set(cacheKey, subnets);
-    
-    return res.status(200).json(subnets);
+    return res.status(200).json(version ? subnets.filter(subnet => subnet.version === Number(version)) : subnets);
   } catch (error) {
     logger.error('Failed to get subnets', error);
     
@@ -161,76 +387,134 @@ app.get('/ipam/subnets', verifyToken, async (req, res) => {
  */
 app.get('/ipam/subnet/:id', verifyToken, async (req, res) => {
   try {
-    const subnetId = req.params.id;
+    const subnet = await fetchSubnet(req.params.id);
     
-    // Check cache first
-    const cacheKey = `ipam_subnet_${subnetId}`;
-    const cachedSubnet = cache.get(cacheKey);
-    
-    if (cachedSubnet) {
-      logger.debug(`Returning cached subnet ${subnetId}`);
-      return res.status(200).json(cachedSubnet);
+    if (!subnet) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Subnet ${req.params.id} not found`
+      });
     }
     
-    // Authenticate with phpIPAM API
-    await authenticateIpam();
+    return res.status(200).json(describeSubnet(subnet));
+  } catch (error) {
+    logger.error(`Failed to get subnet ${req.params.id}`, error);
     
-    // Call phpIPAM API to get subnet details
-    const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
-    const response = await phpIpamApi.get(`/${appId}/subnets/${subnetId}/`);
-    const subnet = response.data.data;
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to get subnet information from IPAM'
+    });
+  }
+});
+
+/**
+ * @route GET /ipam/subnet/:id/stats
+ * @desc Get a subnet's address counts by state, utilization, free ranges and,
+ * for subnets up to MAX_MAP_ADDRESSES, a map of every address
+ * @access Private
+ */
+app.get('/ipam/subnet/:id/stats', verifyToken, async (req, res) => {
+  try {
+    const subnet = await fetchSubnet(req.params.id);
     
-    // Get addresses in this subnet
-    const addressesResponse = await phpIpamApi.get(`/${appId}/subnets/${subnetId}/addresses/`);
-    const addresses = addressesResponse.data.data || [];
+    if (!subnet) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Subnet ${req.params.id} not found`
+      });
+    }
     
-    const result = {
-      ...subnet,
-      addresses
-    };
+    const stats = subnetStats(subnet, {
+      addresses: knownAddresses(subnet),
+      states: await fetchAddressStates(),
+      mapLimit: MAX_MAP_ADDRESSES,
+      rangeLimit: MAX_FREE_RANGES
+    });
     
-    // Cache the result
-    cache.set(cacheKey, result);
+    if (!stats) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Subnet ${req.params.id} has no address range`
+      });
+    }
     
-    return res.status(200).json(result);
+    const { label, description } = describeSubnet(subnet);
+    
+    return res.status(200).json({
+      subnetId: String(subnet.id),
+      label,
+      description: description || null,
+      ...stats
+    });
   } catch (error) {
-    logger.error(`Failed to get subnet ${req.params.id}`, error);
+    logger.error(`Failed to get stats for subnet ${req.params.id}`, error);
     
     return res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to get subnet information from IPAM'
+      message: 'Failed to get subnet statistics from IPAM'
     });
   }
 });
 
 /**
  * @route GET /ipam/addresses
- * @desc Get all IP addresses in use
+ * @desc Get all IP addresses in use. Supports search (q, match), filters
+ * (subnetId, tag), sorting (sort, order) and cursor paging (limit, cursor).
  * @access Private
  */
 app.get('/ipam/addresses', verifyToken, async (req, res) => {
   try {
+    const { subnetId, tag } = req.query;
+    
+    const listQuery = parseListQuery(req.query, { sortFields: ADDRESS_SORT_FIELDS, defaultSort: 'ip' });
+    if (listQuery.error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: listQuery.error
+      });
+    }
+    
     // Check cache first
     const cacheKey = 'ipam_addresses';
-    const cachedAddresses = cache.get(cacheKey);
+    let addresses = cache.get(cacheKey);
     
-    if (cachedAddresses) {
+    if (addresses) {
       logger.debug('Returning cached addresses');
-      return res.status(200).json(cachedAddresses);
+    } else {
+      // Authenticate with phpIPAM API
+      await authenticateIpam();
+      
+      // Call phpIPAM API to get addresses
+      const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+      const response = await phpIpamApi.get(`/${appId}/addresses/`);
+      addresses = response.data.data || [];
+      
+      // Cache the result
+      cache.set(cacheKey, addresses);
     }
     
-    // Authenticate with phpIPAM API
-    await authenticateIpam();
-    
-    // Call phpIPAM API to get addresses
-    const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
-    const response = await phpIpamApi.get(`/${appId}/addresses/`);
-    const addresses = response.data.data;
-    
-    // Cache the result
-    cache.set(cacheKey, addresses);
+    // Addresses are listed in canonical form, whatever notation phpIPAM stored
+    const page = applyListQuery(
+      addresses
+        .filter(address =>
+          (!subnetId || String(address.subnetId) === String(subnetId)) &&
+          (!tag || String(address.tag) === String(tag))
+        )
+        .map(address => ({ ...address, ip: canonicalIp(address.ip) || address.ip })),
+      listQuery,
+      {
+        searchText: address => [address.ip, address.hostname, address.description, address.mac],
+        key: address => Number(address.id),
+        compare: listQuery.sort === 'ip' ? compareIps : compareValues
+      }
+    );
     
-    return res.status(200).json(addresses);
+    // Without limit or cursor the page holds every matching address
+    return res.status(200).json({
+      addresses: page.items,
+      total: page.total,
+      nextCursor: page.nextCursor
+    });
   } catch (error) {
     logger.error('Failed to get addresses', error);
     
@@ -243,7 +527,9 @@ app.get('/ipam/addresses', verifyToken, async (req, res) => {
 
 /**
  * @route POST /ipam/check-ip
- * @desc Check if IP address is available
+ * @desc Check if an IP address can be used in a subnet. The response carries a
+ * reason code: available, invalid-ip, outside-subnet, network-address,
+ * broadcast-address, gateway-address, in-use, reserved, offline or dhcp.
  * @access Private
  */
 app.post('/ipam/check-ip', verifyToken, async (req, res) => {
@@ -257,32 +543,32 @@ app.post('/ipam/check-ip', verifyToken, async (req, res) => {
       });
     }
     
-    // Authenticate with phpIPAM API
-    await authenticateIpam();
-    
-    // If specific IP is provided, check if it's available
-    if (ip) {
-      const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
-      const response = await phpIpamApi.get(`/${appId}/addresses/search/${ip}/`);
-      const found = response.data.data && response.data.data.length > 0;
-      
-      if (found) {
-        return res.status(200).json({
-          available: false,
-          message: `IP address ${ip} is already in use`
-        });
-      } else {
-        return res.status(200).json({
-          available: true
-        });
-      }
-    } else {
-      // If no IP provided, return error
+    if (!ip) {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'IP address is required'
       });
     }
+    
+    const subnet = await fetchSubnet(subnetId);
+    if (!subnet) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Subnet ${subnetId} not found`
+      });
+    }
+    
+    const check = checkAddress(String(ip).trim(), {
+      subnet,
+      addresses: knownAddresses(subnet),
+      states: await fetchAddressStates()
+    });
+    
+    return res.status(200).json({
+      ip: canonicalIp(ip) || ip,
+      subnetId,
+      ...check
+    });
   } catch (error) {
     logger.error('Failed to check IP address', error);
     
@@ -293,14 +579,43 @@ app.post('/ipam/check-ip', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Pick an IPv6 address for eui64 or random mode
+ * @param {string} subnetId - phpIPAM subnet ID
+ * @param {Object} options - mode and mac
+ * @returns {Promise<Object>} ip, or a status and message to answer with
+ */
+const pickAddress = async (subnetId, { mode, mac }) => {
+  const subnet = await fetchSubnet(subnetId);
+  if (!subnet) {
+    return { status: 404, error: 'Not Found', message: `Subnet ${subnetId} not found` };
+  }
+  
+  const result = pickIpv6Address(subnet, {
+    mode,
+    mac,
+    addresses: knownAddresses(subnet),
+    states: await fetchAddressStates()
+  });
+  
+  if (result.error) {
+    return { status: 400, error: 'Bad Request', message: result.error };
+  }
+  if (!result.ip) {
+    return { status: 409, error: 'Conflict', message: result.message };
+  }
+  return { ip: result.ip };
+};
+
 /**
  * @route POST /ipam/next-available
- * @desc Get next available IP in a subnet
+ * @desc Get next available IP in a subnet. mode is sequential (phpIPAM's first
+ * free address), or for IPv6 subnets eui64 (built from mac) or random.
  * @access Private
  */
 app.post('/ipam/next-available', verifyToken, async (req, res) => {
   try {
-    const { subnetId } = req.body;
+    const { subnetId, mode = 'sequential', mac } = req.body;
     
     if (!subnetId) {
       return res.status(400).json({
@@ -309,17 +624,38 @@ app.post('/ipam/next-available', verifyToken, async (req, res) => {
       });
     }
     
-    // Authenticate with phpIPAM API
-    await authenticateIpam();
+    if (!NEXT_AVAILABLE_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Mode must be one of: ${NEXT_AVAILABLE_MODES.join(', ')}`
+      });
+    }
     
-    // Call phpIPAM API to get first available address in subnet
-    const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
-    const response = await phpIpamApi.get(`/${appId}/subnets/${subnetId}/first_free/`);
-    const ip = response.data.data;
+    let ip;
+    if (mode === 'sequential') {
+      // Authenticate with phpIPAM API
+      await authenticateIpam();
+      
+      // Call phpIPAM API to get first available address in subnet
+      const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+      const response = await phpIpamApi.get(`/${appId}/subnets/${subnetId}/first_free/`);
+      ip = canonicalIp(response.data.data) || response.data.data;
+    } else {
+      const picked = await pickAddress(subnetId, { mode, mac });
+      if (!picked.ip) {
+        return res.status(picked.status).json({
+          error: picked.error,
+          message: picked.message
+        });
+      }
+      ip = picked.ip;
+    }
     
     return res.status(200).json({
       ip,
-      subnetId
+      subnetId,
+      version: parseIp(ip)?.version || null,
+      mode
     });
   } catch (error) {
     logger.error('Failed to get next available IP', error);
@@ -331,6 +667,554 @@ app.post('/ipam/next-available', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Drop the cached listings for subnets and take a fresh address snapshot,
+ * so checks see a claim or release straight away
+ * @param {...string} subnetIds - Subnets that changed
+ */
+const addressesChanged = async (...subnetIds) => {
+  cache.del([...subnetIds.map(subnetId => `ipam_subnet_${subnetId}`), 'ipam_addresses']);
+  
+  try {
+    await refreshAddresses();
+  } catch (error) {
+    logger.error('Failed to refresh addresses', error);
+    addressSnapshot = null;
+  }
+};
+
+/**
+ * Check that a specific IP can be claimed in a subnet
+ * @param {string} subnetId - phpIPAM subnet ID
+ * @param {string} ip - Address to claim
+ * @returns {Promise<Object|null>} null when it can, or a status, error and message to answer with
+ */
+const checkClaimIp = async (subnetId, ip) => {
+  const subnet = await fetchSubnet(subnetId);
+  if (!subnet) {
+    return { status: 404, error: 'Not Found', message: `Subnet ${subnetId} not found` };
+  }
+  
+  const check = checkAddress(String(ip).trim(), {
+    subnet,
+    addresses: knownAddresses(subnet),
+    states: await fetchAddressStates()
+  });
+  if (check.available) {
+    return null;
+  }
+  
+  return ['invalid-ip', 'outside-subnet'].includes(check.reason)
+    ? { status: 400, error: 'Bad Request', message: check.message, reason: check.reason }
+    : { status: 409, error: 'Conflict', message: check.message, reason: check.reason };
+};
+
+/**
+ * Record an address in phpIPAM with the Reserved state: the given IP, or the
+ * first free one. When another client records the first free address between
+ * phpIPAM picking it and storing it, the claim is retried on the next one, up
+ * to claimAttempts times. A specific IP that is taken is not retried.
+ * @param {Object} fields - subnetId, ip (optional), hostname, description and owner
+ * @returns {Promise<Object>} Claimed address as id, subnetId, ip, hostname, owner and the attempts it took
+ */
+const claimAddress = async ({ subnetId, ip, hostname, description, owner }) => {
+  // Authenticate with phpIPAM API
+  await authenticateIpam();
+  
+  const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+  const fields = {
+    subnetId,
+    hostname,
+    description,
+    owner,
+    tag: stateTagId(await fetchAddressStates(), 'Reserved')
+  };
+  const address = ip && (canonicalIp(ip) || ip);
+  
+  for (let attempt = 1; ; attempt++) {
+    try {
+      // phpIPAM picks and creates the first free address in one call
+      const response = address
+        ? await phpIpamApi.post(`/${appId}/addresses/`, { ...fields, ip: address })
+        : await phpIpamApi.post(`/${appId}/addresses/first_free/${subnetId}/`, fields);
+      
+      return {
+        id: String(response.data.id),
+        subnetId: String(subnetId),
+        ip: address || canonicalIp(response.data.data) || response.data.data,
+        hostname,
+        owner: owner || null,
+        attempts: attempt
+      };
+    } catch (error) {
+      if (address || error.response?.status !== 409 || attempt >= claimAttempts) {
+        throw error;
+      }
+      logger.warn(`First free address in subnet ${subnetId} was taken, retrying (attempt ${attempt} of ${claimAttempts})`);
+    }
+  }
+};
+
+/**
+ * Get an address record from phpIPAM
+ * @param {string} id - phpIPAM address ID
+ * @returns {Promise<Object>} phpIPAM address record
+ */
+const fetchAddress = async (id) => {
+  // Authenticate with phpIPAM API
+  await authenticateIpam();
+  
+  const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+  const response = await phpIpamApi.get(`/${appId}/addresses/${id}/`);
+  return response.data.data;
+};
+
+/**
+ * Find the address record of an IP in a subnet
+ * @param {string} subnetId - phpIPAM subnet ID
+ * @param {string} ip - Address to find
+ * @returns {Promise<Object|null>} phpIPAM address record, or null when the subnet has no such address
+ */
+const findAddress = async (subnetId, ip) => {
+  const target = canonicalIp(ip);
+  if (!target) {
+    return null;
+  }
+  
+  // Authenticate with phpIPAM API
+  await authenticateIpam();
+  
+  // phpIPAM answers 404 when the search finds nothing
+  const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+  let matches = [];
+  try {
+    const response = await phpIpamApi.get(`/${appId}/addresses/search/${target}/`);
+    matches = response.data.data || [];
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+  
+  return matches.find(address =>
+    String(address.subnetId) === String(subnetId) && canonicalIp(address.ip) === target
+  ) || null;
+};
+
+/**
+ * Find the address records of a host in a subnet, read from phpIPAM rather
+ * than the cache so a claim made moments ago is seen
+ * @param {string} subnetId - phpIPAM subnet ID
+ * @param {string} hostname - Hostname the records carry
+ * @returns {Promise<Array<Object>>} phpIPAM address records
+ */
+const findHostAddresses = async (subnetId, hostname) => {
+  // Authenticate with phpIPAM API
+  await authenticateIpam();
+  
+  // phpIPAM answers 404 for a subnet without addresses
+  const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+  let addresses = [];
+  try {
+    const response = await phpIpamApi.get(`/${appId}/subnets/${subnetId}/addresses/`);
+    addresses = response.data.data || [];
+  } catch (error) {
+    if (error.response?.status !== 404) {
+      throw error;
+    }
+  }
+  
+  return addresses.filter(address => (address.hostname || '').toLowerCase() === hostname.toLowerCase());
+};
+
+/**
+ * Delete an address from phpIPAM, which frees it for the next claim
+ * @param {Object} address - phpIPAM address record with id, subnetId, ip and hostname
+ * @returns {Promise<Object>} Released address as id, subnetId, ip and hostname
+ */
+const releaseAddress = async (address) => {
+  // Authenticate with phpIPAM API
+  await authenticateIpam();
+  
+  const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
+  await phpIpamApi.delete(`/${appId}/addresses/${address.id}/`);
+  
+  return {
+    id: String(address.id),
+    subnetId: String(address.subnetId),
+    ip: canonicalIp(address.ip) || address.ip,
+    hostname: address.hostname || null
+  };
+};
+
+/**
+ * @route POST /ipam/claim
+ * @desc Record an address in phpIPAM for a host: the given IP, or the first
+ * free one. The address is tagged Reserved and carries the hostname,
+ * description and the calling user as its owner.
+ * @access Private
+ */
+app.post('/ipam/claim', verifyToken, requireUser, async (req, res) => {
+  try {
+    const { subnetId, ip, hostname, description } = req.body;
+    const owner = authenticatedUser(req);
+    
+    if (!subnetId || !hostname) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Subnet ID and hostname are required'
+      });
+    }
+    
+    if (ip) {
+      const problem = await checkClaimIp(subnetId, ip);
+      if (problem) {
+        const { status, ...body } = problem;
+        return res.status(status).json(body);
+      }
+    }
+    
+    const address = await claimAddress({ subnetId, ip, hostname, description, owner });
+    
+    await addressesChanged(subnetId);
+    logger.info(`Claimed ${address.ip} in subnet ${subnetId} for ${hostname}`);
+    
+    return res.status(201).json(address);
+  } catch (error) {
+    logger.error('Failed to claim IP address', error);
+    
+    if (error.response && error.response.status === 409) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.response.data?.message || 'IP address is already in use'
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to claim IP address'
+    });
+  }
+});
+
+/**
+ * @route POST /ipam/release
+ * @desc Release an address by its ID, by subnetId and ip, or by subnetId and
+ * hostname when the caller holds a single address for that host there. Only
+ * addresses claimed through this service, still tagged Reserved, can be
+ * released, and only by the user who claimed them. With hostname, the address
+ * is only released while it still belongs to that host.
+ * @access Private
+ */
+app.post('/ipam/release', verifyToken, requireUser, async (req, res) => {
+  try {
+    const { id, subnetId, ip, hostname } = req.body;
+    
+    if (!id && !(subnetId && (ip || hostname))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Address ID, subnet ID and IP address, or subnet ID and hostname are required'
+      });
+    }
+    
+    const caller = authenticatedUser(req);
+    
+    let record;
+    if (id) {
+      try {
+        record = await fetchAddress(id);
+      } catch (error) {
+        if (error.response?.status !== 404) {
+          throw error;
+        }
+      }
+    } else if (ip) {
+      record = await findAddress(subnetId, ip);
+    } else {
+      const owned = (await findHostAddresses(subnetId, hostname)).filter(address => address.owner === caller);
+      if (owned.length > 1) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `You hold ${owned.length} addresses for ${hostname} in subnet ${subnetId}, pass the address ID`
+        });
+      }
+      record = owned[0];
+    }
+    
+    if (!record) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: id
+          ? `Address ${id} not found`
+          : ip
+            ? `IP address ${ip} is not recorded in subnet ${subnetId}`
+            : `No address is recorded for ${hostname} in subnet ${subnetId}`
+      });
+    }
+    
+    const recordIp = canonicalIp(record.ip) || record.ip;
+    
+    if (String(record.tag) !== stateTagId(await fetchAddressStates(), 'Reserved') || !record.owner) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `IP address ${recordIp} was not claimed through this service and cannot be released here`
+      });
+    }
+    
+    if (record.owner !== caller) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `IP address ${recordIp} was claimed by ${record.owner}, only its owner can release it`
+      });
+    }
+    
+    if (hostname && (record.hostname || '').toLowerCase() !== hostname.toLowerCase()) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `IP address ${recordIp} belongs to ${record.hostname || 'no host'}, not ${hostname}`
+      });
+    }
+    
+    const address = await releaseAddress(record);
+    
+    await addressesChanged(address.subnetId);
+    logger.info(`${caller} released ${address.ip} in subnet ${address.subnetId}`);
+    
+    return res.status(200).json(address);
+  } catch (error) {
+    logger.error('Failed to release IP address', error);
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to release IP address'
+    });
+  }
+});
+
+/**
+ * @route POST /ipam/allocate-range
+ * @desc Find count free addresses in a subnet, anywhere or as one contiguous
+ * block starting on a multiple of alignment. With claim, every address is
+ * claimed for hostname, owned by the caller; if one claim fails, the others
+ * are released again.
+ * @access Private
+ */
+app.post('/ipam/allocate-range', verifyToken, requireUser, async (req, res) => {
+  try {
+    const { subnetId, count, contiguous = false, alignment, claim = false, hostname, description } = req.body;
+    const owner = authenticatedUser(req);
+    
+    if (!subnetId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Subnet ID is required'
+      });
+    }
+    
+    const blockSize = Number(count);
+    if (!Number.isInteger(blockSize) || blockSize < 1 || blockSize > MAX_RANGE_COUNT) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Count must be a whole number between 1 and ${MAX_RANGE_COUNT}`
+      });
+    }
+    
+    const boundary = alignment === undefined || alignment === null ? 1 : Number(alignment);
+    if (!Number.isInteger(boundary) || boundary < 1) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Alignment must be a positive whole number'
+      });
+    }
+    if (boundary > 1 && !contiguous) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Alignment only applies to contiguous blocks'
+      });
+    }
+    
+    if (claim && !hostname) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Hostname is required to claim addresses'
+      });
+    }
+    
+    const subnet = await fetchSubnet(subnetId);
+    if (!subnet) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Subnet ${subnetId} not found`
+      });
+    }
+    
+    const { version, cidr } = describeSubnet(subnet);
+    const runs = freeRanges(subnet, knownAddresses(subnet));
+    const block = pickBlock(runs, { count: blockSize, contiguous: Boolean(contiguous), alignment: boundary });
+    
+    if (!block) {
+      const free = runs.reduce((total, run) => total + run.last - run.first + 1n, 0n);
+      return res.status(409).json({
+        error: 'Conflict',
+        message: contiguous
+          ? `Subnet ${cidr} has no block of ${blockSize} consecutive free addresses${boundary > 1 ? ` aligned to ${boundary}` : ''}`
+          : `Subnet ${cidr} has only ${free} free addresses`
+      });
+    }
+    
+    const ips = block.map(value => formatIp({ version, value }));
+    const result = {
+      subnetId,
+      count: blockSize,
+      contiguous: Boolean(contiguous),
+      alignment: boundary,
+      first: ips[0],
+      last: ips[ips.length - 1],
+      ips,
+      claimed: false
+    };
+    
+    if (!claim) {
+      return res.status(200).json(result);
+    }
+    
+    const addresses = [];
+    try {
+      for (const ip of ips) {
+        addresses.push(await claimAddress({ subnetId, ip, hostname, description, owner }));
+      }
+    } catch (error) {
+      for (const address of addresses) {
+        try {
+          await releaseAddress(address);
+        } catch (releaseError) {
+          logger.error(`Failed to release ${address.ip} after a range claim for ${hostname} failed`, releaseError);
+        }
+      }
+      await addressesChanged(subnetId);
+      throw error;
+    }
+    
+    await addressesChanged(subnetId);
+    logger.info(`Claimed ${ips.length} addresses from ${result.first} to ${result.last} in subnet ${subnetId} for ${hostname}`);
+    
+    return res.status(201).json({
+      ...result,
+      claimed: true,
+      addresses
+    });
+  } catch (error) {
+    logger.error('Failed to allocate IP address range', error);
+    
+    if (error.response && error.response.status === 409) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `${error.response.data?.message || 'IP address is already in use'}, no addresses were claimed`
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to allocate IP address range'
+    });
+  }
+});
+
+/**
+ * @route POST /ipam/dual-stack
+ * @desc Claim one IPv4 and one IPv6 address for the same host, both owned by
+ * the caller. The IPv6 address is picked with mode (and mac for eui64) as in next-available. If
+ * the IPv6 claim fails, the IPv4 address is released again.
+ * @access Private
+ */
+app.post('/ipam/dual-stack', verifyToken, requireUser, async (req, res) => {
+  try {
+    const { ipv4SubnetId, ipv6SubnetId, hostname, description, mode = 'sequential', mac } = req.body;
+    const owner = authenticatedUser(req);
+    
+    if (!ipv4SubnetId || !ipv6SubnetId || !hostname) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'IPv4 subnet ID, IPv6 subnet ID and hostname are required'
+      });
+    }
+    
+    if (!NEXT_AVAILABLE_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Mode must be one of: ${NEXT_AVAILABLE_MODES.join(', ')}`
+      });
+    }
+    
+    const subnets = await Promise.all([fetchSubnet(ipv4SubnetId), fetchSubnet(ipv6SubnetId)]);
+    for (const [subnet, subnetId, version] of [[subnets[0], ipv4SubnetId, 4], [subnets[1], ipv6SubnetId, 6]]) {
+      if (!subnet) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Subnet ${subnetId} not found`
+        });
+      }
+      if (describeSubnet(subnet).version !== version) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Subnet ${subnetId} is not an IPv${version} subnet`
+        });
+      }
+    }
+    
+    let ipv6Ip;
+    if (mode !== 'sequential') {
+      const picked = await pickAddress(ipv6SubnetId, { mode, mac });
+      if (!picked.ip) {
+        return res.status(picked.status).json({
+          error: picked.error,
+          message: picked.message
+        });
+      }
+      ipv6Ip = picked.ip;
+    }
+    
+    const ipv4 = await claimAddress({ subnetId: ipv4SubnetId, hostname, description, owner });
+    
+    let ipv6;
+    try {
+      ipv6 = await claimAddress({ subnetId: ipv6SubnetId, ip: ipv6Ip, hostname, description, owner });
+    } catch (error) {
+      try {
+        await releaseAddress(ipv4);
+        logger.info(`Released ${ipv4.ip} after the IPv6 claim for ${hostname} failed`);
+      } catch (releaseError) {
+        logger.error(`Failed to release ${ipv4.ip} after the IPv6 claim for ${hostname} failed`, releaseError);
+      }
+      await addressesChanged(ipv4SubnetId);
+      throw error;
+    }
+    
+    await addressesChanged(ipv4SubnetId, ipv6SubnetId);
+    logger.info(`Claimed ${ipv4.ip} and ${ipv6.ip} for ${hostname}, owned by ${owner}`);
+    
+    return res.status(201).json({
+      hostname,
+      ipv4,
+      ipv6
+    });
+  } catch (error) {
+    logger.error('Failed to claim dual-stack addresses', error);
+    
+    if (error.response && error.response.status === 409) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: error.response.data?.message || 'IP address is already in use'
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to claim dual-stack addresses'
+    });
+  }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
@@ -360,15 +1244,31 @@ async function setupConsumer() {
         const request = JSON.parse(message.value.toString());
         logger.info(`Processing IP request for subnet: ${request.subnetId}`);
         
-        // Authenticate with phpIPAM API
-        await authenticateIpam();
-        
-        // Get next available IP
-        const appId = process.env.PHPIPAM_API_APP_ID || 'server-name-picker';
-        const response = await phpIpamApi.get(
-          `/${appId}/subnets/${request.subnetId}/first_free/`
-        );
-        const ip = response.data.data;
+        // Claim the address so concurrent requests never get the same one
+        let result;
+        try {
+          if (!request.subnetId || !request.hostname) {
+            throw new Error('Subnet ID and hostname are required');
+          }
+          
+          const problem = request.ip ? await checkClaimIp(request.subnetId, request.ip) : null;
+          if (problem) {
+            throw new Error(problem.message);
+          }
+          
+          const address = await claimAddress({
+            subnetId: request.subnetId,
+            ip: request.ip,
+            hostname: request.hostname,
+            description: request.description,
+            owner: request.owner
+          });
+          await addressesChanged(request.subnetId);
+          
+          result = { ip: address.ip, addressId: address.id, hostname: address.hostname };
+        } catch (error) {
+          result = { ip: null, error: error.response?.data?.message || error.message };
+        }
         
         // Send response message
         await producer.send({
@@ -379,14 +1279,14 @@ async function setupConsumer() {
               value: JSON.stringify({
                 requestId: request.requestId,
                 subnetId: request.subnetId,
-                ip,
+                ...result,
                 timestamp: new Date().toISOString()
               })
             }
           ]
         });
         
-        logger.info(`Processed IP request for subnet ${request.subnetId}: ip=${ip}`);
+        logger.info(`Processed IP request for subnet ${request.subnetId}: ip=${result.ip}${result.error ? `, error=${result.error}` : ''}`);
       } catch (error) {
         logger.error('Error processing Kafka message', error);
       }
@@ -407,6 +1307,10 @@ async function startServer() {
     app.listen(port, () => {
       logger.info(`IPAM service listening on port ${port}`);
     });
+    
+    if (addressPollSeconds > 0) {
+      pollAddresses();
+    }
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -416,6 +1320,7 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  clearTimeout(addressPollTimer);
   await consumer.disconnect();
   await producer.disconnect();
   process.exit(0);
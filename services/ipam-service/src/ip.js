@@ -0,0 +1,179 @@
+const net = require('net');
+
+/**
+ * Parse an IPv4 or IPv6 address into its numeric value
+ * @param {string} ip - Address in any notation Node accepts
+ * @returns {Object|null} version (4 or 6) and value as a BigInt, or null when malformed
+ */
+function parseIp(ip) {
+  const text = String(ip || '').trim();
+  const version = net.isIP(text);
+
+  if (version === 4) {
+    return {
+      version,
+      value: text.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n)
+    };
+  }
+
+  if (version === 6) {
+    let address = text.toLowerCase().split('%')[0];
+
+    // An embedded IPv4 tail, e.g. ::ffff:10.0.0.1, becomes two hex groups
+    const tail = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (tail) {
+      const octets = tail[1].split('.').map(Number);
+      address = address.slice(0, -tail[1].length) +
+        `${((octets[0] << 8) | octets[1]).toString(16)}:${((octets[2] << 8) | octets[3]).toString(16)}`;
+    }
+
+    const [head, rest] = address.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const restGroups = rest ? rest.split(':') : [];
+    const groups = rest === undefined
+      ? headGroups
+      : [...headGroups, ...Array(8 - headGroups.length - restGroups.length).fill('0'), ...restGroups];
+
+    return {
+      version,
+      value: groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Write a parsed address in its canonical text form: dotted quads for IPv4,
+ * and for IPv6 the RFC 5952 form (lowercase, no leading zeros, longest run
+ * of zero groups shortened to ::)
+ * @param {Object} address - Output of parseIp
+ * @returns {string} Address text
+ */
+function formatIp({ version, value }) {
+  const ipv4 = number => [24n, 16n, 8n, 0n].map(shift => (number >> shift) & 0xffn).join('.');
+
+  if (version === 4) {
+    return ipv4(value);
+  }
+
+  // IPv4-mapped addresses keep their dotted tail
+  if (value >> 32n === 0xffffn) {
+    return `::ffff:${ipv4(value & 0xffffffffn)}`;
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(((value >> shift) & 0xffffn).toString(16));
+  }
+
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let start = 0; start < groups.length; start++) {
+    let length = 0;
+    while (groups[start + length] === '0') {
+      length++;
+    }
+    if (length > bestLength) {
+      bestStart = start;
+      bestLength = length;
+    }
+  }
+
+  if (bestStart === -1) {
+    return groups.join(':');
+  }
+  return `${groups.slice(0, bestStart).join(':')}::${groups.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * Rewrite an address in its canonical form
+ * @param {string} ip - Address in any notation Node accepts
+ * @returns {string|null} Canonical address, or null when malformed
+ */
+function canonicalIp(ip) {
+  const parsed = parseIp(ip);
+  return parsed ? formatIp(parsed) : null;
+}
+
+/**
+ * Build the modified EUI-64 interface identifier of a MAC address: ff:fe is
+ * inserted in the middle and the universal/local bit is flipped
+ * @param {string} mac - MAC address, e.g. 52:54:00:12:34:56, 52-54-00-12-34-56 or 5254.0012.3456
+ * @returns {bigint|null} 64-bit interface identifier, or null when malformed
+ */
+function eui64InterfaceId(mac) {
+  const hex = String(mac || '').trim().replace(/[:.-]/g, '');
+  if (!/^[0-9a-f]{12}$/i.test(hex)) {
+    return null;
+  }
+
+  const bytes = hex.match(/../g).map(byte => parseInt(byte, 16));
+  bytes[0] ^= 0x02;
+
+  return [...bytes.slice(0, 3), 0xff, 0xfe, ...bytes.slice(3)]
+    .reduce((value, byte) => (value << 8n) + BigInt(byte), 0n);
+}
+
+/**
+ * Compare two addresses numerically, IPv4 before IPv6 and malformed ones last
+ * @param {string} a - First address
+ * @param {string} b - Second address
+ * @returns {number} Negative, zero or positive
+ */
+function compareIps(a, b) {
+  const parsedA = parseIp(a);
+  const parsedB = parseIp(b);
+  if (!parsedA || !parsedB) {
+    return Number(!parsedA) - Number(!parsedB);
+  }
+  if (parsedA.version !== parsedB.version) {
+    return parsedA.version - parsedB.version;
+  }
+  return parsedA.value < parsedB.value ? -1 : parsedA.value > parsedB.value ? 1 : 0;
+}
+
+/**
+ * Work out the range a subnet covers
+ * @param {string} subnet - Subnet address, e.g. 10.0.0.0
+ * @param {string|number} mask - Prefix length, e.g. 24
+ * @returns {Object|null} version, prefix, and first (network) and last address as BigInts, or null when malformed
+ */
+function parseSubnet(subnet, mask) {
+  const parsed = parseIp(subnet);
+  const prefix = Number(mask);
+  const bits = parsed && parsed.version === 6 ? 128 : 32;
+  if (!parsed || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+    return null;
+  }
+
+  const hostBits = BigInt(bits - prefix);
+  const network = (parsed.value >> hostBits) << hostBits;
+
+  return {
+    version: parsed.version,
+    prefix,
+    network,
+    last: network + (1n << hostBits) - 1n
+  };
+}
+
+/**
+ * Check whether a parsed address lies inside a parsed subnet
+ * @param {Object} range - Output of parseSubnet
+ * @param {Object} address - Output of parseIp
+ * @returns {boolean} True when inside
+ */
+function subnetContains(range, address) {
+  return range.version === address.version && address.value >= range.network && address.value <= range.last;
+}
+
+module.exports = {
+  parseIp,
+  formatIp,
+  canonicalIp,
+  eui64InterfaceId,
+  compareIps,
+  parseSubnet,
+  subnetContains
+};
\ No newline at end of file
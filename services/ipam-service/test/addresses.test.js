@@ -0,0 +1,207 @@
+const {
+  describeSubnet,
+  stateTagId,
+  diffAddresses,
+  checkAddress,
+  freeRanges,
+  pickBlock,
+  subnetStats,
+  pickIpv6Address
+} = require('../src/addresses');
+const { parseIp, parseSubnet, subnetContains } = require('../src/ip');
+
+const subnet = { id: '7', subnet: '10.0.0.0', mask: '28', gateway: { ip_addr: '10.0.0.1' }, description: 'Servers' };
+
+const address = (id, ip, hostname, tag = '2') => ({ id, subnetId: '7', ip, hostname, tag });
+
+const addresses = [
+  address('1', '10.0.0.2', 'web01'),
+  address('2', '10.0.0.3', null, '3'),
+  address('3', '10.0.0.4', 'old01', '1'),
+  address('4', '10.0.0.8', null, '4'),
+  { id: '5', subnetId: '8', ip: '10.0.0.9', hostname: 'elsewhere', tag: '2' }
+];
+
+const ip = text => parseIp(text).value;
+
+describe('describeSubnet', () => {
+  test('adds the version, canonical CIDR and a label', () => {
+    expect(describeSubnet(subnet)).toMatchObject({ version: 4, cidr: '10.0.0.0/28', label: 'IPv4 10.0.0.0/28 - Servers' });
+    expect(describeSubnet({ id: '9', subnet: '2001:0db8::', mask: '64' }))
+      .toMatchObject({ version: 6, cidr: '2001:db8::/64', label: 'IPv6 2001:db8::/64' });
+  });
+
+  test('labels folders by description or ID', () => {
+    expect(describeSubnet({ id: '3', subnet: null, mask: null, description: 'Datacenter' }))
+      .toMatchObject({ version: null, cidr: null, label: 'Datacenter' });
+    expect(describeSubnet({ id: '3' }).label).toBe('3');
+  });
+});
+
+describe('stateTagId', () => {
+  test('finds the tag by name, falling back to the built-in states', () => {
+    expect(stateTagId({ 5: 'Reserved' }, 'reserved')).toBe('5');
+    expect(stateTagId({}, 'DHCP')).toBe('4');
+  });
+});
+
+describe('diffAddresses', () => {
+  test('lists added, removed and renamed addresses', () => {
+    const before = [address('1', '10.0.0.2', 'web01'), address('2', '10.0.0.3', 'web02')];
+    const after = [address('1', '10.0.0.2', 'web11'), address('3', '10.0.0.5', null)];
+
+    expect(diffAddresses(before, after)).toEqual({
+      added: [{ id: '3', subnetId: '7', ip: '10.0.0.5', hostname: null }],
+      removed: [{ id: '2', subnetId: '7', ip: '10.0.0.3', hostname: 'web02' }],
+      renamed: [{ id: '1', subnetId: '7', ip: '10.0.0.2', hostname: 'web11', previousHostname: 'web01' }]
+    });
+  });
+});
+
+describe('checkAddress', () => {
+  const check = text => checkAddress(text, { subnet, addresses });
+
+  test('accepts a free address', () => {
+    expect(check('10.0.0.5')).toEqual({
+      available: true,
+      reason: 'available',
+      message: 'IP address 10.0.0.5 is available in subnet 10.0.0.0/28'
+    });
+  });
+
+  test('rejects malformed and outside addresses', () => {
+    expect(check('10.0.0')).toMatchObject({ available: false, reason: 'invalid-ip' });
+    expect(check('10.0.0.16')).toMatchObject({ available: false, reason: 'outside-subnet' });
+    expect(check('::a00:5')).toMatchObject({ available: false, reason: 'outside-subnet' });
+  });
+
+  test('rejects the network, broadcast and gateway addresses', () => {
+    expect(check('10.0.0.0').reason).toBe('network-address');
+    expect(check('10.0.0.15').reason).toBe('broadcast-address');
+    expect(check('10.0.0.1')).toMatchObject({
+      reason: 'gateway-address',
+      message: 'IP address 10.0.0.1 is the gateway of 10.0.0.0/28'
+    });
+  });
+
+  test('reports the state of addresses phpIPAM holds', () => {
+    expect(check('10.0.0.2')).toMatchObject({
+      reason: 'in-use',
+      state: 'Used',
+      message: 'IP address 10.0.0.2 is already in use by web01',
+      address: { id: '1', hostname: 'web01' }
+    });
+    expect(check('10.0.0.3').reason).toBe('reserved');
+    expect(check('10.0.0.4').reason).toBe('offline');
+    expect(check('10.0.0.8').reason).toBe('dhcp');
+  });
+
+  test('only counts records of the same subnet', () => {
+    expect(check('10.0.0.9').available).toBe(true);
+  });
+
+  test('uses every address of point-to-point subnets', () => {
+    const link = { id: '10', subnet: '10.1.0.0', mask: '31' };
+    expect(checkAddress('10.1.0.0', { subnet: link, addresses: [] }).available).toBe(true);
+    expect(checkAddress('10.1.0.1', { subnet: link, addresses: [] }).available).toBe(true);
+  });
+});
+
+describe('freeRanges', () => {
+  test('lists the runs between held addresses', () => {
+    expect(freeRanges(subnet, addresses)).toEqual([
+      { first: ip('10.0.0.5'), last: ip('10.0.0.7') },
+      { first: ip('10.0.0.9'), last: ip('10.0.0.14') }
+    ]);
+  });
+
+  test('returns nothing for a malformed subnet', () => {
+    expect(freeRanges({ id: '1', subnet: 'folder', mask: '' }, [])).toEqual([]);
+  });
+});
+
+describe('pickBlock', () => {
+  const runs = freeRanges(subnet, addresses);
+
+  test('picks the lowest free addresses across runs', () => {
+    expect(pickBlock(runs, { count: 4 })).toEqual([ip('10.0.0.5'), ip('10.0.0.6'), ip('10.0.0.7'), ip('10.0.0.9')]);
+  });
+
+  test('picks an aligned contiguous block', () => {
+    expect(pickBlock(runs, { count: 3, contiguous: true })).toEqual([ip('10.0.0.5'), ip('10.0.0.6'), ip('10.0.0.7')]);
+    expect(pickBlock(runs, { count: 4, contiguous: true, alignment: 2 }))
+      .toEqual([ip('10.0.0.10'), ip('10.0.0.11'), ip('10.0.0.12'), ip('10.0.0.13')]);
+  });
+
+  test('returns null when the subnet has too few free addresses', () => {
+    expect(pickBlock(runs, { count: 10 })).toBeNull();
+    expect(pickBlock(runs, { count: 7, contiguous: true })).toBeNull();
+    expect(pickBlock(runs, { count: 4, contiguous: true, alignment: 4 })).toBeNull();
+  });
+});
+
+describe('subnetStats', () => {
+  test('counts addresses by state and maps small subnets', () => {
+    const stats = subnetStats(subnet, { addresses, mapLimit: 256, rangeLimit: 1 });
+
+    expect(stats).toMatchObject({
+      version: 4,
+      cidr: '10.0.0.0/28',
+      usable: '14',
+      free: '9',
+      used: 2,
+      reserved: 1,
+      offline: 1,
+      dhcp: 1,
+      utilization: 35.71,
+      freeRangeCount: 2,
+      freeRanges: [{ first: '10.0.0.5', last: '10.0.0.7', size: '3' }]
+    });
+    expect(stats.map).toHaveLength(16);
+    expect(stats.map[0]).toEqual({ ip: '10.0.0.0', state: 'network' });
+    expect(stats.map[1]).toEqual({ ip: '10.0.0.1', state: 'gateway' });
+    expect(stats.map[2]).toEqual({ ip: '10.0.0.2', id: '1', hostname: 'web01', state: 'in-use' });
+    expect(stats.map[15]).toEqual({ ip: '10.0.0.15', state: 'broadcast' });
+  });
+
+  test('leaves out the map of large subnets and counts IPv6 as strings', () => {
+    const stats = subnetStats({ id: '9', subnet: '2001:db8::', mask: '64' }, { addresses: [], mapLimit: 256, rangeLimit: 10 });
+
+    expect(stats.map).toBeNull();
+    expect(stats.usable).toBe('18446744073709551615');
+    expect(stats.utilization).toBe(0);
+  });
+
+  test('returns null for a malformed subnet', () => {
+    expect(subnetStats({ id: '1', subnet: 'folder', mask: '' }, { addresses: [], mapLimit: 1, rangeLimit: 1 })).toBeNull();
+  });
+});
+
+describe('pickIpv6Address', () => {
+  const subnet6 = { id: '9', subnet: '2001:db8::', mask: '64' };
+
+  test('builds an EUI-64 address from a MAC address', () => {
+    expect(pickIpv6Address(subnet6, { mode: 'eui64', mac: '52:54:00:12:34:56', addresses: [] }))
+      .toEqual({ ip: '2001:db8::5054:ff:fe12:3456' });
+  });
+
+  test('reports an EUI-64 address phpIPAM already holds', () => {
+    const held = [{ id: '1', subnetId: '9', ip: '2001:db8::5054:ff:fe12:3456', hostname: 'web01', tag: '2' }];
+    expect(pickIpv6Address(subnet6, { mode: 'eui64', mac: '52:54:00:12:34:56', addresses: held }))
+      .toMatchObject({ ip: null, reason: 'in-use' });
+  });
+
+  test('refuses modes the subnet cannot support', () => {
+    expect(pickIpv6Address(subnet, { mode: 'random', addresses: [] }).error).toMatch(/needs an IPv6 subnet/);
+    expect(pickIpv6Address({ id: '9', subnet: '2001:db8::', mask: '96' }, { mode: 'eui64', mac: '52:54:00:12:34:56', addresses: [] }).error)
+      .toMatch(/need a \/64 or shorter prefix/);
+    expect(pickIpv6Address(subnet6, { mode: 'eui64', mac: 'nope', addresses: [] }).error).toBe("'nope' is not a valid MAC address");
+  });
+
+  test('picks a random address inside the subnet', () => {
+    const { ip: picked } = pickIpv6Address(subnet6, { mode: 'random', addresses: [] });
+
+    expect(subnetContains(parseSubnet('2001:db8::', 64), parseIp(picked))).toBe(true);
+    expect(picked).not.toBe('2001:db8::');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,101 @@
+const {
+  parseIp,
+  formatIp,
+  canonicalIp,
+  eui64InterfaceId,
+  compareIps,
+  parseSubnet,
+  subnetContains
+} = require('../src/ip');
+
+describe('parseIp', () => {
+  test('reads IPv4 and IPv6 addresses as numbers', () => {
+    expect(parseIp('10.0.0.1')).toEqual({ version: 4, value: 0x0a000001n });
+    expect(parseIp(' 255.255.255.255 ')).toEqual({ version: 4, value: 0xffffffffn });
+    expect(parseIp('::1')).toEqual({ version: 6, value: 1n });
+    expect(parseIp('2001:DB8::1')).toEqual({ version: 6, value: 0x20010db8000000000000000000000001n });
+  });
+
+  test('reads IPv6 addresses with an IPv4 tail', () => {
+    expect(parseIp('::ffff:10.0.0.1')).toEqual({ version: 6, value: 0xffff0a000001n });
+  });
+
+  test('rejects anything that is not an address', () => {
+    expect(parseIp('10.0.0')).toBeNull();
+    expect(parseIp('256.0.0.1')).toBeNull();
+    expect(parseIp('web01')).toBeNull();
+    expect(parseIp(undefined)).toBeNull();
+  });
+});
+
+describe('formatIp and canonicalIp', () => {
+  test('write IPv6 in the RFC 5952 form', () => {
+    expect(canonicalIp('2001:0DB8:0000:0000:0000:0000:0000:0001')).toBe('2001:db8::1');
+    expect(canonicalIp('2001:db8:0:0:1:0:0:1')).toBe('2001:db8::1:0:0:1');
+    expect(canonicalIp('2001:db8:0:1:1:1:1:1')).toBe('2001:db8:0:1:1:1:1:1');
+    expect(canonicalIp('0:0:0:0:0:0:0:0')).toBe('::');
+    expect(canonicalIp('fe80:0:0:0:0:0:0:0')).toBe('fe80::');
+  });
+
+  test('keep the dotted tail of IPv4-mapped addresses', () => {
+    expect(canonicalIp('0:0:0:0:0:ffff:a00:1')).toBe('::ffff:10.0.0.1');
+  });
+
+  test('write IPv4 as dotted quads', () => {
+    expect(formatIp({ version: 4, value: 0xc0a80001n })).toBe('192.168.0.1');
+    expect(canonicalIp('010.0.0.1')).toBeNull();
+  });
+});
+
+describe('eui64InterfaceId', () => {
+  test('inserts ff:fe and flips the universal/local bit', () => {
+    expect(eui64InterfaceId('52:54:00:12:34:56')).toBe(0x505400fffe123456n);
+    expect(eui64InterfaceId('52-54-00-12-34-56')).toBe(0x505400fffe123456n);
+    expect(eui64InterfaceId('5254.0012.3456')).toBe(0x505400fffe123456n);
+    expect(eui64InterfaceId('00:1A:2B:3C:4D:5E')).toBe(0x021a2bfffe3c4d5en);
+  });
+
+  test('rejects malformed MAC addresses', () => {
+    expect(eui64InterfaceId('52:54:00:12:34')).toBeNull();
+    expect(eui64InterfaceId('52:54:00:12:34:zz')).toBeNull();
+    expect(eui64InterfaceId(undefined)).toBeNull();
+  });
+});
+
+describe('compareIps', () => {
+  test('sorts numerically, IPv4 before IPv6 and malformed last', () => {
+    const sorted = ['web01', '2001:db8::1', '10.0.0.10', '10.0.0.9', '::1'].sort(compareIps);
+    expect(sorted).toEqual(['10.0.0.9', '10.0.0.10', '::1', '2001:db8::1', 'web01']);
+  });
+});
+
+describe('parseSubnet and subnetContains', () => {
+  test('work out the network and last address', () => {
+    expect(parseSubnet('10.0.0.77', 24)).toEqual({
+      version: 4,
+      prefix: 24,
+      network: 0x0a000000n,
+      last: 0x0a0000ffn
+    });
+    expect(parseSubnet('2001:db8::', '64')).toEqual({
+      version: 6,
+      prefix: 64,
+      network: 0x20010db8000000000000000000000000n,
+      last: 0x20010db800000000ffffffffffffffffn
+    });
+  });
+
+  test('reject malformed subnets and prefix lengths', () => {
+    expect(parseSubnet('10.0.0.0', 33)).toBeNull();
+    expect(parseSubnet('2001:db8::', 129)).toBeNull();
+    expect(parseSubnet('10.0.0.0', 'abc')).toBeNull();
+    expect(parseSubnet('folder', 24)).toBeNull();
+  });
+
+  test('check addresses against the range and version', () => {
+    const range = parseSubnet('10.0.0.0', 24);
+    expect(subnetContains(range, parseIp('10.0.0.255'))).toBe(true);
+    expect(subnetContains(range, parseIp('10.0.1.0'))).toBe(false);
+    expect(subnetContains(range, parseIp('::a00:1'))).toBe(false);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,216 @@
+/**
+ * A small in-memory stand-in for the ProxMox VE API, enough to run the
+ * proxmox-service locally and try out provisioning without a real cluster.
+ *
+ *   npm run mock-proxmox
+ *   PROXMOX_API_URL=http://localhost:8006/api2/json npm start
+ *
+ * Tests require it instead and listen on a port of their own.
+ */
+const express = require('express');
+
+const port = process.env.MOCK_PROXMOX_PORT || 8006;
+
+// Seconds a clone task takes to finish
+const cloneSeconds = parseFloat(process.env.MOCK_CLONE_SECONDS) || 5;
+
+const GIB = 1024 * 1024 * 1024;
+
+const nodes = [
+  { node: 'pve1', status: 'online', cpu: 0.35, maxcpu: 32, mem: 96 * GIB, maxmem: 256 * GIB },
+  { node: 'pve2', status: 'online', cpu: 0.1, maxcpu: 32, mem: 40 * GIB, maxmem: 256 * GIB }
+];
+
+const storages = [
+  { storage: 'local-lvm', content: 'images,rootdir', active: 1, avail: 800 * GIB, total: 1000 * GIB }
+];
+
+const guests = [
+  { vmid: 100, name: 'web01', node: 'pve1', type: 'qemu', status: 'running', template: 0, tags: 'web', description: 'owner: alice\nrole: web', ips: ['10.0.0.10'] },
+  { vmid: 101, name: 'db01', node: 'pve2', type: 'qemu', status: 'running', template: 0, pool: 'databases', description: 'owner: bob\nrole: db', ips: ['10.0.0.11'] },
+  { vmid: 200, name: 'cache01', node: 'pve2', type: 'lxc', status: 'stopped', template: 0 },
+  { vmid: 9000, name: 'ubuntu-22.04', node: 'pve1', type: 'qemu', status: 'stopped', template: 1 },
+  { vmid: 9001, name: 'debian-12', node: 'pve1', type: 'qemu', status: 'stopped', template: 1 }
+];
+
+const tasks = new Map();
+let taskCounter = 0;
+
+/**
+ * Build a task ID in the format ProxMox uses
+ * @param {string} node - Node running the task
+ * @param {string} type - Task type
+ * @param {number} id - Guest the task works on
+ * @returns {string} UPID
+ */
+function createUpid(node, type, id) {
+  const hex = (value, width) => value.toString(16).toUpperCase().padStart(width, '0');
+  taskCounter += 1;
+  return `UPID:${node}:${hex(process.pid, 8)}:${hex(taskCounter, 8)}:${hex(Math.floor(Date.now() / 1000), 8)}:${type}:${id}:root@pam:`;
+}
+
+const findGuest = (vmid) => guests.find(guest => guest.vmid === Number(vmid));
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: false }));
+
+const api = express.Router();
+
+api.get('/cluster/resources', (req, res) => {
+  res.json({ data: guests.map(({ description, ips, ...guest }) => guest) });
+});
+
+api.get('/cluster/nextid', (req, res) => {
+  const used = new Set(guests.map(guest => guest.vmid));
+  let vmid = 100;
+  while (used.has(vmid)) {
+    vmid += 1;
+  }
+  res.json({ data: String(vmid) });
+});
+
+api.get('/nodes', (req, res) => {
+  res.json({ data: nodes });
+});
+
+api.get('/nodes/:node/storage', (req, res) => {
+  res.json({ data: storages });
+});
+
+api.get('/nodes/:node/:kind(qemu|lxc)', (req, res) => {
+  res.json({
+    data: guests
+      .filter(guest => guest.node === req.params.node && guest.type === req.params.kind)
+      .map(({ description, ips, type, ...guest }) => guest)
+  });
+});
+
+api.get('/nodes/:node/:kind(qemu|lxc)/:vmid/config', (req, res) => {
+  const guest = findGuest(req.params.vmid);
+  if (!guest) {
+    return res.status(500).json({ data: null, message: `Configuration file for VM ${req.params.vmid} does not exist` });
+  }
+  res.json({ data: { name: guest.name, description: guest.description, tags: guest.tags, ...guest.config } });
+});
+
+api.get('/nodes/:node/qemu/:vmid/agent/network-get-interfaces', (req, res) => {
+  const guest = findGuest(req.params.vmid);
+  if (!guest || guest.status !== 'running' || !guest.ips) {
+    return res.status(500).json({ data: null, message: 'QEMU guest agent is not running' });
+  }
+  res.json({
+    data: {
+      result: [
+        { name: 'lo', 'ip-addresses': [{ 'ip-address': '127.0.0.1', 'ip-address-type': 'ipv4', prefix: 8 }] },
+        { name: 'eth0', 'ip-addresses': guest.ips.map(ip => ({ 'ip-address': ip, 'ip-address-type': 'ipv4', prefix: 24 })) }
+      ]
+    }
+  });
+});
+
+api.get('/nodes/:node/lxc/:vmid/interfaces', (req, res) => {
+  const guest = findGuest(req.params.vmid);
+  if (!guest || guest.status !== 'running') {
+    return res.status(500).json({ data: null, message: `CT ${req.params.vmid} not running` });
+  }
+  res.json({
+    data: [
+      { name: 'lo', inet: '127.0.0.1/8' },
+      ...(guest.ips || []).map(ip => ({ name: 'eth0', inet: `${ip}/24` }))
+    ]
+  });
+});
+
+api.put('/nodes/:node/qemu/:vmid/config', (req, res) => {
+  const guest = findGuest(req.params.vmid);
+  if (!guest) {
+    return res.status(500).json({ data: null, message: `Configuration file for VM ${req.params.vmid} does not exist` });
+  }
+  const { tags, ...config } = req.body;
+  guest.config = { ...guest.config, ...config };
+  if (tags !== undefined) {
+    guest.tags = tags;
+  }
+  res.json({ data: null });
+});
+
+api.post('/nodes/:node/qemu/:vmid/clone', (req, res) => {
+  const source = findGuest(req.params.vmid);
+  const newid = Number(req.body.newid);
+  if (!source) {
+    return res.status(500).json({ data: null, message: `VM ${req.params.vmid} does not exist` });
+  }
+  if (findGuest(newid)) {
+    return res.status(500).json({ data: null, message: `VM ${newid} already exists` });
+  }
+
+  const upid = createUpid(req.params.node, 'qmclone', source.vmid);
+  const guest = {
+    vmid: newid,
+    name: req.body.name || `Copy-of-VM-${source.name}`,
+    node: req.body.target || source.node,
+    type: 'qemu',
+    status: 'stopped',
+    template: 0,
+    lock: 'clone',
+    pool: req.body.pool
+  };
+  guests.push(guest);
+  tasks.set(upid, { startedAt: Date.now(), guest });
+
+  res.json({ data: upid });
+});
+
+/**
+ * Report a clone task as running until its time is up
+ * @param {string} upid - Task ID
+ * @returns {Object|undefined} Task with its elapsed fraction
+ */
+function taskProgress(upid) {
+  const task = tasks.get(upid);
+  if (!task) {
+    return undefined;
+  }
+  const fraction = Math.min(1, (Date.now() - task.startedAt) / (cloneSeconds * 1000));
+  if (fraction === 1) {
+    delete task.guest.lock;
+  }
+  return { task, fraction };
+}
+
+api.get('/nodes/:node/tasks/:upid/status', (req, res) => {
+  const progress = taskProgress(req.params.upid);
+  if (!progress) {
+    return res.status(500).json({ data: null, message: 'no such task' });
+  }
+  res.json({
+    data: progress.fraction === 1
+      ? { upid: req.params.upid, status: 'stopped', exitstatus: 'OK' }
+      : { upid: req.params.upid, status: 'running' }
+  });
+});
+
+api.get('/nodes/:node/tasks/:upid/log', (req, res) => {
+  const progress = taskProgress(req.params.upid);
+  if (!progress) {
+    return res.status(500).json({ data: null, message: 'no such task' });
+  }
+  const percent = (progress.fraction * 100).toFixed(2);
+  res.json({
+    data: [
+      { n: 1, t: `create full clone of drive scsi0 (local-lvm:base-${progress.task.guest.vmid}-disk-0)` },
+      { n: 2, t: `transferred ${percent}% of disk` }
+    ]
+  });
+});
+
+app.use('/api2/json', api);
+
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`Mock ProxMox API listening on http://localhost:${port}/api2/json`);
+  });
+}
+
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,113 @@
+const fs = require('fs');
+const https = require('https');
+const axios = require('axios');
+
+// Default per-request timeout so an unreachable cluster fails fast
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Create the API client for one ProxMox cluster
+ * @param {Object} config - Cluster configuration
+ * @param {string} config.name - Cluster name used to tag results
+ * @param {string} config.url - API base URL, e.g. https://pve.example.com/api2/json
+ * @param {string} config.tokenName - API token ID (user@realm!token)
+ * @param {string} config.tokenValue - API token secret
+ * @param {boolean} [config.verifySsl=true] - Verify the cluster's TLS certificate
+ * @param {string} [config.caFile] - CA bundle used to verify the certificate
+ * @param {number} [config.timeout] - Request timeout in milliseconds
+ * @returns {Object} Cluster with its name and axios client
+ */
+function createClusterClient(config) {
+  const api = axios.create({
+    baseURL: config.url,
+    headers: {
+      'Authorization': `PVEAPIToken=${config.tokenName}=${config.tokenValue}`
+    },
+    timeout: config.timeout || DEFAULT_TIMEOUT_MS,
+    validateStatus: (status) => status >= 200 && status < 300
+  });
+
+  if (config.verifySsl === false || config.caFile) {
+    api.defaults.httpsAgent = new https.Agent({
+      rejectUnauthorized: config.verifySsl !== false,
+      ca: config.caFile ? fs.readFileSync(config.caFile) : undefined
+    });
+  }
+
+  return {
+    name: config.name,
+    api
+  };
+}
+
+/**
+ * Load the configured ProxMox clusters. Without a clusters file, a single
+ * cluster is built from the PROXMOX_API_* environment variables.
+ * @param {string} [filePath] - Path to the clusters file
+ * @param {Object} logger - Logger
+ * @returns {Array<Object>} Clusters with their API clients
+ */
+function loadClusters(filePath, logger) {
+  if (!filePath) {
+    return [createClusterClient({
+      name: process.env.PROXMOX_CLUSTER_NAME || 'default',
+      url: process.env.PROXMOX_API_URL || 'https://proxmox.example.com/api2/json',
+      tokenName: process.env.PROXMOX_API_TOKEN_NAME,
+      tokenValue: process.env.PROXMOX_API_TOKEN_VALUE,
+      verifySsl: process.env.PROXMOX_API_VERIFY_SSL !== 'false'
+    })];
+  }
+
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const definitions = Array.isArray(content) ? content : content.clusters || [];
+
+  const clusters = definitions.map(definition => {
+    if (!definition.name || !definition.url) {
+      throw new Error('ProxMox cluster requires a name and a url');
+    }
+
+    // Secrets can be kept out of the file by naming the variable that holds them
+    return createClusterClient({
+      ...definition,
+      tokenValue: definition.tokenValueEnv ? process.env[definition.tokenValueEnv] : definition.tokenValue
+    });
+  });
+
+  logger.info(`Loaded ${clusters.length} ProxMox clusters from ${filePath}`);
+
+  return clusters;
+}
+
+/**
+ * Run a query against every cluster in parallel. A failing cluster does not
+ * fail the whole query; it is reported in errors instead.
+ * @param {Array<Object>} clusters - Clusters to query
+ * @param {Function} query - Async function called with each cluster
+ * @param {Object} logger - Logger
+ * @returns {Promise<Object>} Per-cluster results and errors
+ */
+async function queryClusters(clusters, query, logger) {
+  const outcomes = await Promise.allSettled(clusters.map(cluster => query(cluster)));
+
+  const results = [];
+  const errors = [];
+
+  outcomes.forEach((outcome, index) => {
+    const cluster = clusters[index].name;
+
+    if (outcome.status === 'fulfilled') {
+      results.push({ cluster, value: outcome.value });
+    } else {
+      logger.error(`ProxMox cluster '${cluster}' query failed: ${outcome.reason.message}`);
+      errors.push({ cluster, message: outcome.reason.message });
+    }
+  });
+
+  return { results, errors };
+}
+
+module.exports = {
+  createClusterClient,
+  loadClusters,
+  queryClusters
+};
\ No newline at end of file
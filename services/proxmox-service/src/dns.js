@@ -0,0 +1,213 @@
+const fs = require('fs');
+const { Resolver } = require('dns').promises;
+
+// Resolver error codes that mean "this name does not exist"
+const NOT_FOUND_CODES = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+
+// Record types looked up for each candidate name
+const RECORD_TYPES = ['A', 'AAAA', 'CNAME'];
+
+/**
+ * Parse a comma-separated environment variable into a list
+ * @param {string} value - Raw variable value
+ * @returns {Array<string>} Non-empty entries
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Strip the trailing dot and lowercase a domain name
+ * @param {string} name - Domain name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Parse the A, AAAA and CNAME records out of a BIND-style zone file
+ * @param {string} content - Zone file content
+ * @param {string} [origin] - Origin used until a $ORIGIN directive is seen
+ * @returns {Map<string, Array<Object>>} Records keyed by fully qualified name
+ */
+function parseZoneFile(content, origin = '') {
+  const records = new Map();
+  let currentOrigin = normalizeName(origin);
+  let lastOwner = currentOrigin;
+
+  const qualify = (name) => {
+    if (name === '@') {
+      return currentOrigin;
+    }
+    if (name.endsWith('.')) {
+      return normalizeName(name);
+    }
+    return normalizeName(currentOrigin ? `${name}.${currentOrigin}` : name);
+  };
+
+  content.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/;.*$/, '');
+    if (!line.trim()) {
+      return;
+    }
+
+    const fields = line.trim().split(/\s+/);
+
+    if (fields[0].toUpperCase() === '$ORIGIN') {
+      currentOrigin = normalizeName(fields[1]);
+      return;
+    }
+    if (fields[0].startsWith('$')) {
+      return;
+    }
+
+    // A line starting with whitespace reuses the previous owner name
+    let owner = lastOwner;
+    if (!/^\s/.test(line)) {
+      owner = qualify(fields.shift());
+    }
+    lastOwner = owner;
+
+    // Skip optional TTL and class to find the record type
+    const typeIndex = fields.findIndex(field => RECORD_TYPES.includes(field.toUpperCase()));
+    if (typeIndex === -1) {
+      return;
+    }
+
+    const type = fields[typeIndex].toUpperCase();
+    const value = fields[typeIndex + 1];
+
+    if (!records.has(owner)) {
+      records.set(owner, []);
+    }
+    records.get(owner).push({ type, value: type === 'CNAME' ? qualify(value) : value });
+  });
+
+  return records;
+}
+
+/**
+ * Build the DNS availability provider from environment variables
+ * @param {Object} env - Environment, usually process.env
+ * @param {Object} logger - Logger
+ * @returns {Object} Provider with an enabled flag and a check function
+ */
+function createDnsProvider(env, logger) {
+  const zones = parseList(env.DNS_ZONES).map(normalizeName);
+  const servers = parseList(env.DNS_RESOLVERS);
+  const enabled = env.DNS_CHECK_ENABLED === 'true';
+
+  let zoneRecords = null;
+  if (env.DNS_ZONE_FILE) {
+    zoneRecords = parseZoneFile(fs.readFileSync(env.DNS_ZONE_FILE, 'utf8'), env.DNS_ZONE_FILE_ORIGIN || zones[0]);
+    logger.info(`Loaded ${zoneRecords.size} names from zone file ${env.DNS_ZONE_FILE}`);
+  }
+
+  const resolver = new Resolver({
+    timeout: parseInt(env.DNS_TIMEOUT_MS) || 2000,
+    tries: 1
+  });
+  if (servers.length > 0) {
+    resolver.setServers(servers);
+  }
+
+  /**
+   * Names to look up for a hostname: itself if fully qualified, otherwise
+   * the short name in every configured zone
+   * @param {string} hostname - Candidate hostname
+   * @returns {Array<string>} Fully qualified names
+   */
+  const candidateNames = (hostname) => {
+    const name = normalizeName(hostname);
+    if (name.includes('.') || zones.length === 0) {
+      return [name];
+    }
+    return zones.map(zone => `${name}.${zone}`);
+  };
+
+  /**
+   * Resolve one name against the live resolvers
+   * @param {string} fqdn - Fully qualified name
+   * @returns {Promise<Array<Object>>} Records found
+   */
+  const resolveName = async (fqdn) => {
+    const lookups = {
+      A: () => resolver.resolve4(fqdn),
+      AAAA: () => resolver.resolve6(fqdn),
+      CNAME: () => resolver.resolveCname(fqdn)
+    };
+
+    const records = [];
+    for (const type of RECORD_TYPES) {
+      try {
+        const values = await lookups[type]();
+        values.forEach(value => records.push({ fqdn, type, value }));
+      } catch (error) {
+        if (!NOT_FOUND_CODES.includes(error.code)) {
+          throw error;
+        }
+      }
+    }
+
+    return records;
+  };
+
+  /**
+   * Check whether a hostname already exists in DNS
+   * @param {string} hostname - Candidate hostname
+   * @returns {Promise<Object>} Source result: available is null if DNS could not be queried
+   */
+  const check = async (hostname) => {
+    const names = candidateNames(hostname);
+    const records = [];
+    const errors = [];
+
+    if (zoneRecords) {
+      names.forEach(fqdn => {
+        (zoneRecords.get(fqdn) || []).forEach(record => records.push({ fqdn, ...record, source: 'zone-file' }));
+      });
+    }
+
+    // The zone file alone is enough when no live resolver lookups are wanted
+    if (!zoneRecords || servers.length > 0) {
+      const outcomes = await Promise.allSettled(names.map(resolveName));
+      outcomes.forEach((outcome, index) => {
+        if (outcome.status === 'fulfilled') {
+          outcome.value.forEach(record => records.push({ ...record, source: 'resolver' }));
+        } else {
+          logger.warn(`DNS lookup for ${names[index]} failed: ${outcome.reason.message}`);
+          errors.push({ fqdn: names[index], message: outcome.reason.message });
+        }
+      });
+    }
+
+    if (records.length > 0) {
+      return {
+        available: false,
+        message: `${records[0].fqdn} already has a ${records[0].type} record (${records[0].value})`,
+        records,
+        errors
+      };
+    }
+
+    return {
+      available: errors.length > 0 ? null : true,
+      records,
+      errors
+    };
+  };
+
+  return {
+    enabled,
+    check
+  };
+}
+
+module.exports = {
+  parseZoneFile,
+  createDnsProvider
+};
\ No newline at end of file
@@ -5,9 +5,45 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { Kafka } = require('kafkajs');
 const winston = require('winston');
-const axios = require('axios');
 const NodeCache = require('node-cache');
 const rateLimit = require('express-rate-limit');
+const path = require('path');
+const {
+  loadNamingPolicies,
+  validateSegments,
+  allocateFromPolicy,
+  describePolicy
+} = require('./naming');
+const {
+  SEQUENCE_MODES,
+  DEFAULT_SEQUENCE_MODE,
+  allocateFromPrefix
+} = require('./sequence');
+const {
+  GUEST_TYPES,
+  forEachWithConcurrency,
+  fetchAddressesForGuests,
+  fetchNotesForGuests,
+  fetchNodeGuests,
+  fetchGuests,
+  findGuestByName,
+  filterGuests,
+  diffGuests,
+  describeGuest
+} = require('./inventory');
+const { loadClusters, queryClusters } = require('./clusters');
+const { loadHostnameRules, validateHostname } = require('./validation');
+const { findSimilarNames } = require('./similarity');
+const { createDnsProvider } = require('./dns');
+const { createReservationStore } = require('./reservations');
+const { createTombstoneStore } = require('./tombstones');
+const { resolveAntiAffinityPrefix, rankNodes } = require('./placement');
+const { parseListQuery, applyListQuery } = require('server-name-picker-common');
+const {
+  loadTemplates,
+  validateNetwork,
+  createProvisioner
+} = require('./provisioning');
 
 // Initialize logger
 const logger = winston.createLogger({
@@ -36,6 +72,120 @@ const cache = new NodeCache({
   checkperiod: 120
 });
 
+// Load hostname naming policies
+const namingPolicies = loadNamingPolicies(
+  process.env.NAMING_POLICIES_FILE
+    ? path.resolve(process.env.NAMING_POLICIES_FILE)
+    : path.join(__dirname, '..', 'config', 'naming-policies.json'),
+  logger
+);
+
+// Organisation hostname rules applied on top of RFC 1123
+const hostnameRules = loadHostnameRules(process.env);
+
+// Near-duplicate detection defaults, callers can override both per request
+const similarityMaxDistance = process.env.SIMILARITY_MAX_DISTANCE
+  ? parseInt(process.env.SIMILARITY_MAX_DISTANCE)
+  : 1;
+const similarityBlocking = process.env.SIMILARITY_BLOCKING === 'true';
+
+// DNS is checked alongside ProxMox when enabled
+const dnsProvider = createDnsProvider(process.env, logger);
+
+// Hostname reservations survive restarts in a JSON file
+const reservationStore = createReservationStore(
+  process.env.RESERVATIONS_FILE
+    ? path.resolve(process.env.RESERVATIONS_FILE)
+    : path.join(__dirname, '..', 'data', 'reservations.json'),
+  logger
+);
+const defaultLeaseSeconds = parseInt(process.env.RESERVATION_LEASE_SECONDS) || 3600;
+const maxLeaseSeconds = parseInt(process.env.RESERVATION_MAX_LEASE_SECONDS) || 7 * 24 * 3600;
+
+// Names of deleted guests stay blocked for a quarantine period
+const tombstoneQuarantineDays = process.env.TOMBSTONE_QUARANTINE_DAYS
+  ? parseFloat(process.env.TOMBSTONE_QUARANTINE_DAYS)
+  : 30;
+const tombstoneStore = createTombstoneStore(
+  process.env.TOMBSTONES_FILE
+    ? path.resolve(process.env.TOMBSTONES_FILE)
+    : path.join(__dirname, '..', 'data', 'tombstones.json'),
+  tombstoneQuarantineDays * 24 * 3600,
+  logger
+);
+const adminUsers = (process.env.ADMIN_USERS || '')
+  .split(',')
+  .map(user => user.trim())
+  .filter(Boolean);
+
+// Guests are polled in the background and the host list is served from the
+// latest snapshot while it is no older than one poll interval. Availability
+// checks always read the current guest names. 0 disables polling.
+const inventoryPollSeconds = process.env.INVENTORY_POLL_INTERVAL
+  ? parseInt(process.env.INVENTORY_POLL_INTERVAL)
+  : 30;
+let inventorySnapshot = null;
+let inventoryRefresh = null;
+let inventoryPollTimer = null;
+const knownGuests = new Map();
+
+// Node fan-out for /proxmox/vms
+const nodeConcurrency = parseInt(process.env.PROXMOX_NODE_CONCURRENCY) || 4;
+const nodeTimeoutMs = parseInt(process.env.PROXMOX_NODE_TIMEOUT_MS) || 10000;
+
+// Guests whose names start with one of these prefixes are spread across nodes
+const antiAffinityPrefixes = (process.env.PLACEMENT_ANTI_AFFINITY_PREFIXES || '')
+  .split(',')
+  .map(prefix => prefix.trim())
+  .filter(Boolean);
+
+// Templates new guests are cloned from
+const templates = loadTemplates(
+  process.env.PROVISION_TEMPLATES_FILE
+    ? path.resolve(process.env.PROVISION_TEMPLATES_FILE)
+    : path.join(__dirname, '..', 'config', 'templates.json'),
+  logger
+);
+
+// Reservations the provision endpoint took out itself to hold a name during the clone
+const provisionalReservations = new Set();
+
+// A finished clone uses up its reservation and changes the inventory. A failed
+// clone gives back a name held only for the clone, but keeps the caller's own.
+const provisioner = createProvisioner({
+  logger,
+  pollIntervalMs: parseInt(process.env.PROVISION_POLL_INTERVAL_MS) || 2000,
+  maxDurationMs: parseInt(process.env.PROVISION_TIMEOUT_MS) || 3600 * 1000,
+  onFinished: (job) => {
+    const provisional = provisionalReservations.delete(job.reservationId);
+    if (job.status !== 'completed') {
+      if (provisional) {
+        reservationStore.release(job.reservationId);
+      }
+      return;
+    }
+    if (job.reservationId) {
+      reservationStore.release(job.reservationId);
+    }
+    refreshInventory().catch(error => logger.error('Inventory refresh after provisioning failed', error));
+  }
+});
+
+// ProxMox tag names
+const TAG_PATTERN = /^[a-z0-9_][a-z0-9_+.-]*$/i;
+
+// ProxMox node names and the range of guest IDs it accepts
+const NODE_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i;
+const MIN_VMID = 100;
+const MAX_VMID = 999999999;
+
+// Fields /proxmox/hosts can be sorted by
+const HOST_SORT_FIELDS = ['name', 'id', 'type', 'cluster', 'node', 'status', 'owner', 'role', 'pool'];
+
+// Batch allocation limits
+const MAX_BATCH_COUNT = 100;
+const MAX_BATCH_ROUNDS = 5;
+
 // Initialize Express app
 const app = express();
 const port = process.env.PORT || 8002;
@@ -69,45 +219,365 @@ const verifyToken = (req, res, next) => {
   next();
 };
 
-// Create the ProxMox API client
-const proxmoxApi = axios.create({
-  baseURL: process.env.PROXMOX_API_URL || 'https://proxmox.example.com/api2/json',
-  headers: {
-    'Authorization': `PVEAPIToken=${process.env.PROXMOX_API_TOKEN_NAME}=${process.env.PROXMOX_API_TOKEN_VALUE}`
-  },
-  validateStatus: (status) => status >= 200 && status < 300
-});
+/**
+ * The user the API gateway verified from the caller's JWT. The service is only
+ * reachable through the gateway, which sets this header itself.
+ * @param {Object} req - Express request
+ * @returns {string|null} User ID, or null when the gateway did not send one
+ */
+const authenticatedUser = (req) => req.get('X-Authenticated-User') || null;
+
+// Middleware for routes that act on someone's reservations
+const requireUser = (req, res, next) => {
+  if (!authenticatedUser(req)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'A verified user is required'
+    });
+  }
+  
+  next();
+};
 
-if (process.env.PROXMOX_API_VERIFY_SSL === 'false') {
-  proxmoxApi.defaults.httpsAgent = new (require('https').Agent)({ 
-    rejectUnauthorized: false 
+/**
+ * A reservation as shown to someone other than its owner: renew and release
+ * act on the ID, so only the owner gets to see it
+ * @param {Object} reservation - Reservation
+ * @returns {Object} Reservation without its id
+ */
+const withoutId = ({ id, ...reservation }) => reservation;
+
+/**
+ * Keep a reservation ID only when the reservation belongs to the caller, so
+ * nobody can pass another user's reservation off as their own
+ * @param {Object} req - Express request
+ * @param {string} [reservationId] - Reservation ID from the request
+ * @returns {string|undefined} The ID, or undefined when it is not the caller's
+ */
+const ownReservationId = (req, reservationId) => {
+  const reservation = reservationId && reservationStore.get(reservationId);
+  return reservation && reservation.owner === authenticatedUser(req) ? reservationId : undefined;
+};
+
+// Create the ProxMox API clients, one per cluster
+const clusters = loadClusters(
+  process.env.PROXMOX_CLUSTERS_FILE ? path.resolve(process.env.PROXMOX_CLUSTERS_FILE) : null,
+  logger
+);
+
+/**
+ * Query every cluster in parallel, caching each cluster's result separately
+ * so that an unreachable cluster never poisons the cache for the others
+ * @param {string} cacheKey - Cache key prefix
+ * @param {Function} query - Async function called with each cluster
+ * @returns {Promise<Object>} Per-cluster results and errors
+ */
+async function queryClustersCached(cacheKey, query) {
+  return queryClusters(clusters, async (cluster) => {
+    const clusterCacheKey = `${cacheKey}_${cluster.name}`;
+    const cached = cache.get(clusterCacheKey);
+    
+    if (cached) {
+      logger.debug(`Returning cached ${cacheKey} for cluster ${cluster.name}`);
+      return cached;
+    }
+    
+    const value = await query(cluster);
+    cache.set(clusterCacheKey, value);
+    
+    return value;
+  }, logger);
+}
+
+/**
+ * Record each reachable cluster's guest names so that deleted guests are
+ * tombstoned
+ * @param {Array<Object>} results - Per-cluster guest lists from queryClusters
+ */
+function observeInventory(results) {
+  if (tombstoneQuarantineDays <= 0) {
+    return;
+  }
+  results.forEach(({ cluster, value }) => {
+    tombstoneStore.observe(cluster, value.map(guest => guest.name));
   });
 }
 
+/**
+ * Add the IPs each running guest reports. Addresses are cached per cluster
+ * until its inventory changes; guests not seen before are read on demand.
+ * @param {Array<Object>} guests - Guest entries from the inventory snapshot
+ * @returns {Promise<Array<Object>>} Copies of the guests with ips set
+ */
+async function attachGuestAddresses(guests) {
+  const lists = await Promise.all(clusters.map(async (cluster) => {
+    const cacheKey = `proxmox_hosts_addresses_${cluster.name}`;
+    const known = cache.get(cacheKey) || new Map();
+    const clusterGuests = guests.filter(guest => guest.cluster === cluster.name);
+    
+    const missing = clusterGuests.filter(guest => !known.has(guest.id));
+    if (missing.length > 0) {
+      const fetched = await fetchAddressesForGuests(cluster, missing);
+      fetched.forEach((ips, id) => known.set(id, ips));
+      cache.set(cacheKey, known);
+    }
+    
+    return clusterGuests.map(guest => ({ ...guest, ips: known.get(guest.id) }));
+  }));
+  
+  return lists.flat();
+}
+
+/**
+ * Add each guest's notes, with the owner and role parsed from them. Notes are
+ * cached per cluster and only guests not seen before, or renamed since, are read.
+ * @param {Array<Object>} guests - Guest entries from the inventory snapshot
+ * @returns {Promise<Array<Object>>} Copies of the guests with notes, owner, role and metadata set
+ */
+async function attachGuestNotes(guests) {
+  const lists = await Promise.all(clusters.map(async (cluster) => {
+    const cacheKey = `proxmox_hosts_notes_${cluster.name}`;
+    const known = cache.get(cacheKey) || new Map();
+    const clusterGuests = guests.filter(guest => guest.cluster === cluster.name);
+    
+    const missing = clusterGuests.filter(guest => !known.has(guest.id));
+    if (missing.length > 0) {
+      const fetched = await fetchNotesForGuests(cluster, missing);
+      fetched.forEach((notes, id) => known.set(id, notes));
+      cache.set(cacheKey, known);
+    }
+    
+    return clusterGuests.map(guest => ({ ...guest, ...known.get(guest.id) }));
+  }));
+  
+  return lists.flat();
+}
+
+/**
+ * Tell other services about guests that appeared, disappeared or were renamed
+ * on a cluster, and drop the cached listings for that cluster
+ * @param {string} clusterName - Cluster the changes were seen on
+ * @param {Object} changes - Output of diffGuests
+ */
+async function publishInventoryChange(clusterName, changes) {
+  // Notes of removed or renamed guests are read again, the others stay cached
+  const notesKey = `proxmox_hosts_notes_${clusterName}`;
+  const notes = cache.get(notesKey);
+  if (notes) {
+    [...changes.removed, ...changes.renamed].forEach(guest => notes.delete(guest.id));
+    cache.set(notesKey, notes);
+  }
+  
+  cache.del([
+    `proxmox_hosts_addresses_${clusterName}`,
+    ...cache.keys().filter(key => key.startsWith(`proxmox_vms_${clusterName}_`))
+  ]);
+  
+  logger.info(`Inventory changed on cluster ${clusterName}: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.renamed.length} renamed`);
+  
+  try {
+    await producer.send({
+      topic: process.env.KAFKA_TOPIC_INVENTORY_CHANGED || 'inventory-changed',
+      messages: [
+        {
+          key: clusterName,
+          value: JSON.stringify({
+            source: 'proxmox',
+            cluster: clusterName,
+            ...changes,
+            timestamp: new Date().toISOString()
+          })
+        }
+      ]
+    });
+  } catch (error) {
+    logger.error('Failed to publish inventory change', error);
+  }
+}
+
+/**
+ * Fetch every guest across all clusters, one request per cluster, and make it
+ * the current snapshot. Each reachable cluster is compared with its previous
+ * poll so changes are published, and recorded for tombstones. Concurrent
+ * callers share one fetch.
+ * @returns {Promise<Object>} Guests from reachable clusters and errors for the others
+ */
+function refreshInventory() {
+  if (!inventoryRefresh) {
+    inventoryRefresh = (async () => {
+      const { results, errors } = await queryClusters(clusters, cluster => fetchGuests(cluster), logger);
+      observeInventory(results);
+      
+      for (const { cluster, value } of results) {
+        const previous = knownGuests.get(cluster);
+        knownGuests.set(cluster, value);
+        
+        if (previous) {
+          const changes = diffGuests(previous, value);
+          if (changes.added.length + changes.removed.length + changes.renamed.length > 0) {
+            await publishInventoryChange(cluster, changes);
+          }
+        }
+      }
+      
+      inventorySnapshot = {
+        guests: results.flatMap(result => result.value),
+        errors,
+        takenAt: Date.now()
+      };
+      return inventorySnapshot;
+    })().finally(() => {
+      inventoryRefresh = null;
+    });
+  }
+  
+  return inventoryRefresh;
+}
+
+/**
+ * Get every guest across all clusters: the polled snapshot while it is no
+ * older than one poll interval, otherwise a new fetch
+ * @returns {Promise<Object>} Guests from reachable clusters and errors for the others
+ */
+async function fetchInventory() {
+  const maxAge = inventoryPollSeconds * 1000;
+  if (inventorySnapshot && Date.now() - inventorySnapshot.takenAt < maxAge) {
+    return inventorySnapshot;
+  }
+  
+  return refreshInventory();
+}
+
+/**
+ * Poll the inventory, then schedule the next poll
+ */
+async function pollInventory() {
+  try {
+    await refreshInventory();
+  } catch (error) {
+    logger.error('Inventory poll failed', error);
+  }
+  
+  inventoryPollTimer = setTimeout(pollInventory, inventoryPollSeconds * 1000);
+}
+
+/**
+ * Check a hostname against every availability source. Each source reports
+ * available as true, false, or null when it could not give an answer.
+ * @param {string} hostname - Hostname to check
+ * @param {Object} options
+ * @param {number} options.maxDistance - Largest edit distance reported as similar
+ * @param {boolean} options.blockSimilar - Whether similar names make the hostname unavailable
+ * @param {string} [options.reservationId] - The caller's own reservation, which does not block
+ * @param {Object} [options.inventory] - Guests and cluster errors already fetched by the caller
+ * @returns {Promise<Object>} Overall availability, per-source results and the guest list
+ */
+async function checkHostnameAvailability(hostname, { maxDistance, blockSimilar, reservationId, inventory }) {
+  const [{ guests, errors }, dnsResult] = await Promise.all([
+    inventory || refreshInventory(),
+    dnsProvider.enabled ? dnsProvider.check(hostname) : null
+  ]);
+  
+  // A VM, container or template already using the name
+  const collision = findGuestByName(guests, hostname);
+  const sources = {
+    proxmox: {
+      available: collision ? false : errors.length > 0 ? null : true,
+      message: collision
+        ? `Hostname '${hostname}' is already in use by ${describeGuest(collision)} on cluster ${collision.cluster}`
+        : errors.length > 0
+          ? `Could not reach ProxMox cluster(s): ${errors.map(e => e.cluster).join(', ')}`
+          : undefined,
+      collision,
+      errors
+    }
+  };
+  
+  // Names held between checking and creating the VM
+  const reservation = reservationStore.findByHostname(hostname);
+  const heldByOther = reservation && reservation.id !== reservationId;
+  sources.reservations = {
+    available: !heldByOther,
+    message: heldByOther
+      ? `Hostname '${hostname}' is reserved by ${reservation.owner}${reservation.ticket ? ` (${reservation.ticket})` : ''} until ${reservation.expiresAt}`
+      : undefined,
+    reservation: heldByOther ? withoutId(reservation) : reservation
+  };
+  
+  // Names of recently deleted guests that other systems may still refer to
+  const tombstone = tombstoneStore.findByHostname(hostname);
+  sources.tombstones = {
+    available: !tombstone,
+    message: tombstone
+      ? `Hostname '${hostname}' was recently retired on ${tombstone.retiredAt.slice(0, 10)}, available after ${tombstone.availableAt.slice(0, 10)}`
+      : undefined,
+    tombstone
+  };
+  
+  if (dnsResult) {
+    sources.dns = {
+      ...dnsResult,
+      message: dnsResult.available === null
+        ? `Could not verify '${hostname}' in DNS`
+        : dnsResult.message
+    };
+  }
+  
+  // Names that are easy to mix up with this one
+  const similar = findSimilarNames(hostname, guests, { maxDistance });
+  
+  const results = Object.values(sources);
+  const blocking = results.find(result => result.available === false);
+  const unknown = results.find(result => result.available === null);
+  
+  let available = true;
+  let message;
+  if (blocking) {
+    available = false;
+    message = blocking.message;
+  } else if (unknown) {
+    available = null;
+    message = unknown.message;
+  } else if (blockSimilar && similar.length > 0) {
+    // Near matches only block the name when the caller asks for it
+    available = false;
+    message = `Hostname '${hostname}' is too similar to existing hostname '${similar[0].name}'`;
+  }
+  
+  return {
+    available,
+    message,
+    sources,
+    collision,
+    similar,
+    guests
+  };
+}
+
 /**
  * @route GET /proxmox/nodes
- * @desc Get list of ProxMox nodes
+ * @desc Get list of ProxMox nodes across all clusters
  * @access Private
  */
 app.get('/proxmox/nodes', verifyToken, async (req, res) => {
   try {
-    // Check cache first
-    const cacheKey = 'proxmox_nodes';
-    const cachedNodes = cache.get(cacheKey);
+    const { results, errors } = await queryClustersCached('proxmox_nodes', async (cluster) => {
+      const response = await cluster.api.get('/nodes');
+      return response.data.data.map(node => ({ ...node, cluster: cluster.name }));
+    });
     
-    if (cachedNodes) {
-      logger.debug('Returning cached ProxMox nodes');
-      return res.status(200).json(cachedNodes);
+    if (results.length === 0 && errors.length > 0) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: 'No ProxMox cluster could be reached',
+        errors
+      });
     }
     
-    // Call ProxMox API
-    const response = await proxmoxApi.get('/nodes');
-    const nodes = response.data.data;
-    
-    // Cache the result
-    cache.set(cacheKey, nodes);
-    
-    return res.status(200).json(nodes);
+    return res.status(200).json({
+      nodes: results.flatMap(result => result.value),
+      errors
+    });
   } catch (error) {
     logger.error('Failed to get ProxMox nodes', error);
     
@@ -118,37 +588,76 @@ app.get('/proxmox/nodes', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Get the guests on every node of a cluster, a few nodes at a time. Each
+ * node's guests are cached separately, and a node that is offline, slow or
+ * failing is reported instead of failing the whole cluster.
+ * @param {Object} cluster - Cluster with its name and API client
+ * @returns {Promise<Object>} Guests from the nodes that answered and errors for the others
+ */
+async function fetchClusterVms(cluster) {
+  const nodesCacheKey = `proxmox_nodes_${cluster.name}`;
+  let nodes = cache.get(nodesCacheKey);
+  if (!nodes) {
+    const nodesResponse = await cluster.api.get('/nodes');
+    nodes = nodesResponse.data.data.map(node => ({ ...node, cluster: cluster.name }));
+    cache.set(nodesCacheKey, nodes);
+  }
+  
+  const nodeVms = [];
+  const errors = [];
+  
+  await forEachWithConcurrency(nodes, nodeConcurrency, async (node, index) => {
+    if (node.status && node.status !== 'online') {
+      errors.push({ cluster: cluster.name, node: node.node, message: `Node is ${node.status}` });
+      return;
+    }
+    
+    const cacheKey = `proxmox_vms_${cluster.name}_${node.node}`;
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      nodeVms[index] = cached;
+      return;
+    }
+    
+    try {
+      nodeVms[index] = await fetchNodeGuests(cluster, node.node, { timeout: nodeTimeoutMs });
+      cache.set(cacheKey, nodeVms[index]);
+    } catch (error) {
+      logger.warn(`ProxMox node ${node.node} on cluster ${cluster.name} query failed: ${error.message}`);
+      errors.push({ cluster: cluster.name, node: node.node, message: error.message });
+    }
+  });
+  
+  return {
+    vms: nodeVms.filter(Boolean).flat(),
+    errors
+  };
+}
+
 /**
  * @route GET /proxmox/vms
- * @desc Get list of VMs across all nodes
+ * @desc Get list of VMs, containers and templates across all nodes. Nodes
+ * that cannot be queried are listed in errors alongside the partial results.
  * @access Private
  */
 app.get('/proxmox/vms', verifyToken, async (req, res) => {
   try {
-    // Check cache first
-    const cacheKey = 'proxmox_vms';
-    const cachedVms = cache.get(cacheKey);
-    
-    if (cachedVms) {
-      logger.debug('Returning cached VMs');
-      return res.status(200).json(cachedVms);
-    }
-    
-    // Get nodes first
-    const nodesResponse = await proxmoxApi.get('/nodes');
-    const nodes = nodesResponse.data.data;
+    const { results, errors } = await queryClusters(clusters, fetchClusterVms, logger);
+    const nodeErrors = results.flatMap(result => result.value.errors);
     
-    // Get VMs for each node
-    const vms = [];
-    for (const node of nodes) {
-      const vmsResponse = await proxmoxApi.get(`/nodes/${node.node}/qemu`);
-      vms.push(...vmsResponse.data.data);
+    if (results.length === 0 && errors.length > 0) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: 'No ProxMox cluster could be reached',
+        errors
+      });
     }
     
-    // Cache the result
-    cache.set(cacheKey, vms);
-    
-    return res.status(200).json(vms);
+    return res.status(200).json({
+      vms: results.flatMap(result => result.value.vms),
+      errors: [...errors, ...nodeErrors]
+    });
   } catch (error) {
     logger.error('Failed to get VMs', error);
     
@@ -161,36 +670,57 @@ app.get('/proxmox/vms', verifyToken, async (req, res) => {
 
 /**
  * @route GET /proxmox/hosts
- * @desc Get list of hostnames in use
+ * @desc Get list of hostnames in use across all clusters. Supports search (q,
+ * match), filters, sorting (sort, order) and cursor paging (limit, cursor).
  * @access Private
  */
 app.get('/proxmox/hosts', verifyToken, async (req, res) => {
   try {
-    // Check cache first
-    const cacheKey = 'proxmox_hosts';
-    const cachedHosts = cache.get(cacheKey);
+    const { type, node, status, tag, pool, owner, role } = req.query;
+    const withAddresses = req.query.addresses === 'true';
+    
+    if (type && !GUEST_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Type must be one of: ${GUEST_TYPES.join(', ')}`
+      });
+    }
     
-    if (cachedHosts) {
-      logger.debug('Returning cached hosts');
-      return res.status(200).json(cachedHosts);
+    const listQuery = parseListQuery(req.query, { sortFields: HOST_SORT_FIELDS, defaultSort: 'name' });
+    if (listQuery.error) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: listQuery.error
+      });
     }
     
-    // Get VMs first
-    const vmsResponse = await proxmoxApi.get('/cluster/resources?type=vm');
-    const vms = vmsResponse.data.data;
+    // VMs, containers and templates come from the polled snapshot. Their notes
+    // are read once and cached, the IPs running guests report are added on request.
+    const { guests, errors } = await fetchInventory();
+    
+    if (errors.length > 0 && errors.length === clusters.length) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: 'No ProxMox cluster could be reached',
+        errors
+      });
+    }
     
-    // Extract hostnames
-    const hosts = vms.map(vm => ({
-      id: vm.vmid,
-      name: vm.name,
-      node: vm.node,
-      status: vm.status
-    }));
+    const matching = filterGuests(await attachGuestNotes(guests), { type, node, status, tag, pool, owner, role });
+    const hosts = withAddresses ? await attachGuestAddresses(matching) : matching;
     
-    // Cache the result
-    cache.set(cacheKey, hosts);
+    // Search looks at the name and the owner, role, pool and tags from the notes
+    const page = applyListQuery(hosts, listQuery, {
+      searchText: host => [host.name, host.owner, host.role, host.pool, ...host.tags],
+      key: host => `${host.cluster}/${host.id}`
+    });
     
-    return res.status(200).json(hosts);
+    return res.status(200).json({
+      hosts: page.items,
+      total: page.total,
+      nextCursor: page.nextCursor,
+      errors
+    });
   } catch (error) {
     logger.error('Failed to get hosts', error);
     
@@ -201,6 +731,357 @@ app.get('/proxmox/hosts', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /proxmox/placement
+ * @desc Rank nodes for a new guest by headroom, storage and guest count
+ * @access Private
+ */
+app.post('/proxmox/placement', verifyToken, async (req, res) => {
+  try {
+    const { cores, memory, disk, hostname, antiAffinityPrefix, cluster: clusterName } = req.body;
+    const request = { cores, memory, disk };
+    
+    const invalid = Object.keys(request).find(field => !Number.isInteger(request[field]) || request[field] < 1);
+    if (invalid) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'cores, memory (MiB) and disk (GiB) must be positive integers'
+      });
+    }
+    
+    const targetClusters = clusterName ? clusters.filter(cluster => cluster.name === clusterName) : clusters;
+    if (targetClusters.length === 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Unknown cluster '${clusterName}'`
+      });
+    }
+    
+    // Current load and storage of every online node
+    const [{ results, errors }, inventory] = await Promise.all([
+      queryClusters(targetClusters, async (cluster) => {
+        const nodesResponse = await cluster.api.get('/nodes');
+        const nodes = [];
+        const storages = new Map();
+        const nodeErrors = [];
+        
+        await forEachWithConcurrency(nodesResponse.data.data, nodeConcurrency, async (node) => {
+          if (node.status !== 'online') {
+            nodeErrors.push({ cluster: cluster.name, node: node.node, message: `Node is ${node.status}` });
+            return;
+          }
+          
+          try {
+            const storageResponse = await cluster.api.get(`/nodes/${node.node}/storage`, {
+              params: { content: 'images', enabled: 1 },
+              timeout: nodeTimeoutMs
+            });
+            storages.set(`${cluster.name}/${node.node}`, storageResponse.data.data.filter(entry => entry.active !== 0));
+            nodes.push({ ...node, cluster: cluster.name });
+          } catch (error) {
+            nodeErrors.push({ cluster: cluster.name, node: node.node, message: error.message });
+          }
+        });
+        
+        return { nodes, storages, errors: nodeErrors };
+      }, logger),
+      fetchInventory()
+    ]);
+    
+    if (results.length === 0 && errors.length > 0) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: 'No ProxMox cluster could be reached',
+        errors
+      });
+    }
+    
+    const prefix = resolveAntiAffinityPrefix(hostname, antiAffinityPrefixes, antiAffinityPrefix);
+    const nodes = rankNodes(results.flatMap(result => result.value.nodes), {
+      request,
+      storages: new Map(results.flatMap(result => [...result.value.storages])),
+      guests: inventory.guests,
+      antiAffinityPrefix: prefix
+    });
+    
+    return res.status(200).json({
+      recommendation: nodes.find(node => node.fits) || null,
+      nodes,
+      antiAffinityPrefix: prefix,
+      errors: [...errors, ...results.flatMap(result => result.value.errors)]
+    });
+  } catch (error) {
+    logger.error('Failed to recommend a node', error);
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to recommend a node'
+    });
+  }
+});
+
+/**
+ * @route POST /proxmox/provision
+ * @desc Clone a template into a new VM with the chosen hostname and network settings
+ * @access Private
+ */
+app.post('/proxmox/provision', verifyToken, async (req, res) => {
+  try {
+    const {
+      template: templateName,
+      hostname,
+      node,
+      vmid,
+      ip,
+      gateway,
+      searchDomain,
+      pool,
+      storage,
+      cores,
+      memory,
+      reservationId
+    } = req.body;
+    const tags = req.body.tags || [];
+    const dns = typeof req.body.dns === 'string'
+      ? req.body.dns.split(/[,\s]+/).filter(Boolean)
+      : req.body.dns || [];
+    
+    const template = templates.get(templateName);
+    if (!template) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Unknown template '${templateName}'. Available: ${Array.from(templates.keys()).join(', ')}`
+      });
+    }
+    
+    const cluster = template.cluster
+      ? clusters.find(entry => entry.name === template.cluster)
+      : clusters[0];
+    if (!cluster) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Template '${templateName}' refers to unknown cluster '${template.cluster}'`
+      });
+    }
+    
+    if (!hostname) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Hostname is required'
+      });
+    }
+    
+    const validation = validateHostname(hostname, hostnameRules);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: validation.violations[0].message,
+        violations: validation.violations
+      });
+    }
+    
+    const networkError = validateNetwork({ ip, gateway, dns });
+    if (networkError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: networkError
+      });
+    }
+    
+    if (!Array.isArray(tags)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Tags must be a list'
+      });
+    }
+    
+    const badTag = tags.find(tag => typeof tag !== 'string' || !TAG_PATTERN.test(tag));
+    if (badTag !== undefined) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Invalid tag '${badTag}'`
+      });
+    }
+    
+    if (vmid !== undefined && (!Number.isInteger(vmid) || vmid < MIN_VMID || vmid > MAX_VMID)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `VM ID must be a whole number from ${MIN_VMID} to ${MAX_VMID}`
+      });
+    }
+    
+    if (node !== undefined && (typeof node !== 'string' || !NODE_PATTERN.test(node))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Node must be a ProxMox node name'
+      });
+    }
+    
+    if (node !== undefined) {
+      const nodesResponse = await cluster.api.get('/nodes');
+      if (!nodesResponse.data.data.some(entry => entry.node === node)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Unknown node '${node}' on cluster ${cluster.name}`
+        });
+      }
+    }
+    
+    // The name must still be free, apart from the caller's own reservation
+    const callerReservationId = ownReservationId(req, reservationId);
+    const check = await checkHostnameAvailability(hostname, {
+      maxDistance: similarityMaxDistance,
+      blockSimilar: similarityBlocking,
+      reservationId: callerReservationId
+    });
+    if (check.available === null) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: check.message,
+        sources: check.sources
+      });
+    }
+    if (!check.available) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: check.message,
+        sources: check.sources
+      });
+    }
+    
+    // Without the caller's own reservation on this name, hold it for the
+    // clone so that nobody else can take it in the meantime
+    let holdId = callerReservationId;
+    const held = callerReservationId && reservationStore.get(callerReservationId);
+    if (!held || held.hostname !== hostname.toLowerCase()) {
+      const { reservation, conflict } = reservationStore.reserve({
+        hostname,
+        owner: authenticatedUser(req) || 'provisioning',
+        ticket: null,
+        leaseSeconds: defaultLeaseSeconds
+      });
+      if (conflict) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Hostname '${hostname}' is reserved by ${conflict.owner} until ${conflict.expiresAt}`
+        });
+      }
+      holdId = reservation.id;
+      provisionalReservations.add(holdId);
+    }
+    
+    let job;
+    try {
+      job = await provisioner.start(cluster, template, {
+        hostname,
+        node,
+        vmid,
+        ip,
+        gateway,
+        dns,
+        searchDomain,
+        tags,
+        pool,
+        storage,
+        cores,
+        memory,
+        reservationId: holdId
+      });
+    } catch (error) {
+      if (provisionalReservations.delete(holdId)) {
+        reservationStore.release(holdId);
+      }
+      throw error;
+    }
+    
+    return res.status(202).json(job);
+  } catch (error) {
+    logger.error('Failed to provision VM', error);
+    
+    if (error.response) {
+      return res.status(502).json({
+        error: 'Bad Gateway',
+        message: `ProxMox rejected the clone: ${error.response.data?.message || error.message}`
+      });
+    }
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to provision VM'
+    });
+  }
+});
+
+/**
+ * @route GET /proxmox/tasks/:upid
+ * @desc Get the progress of a provisioning task
+ * @access Private
+ */
+app.get('/proxmox/tasks/:upid', verifyToken, (req, res) => {
+  const job = provisioner.get(req.params.upid);
+  if (!job) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Task ${req.params.upid} is not a known provisioning task`
+    });
+  }
+  
+  return res.status(200).json(job);
+});
+
+/**
+ * @route GET /proxmox/templates
+ * @desc Get the templates new VMs can be cloned from
+ * @access Private
+ */
+app.get('/proxmox/templates', verifyToken, (req, res) => {
+  return res.status(200).json(Array.from(templates.values()));
+});
+
+/**
+ * @route GET /proxmox/naming-policies
+ * @desc Get configured hostname naming policies
+ * @access Private
+ */
+app.get('/proxmox/naming-policies', verifyToken, (req, res) => {
+  const policies = Array.from(namingPolicies.values()).map(describePolicy);
+  return res.status(200).json(policies);
+});
+
+/**
+ * Look up a naming policy and check the segment values given for it
+ * @param {string} [policyName] - Policy name, nothing to resolve if empty
+ * @param {Object} [segments] - Segment values keyed by segment name
+ * @returns {Object} The policy (null without a name) or an error message
+ */
+function resolveNamingPolicy(policyName, segments) {
+  if (!policyName) {
+    return { policy: null };
+  }
+  
+  const policy = namingPolicies.get(policyName);
+  if (!policy) {
+    return { error: `Unknown naming policy '${policyName}'` };
+  }
+  
+  const segmentErrors = validateSegments(policy, segments);
+  if (segmentErrors.length > 0) {
+    return { error: segmentErrors.join('; ') };
+  }
+  
+  return { policy };
+}
+
+/**
+ * @route POST /proxmox/validate-hostname
+ * @desc Validate a hostname without checking availability
+ * @access Private
+ */
+app.post('/proxmox/validate-hostname', verifyToken, (req, res) => {
+  const { hostname } = req.body;
+  return res.status(200).json(validateHostname(hostname, hostnameRules));
+});
+
 /**
  * @route POST /proxmox/check-hostname
  * @desc Check if hostname is available
@@ -208,7 +1089,16 @@ app.get('/proxmox/hosts', verifyToken, async (req, res) => {
  */
 app.post('/proxmox/check-hostname', verifyToken, async (req, res) => {
   try {
-    const { hostname, prefix } = req.body;
+    const {
+      hostname,
+      prefix,
+      policy: policyName,
+      segments,
+      mode = DEFAULT_SEQUENCE_MODE,
+      maxDistance = similarityMaxDistance,
+      blockSimilar = similarityBlocking,
+      reservationId
+    } = req.body;
     
     if (!hostname) {
       return res.status(400).json({
@@ -217,63 +1107,458 @@ app.post('/proxmox/check-hostname', verifyToken, async (req, res) => {
       });
     }
     
-    // Get hosts first
-    const hostsResponse = await proxmoxApi.get('/cluster/resources?type=vm');
-    const vms = hostsResponse.data.data;
-    
-    // Check if hostname exists
-    const normalizedHostname = hostname.toLowerCase();
-    const exists = vms.some(vm => vm.name.toLowerCase() === normalizedHostname);
-    
-    if (exists) {
+    // Invalid names are never available, no need to ask ProxMox
+    const validation = validateHostname(hostname, hostnameRules);
+    if (!validation.valid) {
       return res.status(200).json({
         available: false,
-        message: `Hostname '${hostname}' is already in use`
+        valid: false,
+        message: `Hostname '${hostname}' is not valid`,
+        violations: validation.violations
+      });
+    }
+    
+    if (!SEQUENCE_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Mode must be one of: ${SEQUENCE_MODES.join(', ')}`
+      });
+    }
+    
+    if (!Number.isInteger(maxDistance) || maxDistance < 0 || maxDistance > 5) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'maxDistance must be an integer between 0 and 5'
+      });
+    }
+    
+    // Resolve the naming policy before calling ProxMox so bad input fails fast
+    const { policy, error: policyError } = resolveNamingPolicy(policyName, segments);
+    if (policyError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: policyError
+      });
+    }
+    
+    const check = await checkHostnameAvailability(hostname, {
+      maxDistance,
+      blockSimilar,
+      reservationId: ownReservationId(req, reservationId)
+    });
+    
+    // Suggest names from the policy template, or from the plain prefix,
+    // skipping names that are still in quarantine
+    const existingNames = [
+      ...check.guests.map(guest => guest.name),
+      ...tombstoneStore.list().map(tombstone => tombstone.hostname)
+    ];
+    let allocation = null;
+    if (policy) {
+      allocation = allocateFromPolicy(policy, segments, existingNames, { mode });
+    } else if (prefix) {
+      allocation = allocateFromPrefix(prefix, existingNames, { mode });
+    }
+    
+    // A source that could not answer means the name cannot be confirmed as free
+    if (check.available === null) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: check.message,
+        sources: check.sources
+      });
+    }
+    
+    return res.status(200).json({
+      available: check.available,
+      message: check.message,
+      sources: check.sources,
+      collision: check.collision,
+      similar: check.similar,
+      suggestions: allocation ? allocation.names : [],
+      mode: allocation ? allocation.mode : undefined,
+      policy: policy ? policy.name : undefined
+    });
+  } catch (error) {
+    logger.error('Failed to check hostname', error);
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to check hostname'
+    });
+  }
+});
+
+/**
+ * Read a lease length from a request, falling back to the default
+ * @param {*} value - Requested lease in seconds
+ * @returns {number|null} Lease in seconds, null if out of range
+ */
+function parseLeaseSeconds(value) {
+  if (value === undefined) {
+    return defaultLeaseSeconds;
+  }
+  
+  const leaseSeconds = Number(value);
+  if (!Number.isInteger(leaseSeconds) || leaseSeconds <= 0 || leaseSeconds > maxLeaseSeconds) {
+    return null;
+  }
+  
+  return leaseSeconds;
+}
+
+/**
+ * @route POST /proxmox/allocate-batch
+ * @desc Allocate several distinct available hostnames at once, all or nothing
+ * @access Private
+ */
+app.post('/proxmox/allocate-batch', verifyToken, async (req, res) => {
+  try {
+    const {
+      prefix,
+      policy: policyName,
+      segments,
+      count,
+      mode = DEFAULT_SEQUENCE_MODE,
+      reserve = true,
+      ticket
+    } = req.body;
+    const owner = authenticatedUser(req);
+    
+    if (!prefix && !policyName) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Either a prefix or a naming policy is required'
+      });
+    }
+    
+    if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_COUNT) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Count must be an integer between 1 and ${MAX_BATCH_COUNT}`
+      });
+    }
+    
+    if (!SEQUENCE_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Mode must be one of: ${SEQUENCE_MODES.join(', ')}`
+      });
+    }
+    
+    if (reserve && !owner) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'A verified user is required to reserve the allocated names'
       });
     }
     
-    // If prefix is provided, suggest additional names
-    let suggestions = [];
-    if (prefix) {
-      const prefixLower = prefix.toLowerCase();
+    const leaseSeconds = parseLeaseSeconds(req.body.leaseSeconds);
+    if (leaseSeconds === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `leaseSeconds must be an integer between 1 and ${maxLeaseSeconds}`
+      });
+    }
+    
+    const { policy, error: policyError } = resolveNamingPolicy(policyName, segments);
+    if (policyError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: policyError
+      });
+    }
+    
+    // One current inventory for the whole batch
+    const inventory = await refreshInventory();
+    if (inventory.errors.length > 0) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: `Could not reach ProxMox cluster(s): ${inventory.errors.map(e => e.cluster).join(', ')}`,
+        errors: inventory.errors
+      });
+    }
+    
+    // Allocate candidates and run each through the same checks as check-hostname.
+    // Rejected candidates are treated as used so the next round moves past them.
+    const accepted = [];
+    const rejected = [];
+    let allocation = null;
+    
+    for (let round = 0; round < MAX_BATCH_ROUNDS && accepted.length < count; round++) {
+      const usedNames = [
+        ...inventory.guests.map(guest => guest.name),
+        ...tombstoneStore.list().map(tombstone => tombstone.hostname),
+        ...accepted,
+        ...rejected.map(entry => entry.hostname)
+      ];
+      const options = { mode, count: count - accepted.length };
+      allocation = policy
+        ? allocateFromPolicy(policy, segments, usedNames, options)
+        : allocateFromPrefix(prefix, usedNames, options);
+      
+      const checks = await Promise.all(allocation.names.map(async (candidate) => {
+        const validation = validateHostname(candidate, hostnameRules);
+        if (!validation.valid) {
+          return { hostname: candidate, available: false, message: validation.violations[0].message };
+        }
+        
+        const check = await checkHostnameAvailability(candidate, {
+          maxDistance: similarityMaxDistance,
+          blockSimilar: similarityBlocking,
+          inventory
+        });
+        return { hostname: candidate, available: check.available, message: check.message };
+      }));
       
-      // Get existing hostnames with this prefix
-      const existingPrefixNames = vms
-        .filter(vm => vm.name.toLowerCase().startsWith(prefixLower))
-        .map(vm => vm.name);
+      const unknown = checks.find(check => check.available === null);
+      if (unknown) {
+        return res.status(503).json({
+          error: 'Service Unavailable',
+          message: unknown.message
+        });
+      }
       
-      // Find highest number
-      let maxNumber = 0;
-      existingPrefixNames.forEach(name => {
-        const match = name.match(new RegExp(`^${prefix}(\\d+)$`, 'i'));
-        if (match && match[1]) {
-          const num = parseInt(match[1]);
-          if (num > maxNumber) {
-            maxNumber = num;
-          }
+      checks.forEach(check => {
+        if (check.available) {
+          accepted.push(check.hostname);
+        } else {
+          rejected.push({ hostname: check.hostname, reason: check.message });
         }
       });
+    }
+    
+    if (accepted.length < count) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Only ${accepted.length} of ${count} hostnames could be allocated`,
+        rejected
+      });
+    }
+    
+    let reservations;
+    if (reserve) {
+      const result = reservationStore.reserveMany(accepted, { owner, ticket, leaseSeconds });
       
-      // Generate suggestions
-      for (let i = 1; i <= 3; i++) {
-        suggestions.push(`${prefix}${maxNumber + i}`);
+      if (result.conflicts) {
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Reserved while allocating: ${result.conflicts.map(conflict => conflict.hostname).join(', ')}`
+        });
       }
+      
+      reservations = result.reservations;
+      logger.info(`Reserved batch of ${count} hostnames for ${owner}`);
     }
     
     return res.status(200).json({
-      available: true,
-      suggestions
+      names: accepted,
+      count: accepted.length,
+      mode: allocation.mode,
+      policy: policy ? policy.name : undefined,
+      reservations,
+      rejected
     });
   } catch (error) {
-    logger.error('Failed to check hostname', error);
+    logger.error('Failed to allocate hostname batch', error);
     
     return res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to check hostname'
+      message: 'Failed to allocate hostname batch'
+    });
+  }
+});
+
+/**
+ * @route POST /proxmox/reservations
+ * @desc Reserve an available hostname for a limited time, held by the caller
+ * @access Private
+ */
+app.post('/proxmox/reservations', verifyToken, requireUser, async (req, res) => {
+  try {
+    const { hostname, ticket } = req.body;
+    const owner = authenticatedUser(req);
+    
+    if (!hostname) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Hostname is required'
+      });
+    }
+    
+    const leaseSeconds = parseLeaseSeconds(req.body.leaseSeconds);
+    if (leaseSeconds === null) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `leaseSeconds must be an integer between 1 and ${maxLeaseSeconds}`
+      });
+    }
+    
+    const validation = validateHostname(hostname, hostnameRules);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Hostname '${hostname}' is not valid`,
+        violations: validation.violations
+      });
+    }
+    
+    // Only names that are free everywhere can be reserved
+    const check = await checkHostnameAvailability(hostname, {
+      maxDistance: similarityMaxDistance,
+      blockSimilar: similarityBlocking
+    });
+    
+    if (check.available === null) {
+      return res.status(503).json({
+        error: 'Service Unavailable',
+        message: check.message,
+        sources: check.sources
+      });
+    }
+    
+    if (!check.available) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: check.message,
+        sources: check.sources
+      });
+    }
+    
+    // The store re-checks for a reservation made while we were waiting on ProxMox
+    const { reservation, conflict } = reservationStore.reserve({ hostname, owner, ticket, leaseSeconds });
+    
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Hostname '${hostname}' is reserved by ${conflict.owner} until ${conflict.expiresAt}`
+      });
+    }
+    
+    logger.info(`Reserved hostname ${reservation.hostname} for ${owner} until ${reservation.expiresAt}`);
+    
+    return res.status(201).json(reservation);
+  } catch (error) {
+    logger.error('Failed to reserve hostname', error);
+    
+    return res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to reserve hostname'
     });
   }
 });
 
+/**
+ * @route GET /proxmox/reservations
+ * @desc Get active hostname reservations, with IDs on the caller's own only
+ * @access Private
+ */
+app.get('/proxmox/reservations', verifyToken, (req, res) => {
+  const { owner } = req.query;
+  const caller = authenticatedUser(req);
+  
+  return res.status(200).json(reservationStore.list({ owner }).map(reservation =>
+    reservation.owner === caller ? reservation : withoutId(reservation)
+  ));
+});
+
+/**
+ * Middleware that loads the reservation named in the URL and makes sure it
+ * belongs to the caller
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const ownReservation = (req, res, next) => {
+  const reservation = reservationStore.get(req.params.id);
+  if (!reservation) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Reservation ${req.params.id} not found or already expired`
+    });
+  }
+  
+  if (reservation.owner !== authenticatedUser(req)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: `Hostname '${reservation.hostname}' is reserved by ${reservation.owner}, only they can renew or release it`
+    });
+  }
+  
+  next();
+};
+
+/**
+ * @route POST /proxmox/reservations/:id/renew
+ * @desc Extend the lease of one of the caller's hostname reservations
+ * @access Private
+ */
+app.post('/proxmox/reservations/:id/renew', verifyToken, requireUser, ownReservation, (req, res) => {
+  const leaseSeconds = parseLeaseSeconds(req.body.leaseSeconds);
+  if (leaseSeconds === null) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: `leaseSeconds must be an integer between 1 and ${maxLeaseSeconds}`
+    });
+  }
+  
+  const reservation = reservationStore.renew(req.params.id, leaseSeconds);
+  
+  logger.info(`Renewed reservation for ${reservation.hostname} until ${reservation.expiresAt}`);
+  
+  return res.status(200).json(reservation);
+});
+
+/**
+ * @route DELETE /proxmox/reservations/:id
+ * @desc Release one of the caller's hostname reservations
+ * @access Private
+ */
+app.delete('/proxmox/reservations/:id', verifyToken, requireUser, ownReservation, (req, res) => {
+  const reservation = reservationStore.release(req.params.id);
+  
+  logger.info(`${reservation.owner} released reservation for ${reservation.hostname}`);
+  
+  return res.status(200).json(reservation);
+});
+
+/**
+ * @route GET /proxmox/tombstones
+ * @desc List recently retired hostnames still in quarantine
+ * @access Private
+ */
+app.get('/proxmox/tombstones', verifyToken, (req, res) => {
+  return res.status(200).json(tombstoneStore.list());
+});
+
+/**
+ * @route DELETE /proxmox/tombstones/:id
+ * @desc Release a retired hostname before its quarantine ends
+ * @access Admin
+ */
+app.delete('/proxmox/tombstones/:id', verifyToken, (req, res) => {
+  const releasedBy = authenticatedUser(req);
+  
+  if (!releasedBy || !adminUsers.includes(releasedBy)) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Only administrators can release a tombstone'
+    });
+  }
+  
+  const tombstone = tombstoneStore.release(req.params.id);
+  if (!tombstone) {
+    return res.status(404).json({
+      error: 'Not Found',
+      message: `Tombstone ${req.params.id} not found or already lifted`
+    });
+  }
+  
+  logger.info(`${releasedBy} released tombstone for ${tombstone.hostname} on cluster ${tombstone.cluster}`);
+  
+  return res.status(200).json(tombstone);
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
@@ -303,13 +1588,15 @@ async function setupConsumer() {
         const request = JSON.parse(message.value.toString());
         logger.info(`Processing hostname request: ${request.hostname}`);
         
-        // Get hosts
-        const hostsResponse = await proxmoxApi.get('/cluster/resources?type=vm');
-        const vms = hostsResponse.data.data;
+        // Invalid names are never available
+        const validation = validateHostname(request.hostname, hostnameRules);
         
-        // Check if hostname exists
-        const normalizedHostname = request.hostname.toLowerCase();
-        const exists = vms.some(vm => vm.name.toLowerCase() === normalizedHostname);
+        // Check every source; an unanswered source means the name is not confirmed free
+        const blockSimilar = request.blockSimilar !== undefined ? request.blockSimilar : similarityBlocking;
+        const check = validation.valid
+          ? await checkHostnameAvailability(request.hostname, { maxDistance: similarityMaxDistance, blockSimilar })
+          : null;
+        const exists = !check || check.available !== true;
         
         // Send response message
         await producer.send({
@@ -321,6 +1608,12 @@ async function setupConsumer() {
                 requestId: request.requestId,
                 hostname: request.hostname,
                 available: !exists,
+                violations: validation.violations,
+                message: check ? check.message : undefined,
+                sources: check ? check.sources : undefined,
+                collision: check && check.collision ? check.collision.type : undefined,
+                cluster: check && check.collision ? check.collision.cluster : undefined,
+                similar: check ? check.similar : [],
                 timestamp: new Date().toISOString()
               })
             }
@@ -348,6 +1641,10 @@ async function startServer() {
     app.listen(port, () => {
       logger.info(`ProxMox service listening on port ${port}`);
     });
+    
+    if (inventoryPollSeconds > 0) {
+      pollInventory();
+    }
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -357,6 +1654,7 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   logger.info('SIGTERM received, shutting down gracefully');
+  clearTimeout(inventoryPollTimer);
   await consumer.disconnect();
   await producer.disconnect();
   process.exit(0);
@@ -0,0 +1,344 @@
+// Guest types reported by the inventory
+const GUEST_TYPES = ['vm', 'container', 'template'];
+
+// Locks ProxMox holds while a guest is still being created
+const PENDING_LOCKS = ['create', 'clone'];
+
+// Guest configs or interface lists fetched at once when reading guest details
+const DETAILS_CONCURRENCY = 4;
+
+// Loopback and link-local addresses say nothing about a guest's IPAM record
+const IGNORED_ADDRESS_PATTERN = /^(?:127\.|::1$|fe80:)/i;
+
+// A "key: value" or "key=value" line in guest notes, optionally a list item
+const NOTE_PAIR_PATTERN = /^\s*(?:[-*]\s+)?([A-Za-z][\w-]*)\s*[:=]\s*(.+?)\s*$/;
+
+/**
+ * Work out which kind of guest a ProxMox resource is
+ * @param {Object} resource - Entry from cluster/resources or a node guest listing
+ * @param {string} [kind] - 'qemu' or 'lxc' when the listing does not carry a type
+ * @returns {string} One of GUEST_TYPES
+ */
+function classifyGuest(resource, kind = resource.type) {
+  if (Number(resource.template) === 1) {
+    return 'template';
+  }
+  return kind === 'lxc' ? 'container' : 'vm';
+}
+
+/**
+ * Split a ProxMox tag string into a list. ProxMox stores tags separated by
+ * semicolons, older versions also accept commas and spaces.
+ * @param {string} [tags] - Raw tags value
+ * @returns {Array<string>} Lowercased tags
+ */
+function parseTags(tags) {
+  return (tags || '')
+    .split(/[;,\s]+/)
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Pull key-value pairs such as "owner: alice" or "role=web" out of guest notes
+ * @param {string} [notes] - Guest description
+ * @returns {Object} Values keyed by lowercased key, the first occurrence wins
+ */
+function parseNotes(notes) {
+  const metadata = {};
+
+  (notes || '').split(/\r?\n/).forEach(line => {
+    const match = line.replace(/\*\*/g, '').match(NOTE_PAIR_PATTERN);
+    if (match) {
+      const key = match[1].toLowerCase();
+      if (!(key in metadata)) {
+        metadata[key] = match[2];
+      }
+    }
+  });
+
+  return metadata;
+}
+
+/**
+ * Map a ProxMox resource to a guest inventory entry
+ * @param {Object} resource - Entry from cluster/resources or a node guest listing
+ * @param {Object} [context] - cluster, plus node and kind for node-level listings
+ * @returns {Object} Guest entry
+ */
+function toGuest(resource, context = {}) {
+  return {
+    cluster: context.cluster,
+    id: resource.vmid,
+    name: resource.name || '',
+    node: resource.node || context.node,
+    status: resource.status,
+    type: classifyGuest(resource, context.kind || resource.type),
+    kind: context.kind || resource.type,
+    pending: PENDING_LOCKS.includes(resource.lock),
+    tags: parseTags(resource.tags),
+    pool: resource.pool || null
+  };
+}
+
+/**
+ * Run an async function over a list, at most limit calls at a time
+ * @param {Array} items - Items to process
+ * @param {number} limit - Largest number of calls in flight
+ * @param {Function} fn - Async function called with each item and its index
+ * @returns {Promise<void>}
+ */
+async function forEachWithConcurrency(items, limit, fn) {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+}
+
+/**
+ * Read a guest's notes from its config and parse owner, role and other keys
+ * @param {Object} cluster - Cluster with its name and API client
+ * @param {Object} resource - Entry from cluster/resources
+ * @returns {Promise<Object>} Notes, owner, role and all parsed key-values
+ */
+async function fetchGuestNotes(cluster, resource) {
+  const response = await cluster.api.get(`/nodes/${resource.node}/${resource.type}/${resource.vmid}/config`);
+  const notes = response.data.data.description || '';
+  const metadata = parseNotes(notes);
+
+  return {
+    notes,
+    owner: metadata.owner || null,
+    role: metadata.role || null,
+    metadata
+  };
+}
+
+/**
+ * Read the IP addresses a running guest reports: VMs through the QEMU guest
+ * agent, containers through their interface list
+ * @param {Object} cluster - Cluster with its name and API client
+ * @param {Object} resource - Entry from cluster/resources
+ * @returns {Promise<Array<string>>} Addresses without prefix length, loopback or link-local ones
+ */
+async function fetchGuestAddresses(cluster, resource) {
+  let addresses;
+
+  if (resource.type === 'lxc') {
+    const response = await cluster.api.get(`/nodes/${resource.node}/lxc/${resource.vmid}/interfaces`);
+    addresses = (response.data.data || []).flatMap(iface => [iface.inet, iface.inet6]);
+  } else {
+    const response = await cluster.api.get(`/nodes/${resource.node}/qemu/${resource.vmid}/agent/network-get-interfaces`);
+    addresses = (response.data.data?.result || [])
+      .flatMap(iface => (iface['ip-addresses'] || []).map(entry => entry['ip-address']));
+  }
+
+  return [...new Set(addresses
+    .filter(Boolean)
+    .map(address => address.split('/')[0].toLowerCase())
+    .filter(address => !IGNORED_ADDRESS_PATTERN.test(address)))];
+}
+
+/**
+ * Read the IPs a guest entry reports, see fetchGuestAddresses
+ * @param {Object} cluster - Cluster with its name and API client
+ * @param {Object} guest - Guest entry
+ * @returns {Promise<Array<string>|null>} Addresses, or null when the guest is stopped,
+ *   a template or has no agent
+ */
+async function readGuestAddresses(cluster, guest) {
+  if (guest.status !== 'running' || guest.type === 'template') {
+    return null;
+  }
+
+  try {
+    return await fetchGuestAddresses(cluster, {
+      type: guest.type === 'container' ? 'lxc' : 'qemu',
+      node: guest.node,
+      vmid: guest.id
+    });
+  } catch (error) {
+    // No guest agent installed or running, the guest can only be matched by name
+    return null;
+  }
+}
+
+/**
+ * Read the IPs each of a cluster's guests reports, a few guests at a time
+ * @param {Object} cluster - Cluster with its name and API client
+ * @param {Array<Object>} guests - Guest entries on that cluster
+ * @returns {Promise<Map<number, Array<string>|null>>} Addresses keyed by guest ID
+ */
+async function fetchAddressesForGuests(cluster, guests) {
+  const addresses = new Map();
+
+  await forEachWithConcurrency(guests, DETAILS_CONCURRENCY, async (guest) => {
+    addresses.set(guest.id, await readGuestAddresses(cluster, guest));
+  });
+
+  return addresses;
+}
+
+/**
+ * Read the notes of each of a cluster's guests, a few guests at a time
+ * @param {Object} cluster - Cluster with its name and API client
+ * @param {Array<Object>} guests - Guest entries on that cluster
+ * @returns {Promise<Map<number, Object>>} Notes, owner, role and metadata keyed by guest ID
+ */
+async function fetchNotesForGuests(cluster, guests) {
+  const notes = new Map();
+
+  await forEachWithConcurrency(guests, DETAILS_CONCURRENCY, async (guest) => {
+    try {
+      notes.set(guest.id, await fetchGuestNotes(cluster, { node: guest.node, type: guest.kind, vmid: guest.id }));
+    } catch (error) {
+      // Notes are informational, a guest whose config cannot be read is still listed
+      notes.set(guest.id, { notes: null, owner: null, role: null, metadata: {} });
+    }
+  });
+
+  return notes;
+}
+
+/**
+ * Get every guest in a cluster: QEMU VMs, LXC containers and templates
+ * @param {Object} cluster - Cluster with its name and API client
+ * @param {Object} [options]
+ * @param {boolean} [options.withNotes=false] - Also read each guest's notes, one request per guest
+ * @param {boolean} [options.withAddresses=false] - Also read the IPs each running guest reports,
+ *   one request per guest; ips is null when the guest is stopped or has no agent
+ * @returns {Promise<Array<Object>>} Guest entries tagged with the cluster name
+ */
+async function fetchGuests(cluster, { withNotes = false, withAddresses = false } = {}) {
+  const response = await cluster.api.get('/cluster/resources?type=vm');
+  const resources = response.data.data;
+  const guests = resources.map(resource => toGuest(resource, { cluster: cluster.name }));
+
+  if (withNotes || withAddresses) {
+    await forEachWithConcurrency(resources, DETAILS_CONCURRENCY, async (resource, index) => {
+      const guest = guests[index];
+
+      if (withNotes) {
+        try {
+          Object.assign(guest, await fetchGuestNotes(cluster, resource));
+        } catch (error) {
+          // Notes are informational, a guest whose config cannot be read is still listed
+          Object.assign(guest, { notes: null, owner: null, role: null, metadata: {} });
+        }
+      }
+
+      if (withAddresses) {
+        guest.ips = await readGuestAddresses(cluster, guest);
+      }
+    });
+  }
+
+  return guests;
+}
+
+/**
+ * Get the QEMU VMs and LXC containers on one node, with the raw ProxMox
+ * fields alongside the inventory fields
+ * @param {Object} cluster - Cluster with its name and API client
+ * @param {string} node - Node name
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Per-request timeout in milliseconds
+ * @returns {Promise<Array<Object>>} Guests on the node
+ */
+async function fetchNodeGuests(cluster, node, { timeout } = {}) {
+  const listings = await Promise.all(['qemu', 'lxc'].map(async (kind) => {
+    const response = await cluster.api.get(`/nodes/${node}/${kind}`, { timeout });
+    return response.data.data.map(vm => ({
+      ...vm,
+      ...toGuest(vm, { cluster: cluster.name, node, kind })
+    }));
+  }));
+
+  return listings.flat();
+}
+
+/**
+ * Find the guest already using a hostname
+ * @param {Array<Object>} guests - Guest entries
+ * @param {string} hostname - Hostname to look up
+ * @returns {Object|undefined} The colliding guest, if any
+ */
+function findGuestByName(guests, hostname) {
+  const normalizedHostname = hostname.toLowerCase();
+  return guests.find(guest => guest.name.toLowerCase() === normalizedHostname);
+}
+
+/**
+ * Filter guests by type, node, status, tag, pool, owner or role. Text filters ignore case.
+ * @param {Array<Object>} guests - Guest entries
+ * @param {Object} filters - Any of type, node, status, tag, pool, owner and role
+ * @returns {Array<Object>} Matching guests
+ */
+function filterGuests(guests, { type, node, status, tag, pool, owner, role } = {}) {
+  const same = (value, wanted) => (value || '').toLowerCase() === wanted.toLowerCase();
+
+  return guests.filter(guest =>
+    (!type || guest.type === type) &&
+    (!node || same(guest.node, node)) &&
+    (!status || same(guest.status, status)) &&
+    (!tag || guest.tags.includes(tag.toLowerCase())) &&
+    (!pool || same(guest.pool, pool)) &&
+    (!owner || same(guest.owner, owner)) &&
+    (!role || same(guest.role, role))
+  );
+}
+
+/**
+ * Compare two guest lists by cluster and VMID
+ * @param {Array<Object>} previous - Guests from the earlier snapshot
+ * @param {Array<Object>} current - Guests from the later snapshot
+ * @returns {Object} Guests added, removed and renamed, each as cluster, id, name, node and type
+ */
+function diffGuests(previous, current) {
+  const key = guest => `${guest.cluster}/${guest.id}`;
+  const summarize = ({ cluster, id, name, node, type }) => ({ cluster, id, name, node, type });
+  const before = new Map(previous.map(guest => [key(guest), guest]));
+  const after = new Map(current.map(guest => [key(guest), guest]));
+
+  return {
+    added: current.filter(guest => !before.has(key(guest))).map(summarize),
+    removed: previous.filter(guest => !after.has(key(guest))).map(summarize),
+    renamed: current
+      .filter(guest => before.has(key(guest)) && before.get(key(guest)).name !== guest.name)
+      .map(guest => ({ ...summarize(guest), previousName: before.get(key(guest)).name }))
+  };
+}
+
+/**
+ * Describe a guest for availability messages, e.g. 'a template' or 'a pending VM'
+ * @param {Object} guest - Guest entry
+ * @returns {string} Human-readable description
+ */
+function describeGuest(guest) {
+  const label = guest.type === 'vm' ? 'VM' : guest.type;
+  return guest.pending ? `a pending ${label}` : `a ${label}`;
+}
+
+module.exports = {
+  GUEST_TYPES,
+  classifyGuest,
+  parseTags,
+  parseNotes,
+  toGuest,
+  forEachWithConcurrency,
+  fetchGuestNotes,
+  fetchGuestAddresses,
+  fetchAddressesForGuests,
+  fetchNotesForGuests,
+  fetchNodeGuests,
+  fetchGuests,
+  findGuestByName,
+  filterGuests,
+  diffGuests,
+  describeGuest
+};
\ No newline at end of file
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const { escapeRegExp, allocateSequence } = require('./sequence');
+
+// Matches template placeholders such as {site} or {nn}
+const PLACEHOLDER_PATTERN = /\{([a-z][a-z0-9_]*)\}/gi;
+
+// Counter placeholders are made of n's, one per digit: {n}, {nn}, {nnn}, ...
+const COUNTER_PATTERN = /^n+$/;
+
+// Free-text segments must match this unless the policy says otherwise
+const DEFAULT_SEGMENT_PATTERN = '^[a-z0-9]+$';
+
+/**
+ * Split a naming template into literal, segment and counter tokens
+ * @param {string} template - Template such as '{site}-{role}-{env}{nn}'
+ * @returns {Array<Object>} Tokens in template order
+ */
+function parseTemplate(template) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+
+  PLACEHOLDER_PATTERN.lastIndex = 0;
+  while ((match = PLACEHOLDER_PATTERN.exec(template)) !== null) {
+    if (match.index > lastIndex) {
+      tokens.push({ type: 'literal', value: template.slice(lastIndex, match.index) });
+    }
+
+    const name = match[1].toLowerCase();
+    if (COUNTER_PATTERN.test(name)) {
+      tokens.push({ type: 'counter', width: name.length });
+    } else {
+      tokens.push({ type: 'segment', name });
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex < template.length) {
+    tokens.push({ type: 'literal', value: template.slice(lastIndex) });
+  }
+
+  return tokens;
+}
+
+/**
+ * Validate a raw policy definition and normalize it for use
+ * @param {Object} definition - Policy as read from the policies file
+ * @returns {Object} Normalized policy
+ */
+function normalizePolicy(definition) {
+  if (!definition || !definition.name || !definition.template) {
+    throw new Error('Naming policy requires a name and a template');
+  }
+
+  const tokens = parseTemplate(definition.template);
+  const counters = tokens.filter(token => token.type === 'counter');
+
+  if (counters.length !== 1) {
+    throw new Error(`Naming policy '${definition.name}' must contain exactly one counter placeholder`);
+  }
+
+  const segmentConfig = definition.segments || {};
+  const segments = tokens
+    .filter(token => token.type === 'segment')
+    .map(token => {
+      const config = segmentConfig[token.name] || {};
+      return {
+        name: token.name,
+        label: config.label || token.name,
+        values: Array.isArray(config.values) ? config.values.map(value => String(value).toLowerCase()) : null,
+        pattern: config.pattern || DEFAULT_SEGMENT_PATTERN
+      };
+    });
+
+  return {
+    name: definition.name,
+    description: definition.description || '',
+    template: definition.template,
+    counterWidth: counters[0].width,
+    segments,
+    tokens
+  };
+}
+
+/**
+ * Load naming policies from a JSON file
+ * @param {string} filePath - Path to the policies file
+ * @param {Object} logger - Logger used to report skipped policies
+ * @returns {Map<string, Object>} Policies keyed by name
+ */
+function loadNamingPolicies(filePath, logger) {
+  const policies = new Map();
+
+  if (!fs.existsSync(filePath)) {
+    logger.warn(`Naming policies file not found: ${filePath}`);
+    return policies;
+  }
+
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const definitions = Array.isArray(content) ? content : content.policies || [];
+
+  definitions.forEach(definition => {
+    try {
+      const policy = normalizePolicy(definition);
+      policies.set(policy.name, policy);
+    } catch (error) {
+      logger.error(`Skipping invalid naming policy: ${error.message}`);
+    }
+  });
+
+  logger.info(`Loaded ${policies.size} naming policies from ${filePath}`);
+
+  return policies;
+}
+
+/**
+ * Check segment values against the policy's allowed values and patterns
+ * @param {Object} policy - Normalized policy
+ * @param {Object} values - Segment values keyed by segment name
+ * @returns {Array<string>} Error messages, empty if all segments are valid
+ */
+function validateSegments(policy, values = {}) {
+  const errors = [];
+
+  policy.segments.forEach(segment => {
+    const value = values[segment.name] !== undefined ? String(values[segment.name]).toLowerCase() : '';
+
+    if (!value) {
+      errors.push(`Segment '${segment.name}' is required`);
+    } else if (segment.values && !segment.values.includes(value)) {
+      errors.push(`Segment '${segment.name}' must be one of: ${segment.values.join(', ')}`);
+    } else if (!segment.values && !new RegExp(segment.pattern, 'i').test(value)) {
+      errors.push(`Segment '${segment.name}' does not match pattern ${segment.pattern}`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Render a hostname from a policy, segment values and a counter value
+ * @param {Object} policy - Normalized policy
+ * @param {Object} values - Segment values keyed by segment name
+ * @param {number} number - Counter value
+ * @param {number} [width] - Padding width, defaults to the template's counter width
+ * @returns {string} Hostname
+ */
+function renderHostname(policy, values, number, width = policy.counterWidth) {
+  return policy.tokens.map(token => {
+    if (token.type === 'literal') {
+      return token.value;
+    }
+    if (token.type === 'counter') {
+      return String(number).padStart(width, '0');
+    }
+    return String(values[token.name]).toLowerCase();
+  }).join('').toLowerCase();
+}
+
+/**
+ * Build a RegExp matching hostnames generated by a policy for the given
+ * segment values. The counter digits are captured in the first group.
+ * @param {Object} policy - Normalized policy
+ * @param {Object} values - Segment values keyed by segment name
+ * @returns {RegExp} Case-insensitive matcher
+ */
+function buildPolicyMatcher(policy, values) {
+  const source = policy.tokens.map(token => {
+    if (token.type === 'literal') {
+      return escapeRegExp(token.value);
+    }
+    if (token.type === 'counter') {
+      return `(\\d{${token.width},})`;
+    }
+    return escapeRegExp(String(values[token.name]));
+  }).join('');
+
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Allocate hostnames following a policy. The counter is padded to at least
+ * the template's width, wider if existing names already use more digits.
+ * @param {Object} policy - Normalized policy
+ * @param {Object} values - Segment values keyed by segment name
+ * @param {Array<string>} existingNames - Hostnames already in use
+ * @param {Object} [options] - count and mode, see allocateSequence
+ * @returns {Object} Allocation result, see allocateSequence
+ */
+function allocateFromPolicy(policy, values, existingNames, options = {}) {
+  return allocateSequence({
+    ...options,
+    existingNames,
+    matcher: buildPolicyMatcher(policy, values),
+    render: (number, width) => renderHostname(policy, values, number, width),
+    minWidth: policy.counterWidth
+  });
+}
+
+/**
+ * Public view of a policy, as returned by the API
+ * @param {Object} policy - Normalized policy
+ * @returns {Object} Policy without internal fields
+ */
+function describePolicy(policy) {
+  return {
+    name: policy.name,
+    description: policy.description,
+    template: policy.template,
+    counterWidth: policy.counterWidth,
+    segments: policy.segments
+  };
+}
+
+module.exports = {
+  parseTemplate,
+  normalizePolicy,
+  loadNamingPolicies,
+  validateSegments,
+  renderHostname,
+  buildPolicyMatcher,
+  allocateFromPolicy,
+  describePolicy
+};
\ No newline at end of file
@@ -0,0 +1,127 @@
+// Relative weight of each headroom measure in a node's score
+const WEIGHTS = {
+  memory: 0.4,
+  cpu: 0.3,
+  storage: 0.2,
+  guests: 0.1
+};
+
+// Subtracted from the score of a node that already runs a guest with the same prefix
+const ANTI_AFFINITY_PENALTY = 0.5;
+
+const MIB = 1024 * 1024;
+const GIB = 1024 * MIB;
+
+/**
+ * Work out which anti-affinity prefix applies to a hostname: an explicit
+ * prefix wins, otherwise the longest configured prefix the name starts with
+ * @param {string} [hostname] - Hostname being placed
+ * @param {Array<string>} prefixes - Configured anti-affinity prefixes
+ * @param {string} [explicitPrefix] - Prefix given with the request
+ * @returns {string|null} Prefix to spread, or null
+ */
+function resolveAntiAffinityPrefix(hostname, prefixes, explicitPrefix) {
+  if (explicitPrefix) {
+    return explicitPrefix.toLowerCase();
+  }
+  if (!hostname) {
+    return null;
+  }
+
+  const name = hostname.toLowerCase();
+  const matches = prefixes
+    .map(prefix => prefix.toLowerCase())
+    .filter(prefix => name.startsWith(prefix))
+    .sort((a, b) => b.length - a.length);
+
+  return matches[0] || null;
+}
+
+/**
+ * Rank nodes for a new guest by free headroom, storage and guest count
+ * @param {Array<Object>} nodes - ProxMox node status entries, each with cluster, node, cpu, maxcpu, mem and maxmem
+ * @param {Object} context
+ * @param {Object} context.request - cores, memory in MiB and disk in GiB
+ * @param {Map<string, Array<Object>>} context.storages - Storages keyed by "cluster/node"
+ * @param {Array<Object>} context.guests - Guest inventory entries
+ * @param {string|null} [context.antiAffinityPrefix] - Names sharing this prefix are spread across nodes
+ * @returns {Array<Object>} Nodes that fit, best first, followed by those that do not
+ */
+function rankNodes(nodes, { request, storages, guests, antiAffinityPrefix = null }) {
+  const memoryNeeded = request.memory * MIB;
+  const diskNeeded = request.disk * GIB;
+  const key = (cluster, node) => `${cluster}/${node}`;
+
+  const guestCounts = new Map();
+  guests.forEach(guest => {
+    guestCounts.set(key(guest.cluster, guest.node), (guestCounts.get(key(guest.cluster, guest.node)) || 0) + 1);
+  });
+  const maxGuests = Math.max(1, ...guestCounts.values());
+
+  const ranked = nodes.map(node => {
+    const nodeKey = key(node.cluster, node.node);
+    const reasons = [];
+
+    const memoryFree = node.maxmem - node.mem;
+    const cpuFree = node.maxcpu * (1 - node.cpu);
+    if (memoryFree < memoryNeeded) {
+      reasons.push('Not enough free memory');
+    }
+    if (request.cores > node.maxcpu) {
+      reasons.push('Not enough CPU cores');
+    }
+
+    // The storage with the most room that can hold the disk
+    const storage = (storages.get(nodeKey) || [])
+      .filter(entry => entry.avail >= diskNeeded)
+      .sort((a, b) => b.avail - a.avail)[0];
+    if (!storage) {
+      reasons.push('No storage with enough free space');
+    }
+
+    const guestCount = guestCounts.get(nodeKey) || 0;
+    const neighbours = antiAffinityPrefix
+      ? guests
+        .filter(guest => key(guest.cluster, guest.node) === nodeKey && guest.name.toLowerCase().startsWith(antiAffinityPrefix))
+        .map(guest => guest.name)
+      : [];
+
+    // Storages that do not report a size (total 0) count as having no headroom
+    const storageHeadroom = storage && storage.total > 0
+      ? (storage.avail - diskNeeded) / storage.total
+      : 0;
+
+    const score = reasons.length > 0
+      ? 0
+      : WEIGHTS.memory * (memoryFree - memoryNeeded) / node.maxmem +
+        WEIGHTS.cpu * Math.max(0, cpuFree - request.cores) / node.maxcpu +
+        WEIGHTS.storage * storageHeadroom +
+        WEIGHTS.guests * (1 - guestCount / maxGuests) -
+        (neighbours.length > 0 ? ANTI_AFFINITY_PENALTY : 0);
+
+    return {
+      cluster: node.cluster,
+      node: node.node,
+      fits: reasons.length === 0,
+      score: Number(score.toFixed(3)),
+      reasons,
+      memoryFree,
+      cpuFree: Number(cpuFree.toFixed(2)),
+      storage: storage ? { storage: storage.storage, avail: storage.avail } : null,
+      guests: guestCount,
+      antiAffinity: neighbours
+    };
+  });
+
+  return ranked.sort((a, b) =>
+    Number(b.fits) - Number(a.fits) ||
+    b.score - a.score ||
+    a.guests - b.guests ||
+    a.node.localeCompare(b.node)
+  );
+}
+
+module.exports = {
+  resolveAntiAffinityPrefix,
+  rankNodes
+};
\ No newline at end of file
@@ -0,0 +1,339 @@
+const fs = require('fs');
+const net = require('net');
+
+// Finished jobs are forgotten after this long
+const JOB_RETENTION_MS = 24 * 3600 * 1000;
+
+// Job statuses after which nothing more happens to a job
+const FINISHED_STATUSES = ['completed', 'failed', 'timeout'];
+
+/**
+ * Load the templates new guests may be cloned from
+ * @param {string} filePath - Path to the templates JSON file
+ * @param {Object} logger - Logger
+ * @returns {Map<string, Object>} Templates keyed by name
+ */
+function loadTemplates(filePath, logger) {
+  const templates = new Map();
+
+  if (!fs.existsSync(filePath)) {
+    logger.warn(`Templates file not found: ${filePath}`);
+    return templates;
+  }
+
+  const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const definitions = Array.isArray(content) ? content : content.templates || [];
+
+  definitions.forEach(definition => {
+    if (!definition.name || !definition.node || !Number.isInteger(definition.vmid)) {
+      logger.error(`Skipping invalid template ${definition.name || '(unnamed)'}: name, node and vmid are required`);
+      return;
+    }
+    templates.set(definition.name, {
+      full: true,
+      ...definition
+    });
+  });
+
+  logger.info(`Loaded ${templates.size} templates from ${filePath}`);
+
+  return templates;
+}
+
+/**
+ * Split a ProxMox task ID, e.g. UPID:pve1:0000C2A1:...:qmclone:9000:root@pam:
+ * @param {string} upid - Task ID
+ * @returns {Object|null} node and type of the task, or null if it is malformed
+ */
+function parseUpid(upid) {
+  const fields = (upid || '').split(':');
+  if (fields[0] !== 'UPID' || fields.length < 8) {
+    return null;
+  }
+
+  return {
+    node: fields[1],
+    type: fields[5],
+    id: fields[6],
+    user: fields[7]
+  };
+}
+
+/**
+ * Check the network settings of a provisioning request
+ * @param {Object} network - ip as CIDR or 'dhcp', gateway and dns servers
+ * @returns {string|null} Problem description, or null when valid
+ */
+function validateNetwork({ ip, gateway, dns = [] }) {
+  if (ip !== undefined && typeof ip !== 'string') {
+    return `IP must be a string, e.g. 10.0.0.10/24 or 'dhcp'`;
+  }
+  if (gateway !== undefined && typeof gateway !== 'string') {
+    return 'Gateway must be a string';
+  }
+  if (!Array.isArray(dns) || dns.some(server => typeof server !== 'string')) {
+    return 'DNS servers must be a list of IP addresses';
+  }
+  if (ip && ip !== 'dhcp') {
+    const [address, prefixLength] = ip.split('/');
+    const version = net.isIP(address);
+    const maxPrefix = version === 6 ? 128 : 32;
+    if (!version || !/^\d+$/.test(prefixLength || '') || Number(prefixLength) > maxPrefix) {
+      return `IP '${ip}' must be an address with a prefix length, e.g. 10.0.0.10/24, or 'dhcp'`;
+    }
+  }
+  if (gateway && !net.isIP(gateway)) {
+    return `Gateway '${gateway}' is not an IP address`;
+  }
+  const badServer = dns.find(server => !net.isIP(server));
+  if (badServer) {
+    return `DNS server '${badServer}' is not an IP address`;
+  }
+
+  return null;
+}
+
+/**
+ * Build the guest config applied after cloning: cloud-init network settings,
+ * tags and optional sizing
+ * @param {Object} request - ip, gateway, dns, searchDomain, tags, cores and memory
+ * @returns {Object} Parameters for PUT /nodes/{node}/qemu/{vmid}/config
+ */
+function buildGuestConfig({ ip, gateway, dns = [], searchDomain, tags = [], cores, memory }) {
+  const config = {};
+
+  if (ip) {
+    const version = ip === 'dhcp' ? 4 : net.isIP(ip.split('/')[0]);
+    const settings = version === 6 ? [`ip6=${ip}`] : [`ip=${ip}`];
+    if (gateway) {
+      settings.push(version === 6 ? `gw6=${gateway}` : `gw=${gateway}`);
+    }
+    config.ipconfig0 = settings.join(',');
+  }
+  if (dns.length > 0) {
+    config.nameserver = dns.join(' ');
+  }
+  if (searchDomain) {
+    config.searchdomain = searchDomain;
+  }
+  if (tags.length > 0) {
+    config.tags = tags.join(';');
+  }
+  if (cores) {
+    config.cores = cores;
+  }
+  if (memory) {
+    config.memory = memory;
+  }
+
+  return config;
+}
+
+/**
+ * Create the provisioner, which clones templates and follows each clone task
+ * in the background until the new guest is configured. A job moves from
+ * cloning to configuring, then to completed or failed. A clone task still
+ * running after maxDurationMs is no longer followed and its job times out.
+ * @param {Object} options
+ * @param {Object} options.logger - Logger
+ * @param {number} [options.pollIntervalMs=2000] - How often to poll a running task
+ * @param {number} [options.maxDurationMs=3600000] - How long a clone task is followed
+ * @param {Function} [options.onFinished] - Called with each job once it completes, fails or times out
+ * @returns {Object} Provisioner
+ */
+function createProvisioner({ logger, pollIntervalMs = 2000, maxDurationMs = 3600 * 1000, onFinished = () => {} }) {
+  const jobs = new Map();
+
+  const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  };
+
+  /**
+   * Drop finished jobs older than the retention period
+   */
+  const prune = () => {
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    jobs.forEach((job, upid) => {
+      if (FINISHED_STATUSES.includes(job.status) && new Date(job.updatedAt).getTime() < cutoff) {
+        jobs.delete(upid);
+      }
+    });
+  };
+
+  /**
+   * Read the latest percentage ProxMox logged for a task
+   * @param {Object} cluster - Cluster with its API client
+   * @param {string} node - Node running the task
+   * @param {string} upid - Task ID
+   * @returns {Promise<number|null>} Progress in percent
+   */
+  const readProgress = async (cluster, node, upid) => {
+    const response = await cluster.api.get(`/nodes/${node}/tasks/${encodeURIComponent(upid)}/log`, {
+      params: { start: 0, limit: 500 }
+    });
+    const lines = (response.data.data || []).map(line => line.t).reverse();
+    const match = lines.map(line => (line || '').match(/(\d+(?:\.\d+)?)%/)).find(Boolean);
+    return match ? Number(match[1]) : null;
+  };
+
+  /**
+   * Poll a clone task until it stops or the deadline passes
+   * @param {Object} job - Job being followed
+   * @param {Object} cluster - Cluster with its API client
+   * @param {string} taskNode - Node running the task
+   * @param {number} deadline - Time in milliseconds after which the task is given up on
+   * @returns {Promise<boolean>} true once the task succeeded, false when it ran past the deadline
+   */
+  const waitForTask = async (job, cluster, taskNode, deadline) => {
+    for (;;) {
+      const response = await cluster.api.get(`/nodes/${taskNode}/tasks/${encodeURIComponent(job.upid)}/status`);
+      const task = response.data.data;
+
+      if (task.status === 'stopped') {
+        if (task.exitstatus !== 'OK') {
+          throw new Error(`Clone task failed: ${task.exitstatus}`);
+        }
+        return true;
+      }
+      if (Date.now() >= deadline) {
+        return false;
+      }
+
+      try {
+        update(job, { progress: await readProgress(cluster, taskNode, job.upid) });
+      } catch (error) {
+        // Progress is informational, keep polling the status
+      }
+      await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+    }
+  };
+
+  /**
+   * Hand a finished job to the onFinished callback
+   * @param {Object} job - Job that completed, failed or timed out
+   */
+  const finish = async (job) => {
+    try {
+      await onFinished(job);
+    } catch (error) {
+      logger.error(`Cleaning up after provisioning ${job.hostname} failed: ${error.message}`);
+    }
+  };
+
+  /**
+   * Wait for the clone task, then apply the guest config
+   * @param {Object} job - Job being followed
+   * @param {Object} cluster - Cluster with its API client
+   * @param {Object} config - Guest config to apply after cloning
+   */
+  const follow = async (job, cluster, config) => {
+    try {
+      const { node: taskNode } = parseUpid(job.upid) || {};
+      if (!taskNode) {
+        throw new Error(`ProxMox returned a malformed task ID '${job.upid}'`);
+      }
+
+      if (!await waitForTask(job, cluster, taskNode, Date.now() + maxDurationMs)) {
+        logger.error(`Provisioning ${job.hostname} timed out, clone task ${job.upid} is still running`);
+        update(job, {
+          status: 'timeout',
+          error: `Clone task did not finish within ${maxDurationMs / 1000} seconds`
+        });
+        return finish(job);
+      }
+
+      update(job, { status: 'configuring', progress: 100 });
+
+      if (Object.keys(config).length > 0) {
+        await cluster.api.put(`/nodes/${job.node}/qemu/${job.vmid}/config`, config);
+      }
+
+      update(job, { status: 'completed' });
+      logger.info(`Provisioned ${job.hostname} as VM ${job.vmid} on ${job.cluster}/${job.node}`);
+    } catch (error) {
+      logger.error(`Provisioning ${job.hostname} failed: ${error.message}`);
+      update(job, { status: 'failed', error: error.response?.data?.message || error.message });
+    }
+
+    return finish(job);
+  };
+
+  /**
+   * Clone a template and start following the clone task
+   * @param {Object} cluster - Cluster holding the template
+   * @param {Object} template - Template definition
+   * @param {Object} request - hostname, node, vmid, pool, storage and the guest config fields
+   * @returns {Promise<Object>} The new job
+   */
+  const start = async (cluster, template, request) => {
+    prune();
+
+    const vmid = request.vmid || Number((await cluster.api.get('/cluster/nextid')).data.data);
+    const node = request.node || template.node;
+
+    const cloneParams = {
+      newid: vmid,
+      name: request.hostname,
+      target: node,
+      full: template.full ? 1 : 0
+    };
+    if (request.pool || template.pool) {
+      cloneParams.pool = request.pool || template.pool;
+    }
+    if (template.full && (request.storage || template.storage)) {
+      cloneParams.storage = request.storage || template.storage;
+    }
+
+    const response = await cluster.api.post(`/nodes/${template.node}/qemu/${template.vmid}/clone`, cloneParams);
+    const upid = response.data.data;
+
+    const now = new Date().toISOString();
+    const job = {
+      upid,
+      status: 'cloning',
+      progress: 0,
+      hostname: request.hostname,
+      template: template.name,
+      cluster: cluster.name,
+      node,
+      vmid,
+      pool: cloneParams.pool || null,
+      reservationId: request.reservationId || null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+    jobs.set(upid, job);
+
+    logger.info(`Cloning template ${template.name} to ${job.hostname} (VM ${vmid}) on ${cluster.name}/${node}: ${upid}`);
+
+    follow(job, cluster, buildGuestConfig({
+      ...request,
+      cores: request.cores || template.cores,
+      memory: request.memory || template.memory,
+      tags: [...new Set([...(template.tags || []), ...(request.tags || [])])]
+    }));
+
+    return job;
+  };
+
+  /**
+   * Get a job by its clone task ID
+   * @param {string} upid - Task ID
+   * @returns {Object|undefined} Job
+   */
+  const get = (upid) => jobs.get(upid);
+
+  return {
+    start,
+    get
+  };
+}
+
+module.exports = {
+  loadTemplates,
+  parseUpid,
+  validateNetwork,
+  buildGuestConfig,
+  createProvisioner
+};
\ No newline at end of file
@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a hostname reservation store persisted to a JSON file. All
+ * operations are synchronous so that check-and-reserve cannot interleave.
+ * @param {string} filePath - Path to the reservations file
+ * @param {Object} logger - Logger
+ * @returns {Object} Reservation store
+ */
+function createReservationStore(filePath, logger) {
+  let reservations = [];
+
+  if (fs.existsSync(filePath)) {
+    reservations = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    logger.info(`Loaded ${reservations.length} hostname reservations from ${filePath}`);
+  }
+
+  /**
+   * Write reservations to disk, replacing the file atomically
+   */
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(reservations, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  /**
+   * Drop reservations whose lease has run out
+   */
+  const prune = () => {
+    const now = Date.now();
+    const active = reservations.filter(reservation => new Date(reservation.expiresAt).getTime() > now);
+
+    if (active.length !== reservations.length) {
+      logger.info(`Expired ${reservations.length - active.length} hostname reservations`);
+      reservations = active;
+      save();
+    }
+  };
+
+  /**
+   * List active reservations
+   * @param {Object} [filters] - Optional owner to filter by
+   * @returns {Array<Object>} Reservations
+   */
+  const list = ({ owner } = {}) => {
+    prune();
+    return owner ? reservations.filter(reservation => reservation.owner === owner) : reservations;
+  };
+
+  /**
+   * Get an active reservation by ID
+   * @param {string} id - Reservation ID
+   * @returns {Object|undefined} Reservation
+   */
+  const get = (id) => {
+    prune();
+    return reservations.find(reservation => reservation.id === id);
+  };
+
+  /**
+   * Find the active reservation holding a hostname
+   * @param {string} hostname - Hostname
+   * @returns {Object|undefined} Reservation
+   */
+  const findByHostname = (hostname) => {
+    prune();
+    const normalizedHostname = hostname.toLowerCase();
+    return reservations.find(reservation => reservation.hostname === normalizedHostname);
+  };
+
+  /**
+   * Reserve a hostname unless it is already held
+   * @param {Object} details
+   * @param {string} details.hostname - Hostname to hold
+   * @param {string} details.owner - Who holds it
+   * @param {string} [details.ticket] - Change or ticket reference
+   * @param {number} details.leaseSeconds - Lease length
+   * @returns {Object} The new reservation, or the conflicting one
+   */
+  const reserve = ({ hostname, owner, ticket, leaseSeconds }) => {
+    const conflict = findByHostname(hostname);
+    if (conflict) {
+      return { conflict };
+    }
+
+    const now = new Date();
+    const reservation = {
+      id: crypto.randomUUID(),
+      hostname: hostname.toLowerCase(),
+      owner,
+      ticket: ticket || null,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + leaseSeconds * 1000).toISOString()
+    };
+
+    reservations.push(reservation);
+    save();
+
+    return { reservation };
+  };
+
+  /**
+   * Reserve several hostnames at once: either all of them are reserved or,
+   * if any is already held, none are
+   * @param {Array<string>} hostnames - Hostnames to hold
+   * @param {Object} details - owner, ticket and leaseSeconds, see reserve
+   * @returns {Object} The new reservations, or the conflicting ones
+   */
+  const reserveMany = (hostnames, details) => {
+    const conflicts = hostnames.map(findByHostname).filter(Boolean);
+    if (conflicts.length > 0) {
+      return { conflicts };
+    }
+
+    const created = hostnames.map(hostname => reserve({ ...details, hostname }).reservation);
+    return { reservations: created };
+  };
+
+  /**
+   * Extend a reservation's lease from now
+   * @param {string} id - Reservation ID
+   * @param {number} leaseSeconds - New lease length
+   * @returns {Object|undefined} Updated reservation, undefined if not found
+   */
+  const renew = (id, leaseSeconds) => {
+    const reservation = get(id);
+    if (!reservation) {
+      return undefined;
+    }
+
+    reservation.expiresAt = new Date(Date.now() + leaseSeconds * 1000).toISOString();
+    save();
+
+    return reservation;
+  };
+
+  /**
+   * Release a reservation
+   * @param {string} id - Reservation ID
+   * @returns {Object|undefined} Released reservation, undefined if not found
+   */
+  const release = (id) => {
+    const reservation = get(id);
+    if (!reservation) {
+      return undefined;
+    }
+
+    reservations = reservations.filter(entry => entry.id !== id);
+    save();
+
+    return reservation;
+  };
+
+  return {
+    list,
+    get,
+    findByHostname,
+    reserve,
+    reserveMany,
+    renew,
+    release
+  };
+}
+
+module.exports = {
+  createReservationStore
+};
\ No newline at end of file
@@ -0,0 +1,112 @@
+// Allocation modes for numbered hostnames
+const SEQUENCE_MODES = ['append', 'gap'];
+const DEFAULT_SEQUENCE_MODE = 'append';
+
+/**
+ * Escape a string for literal use inside a RegExp
+ * @param {string} value - Raw string
+ * @returns {string} Escaped string
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Collect the counter values used by existing names
+ * @param {Array<string>} existingNames - Hostnames already in use
+ * @param {RegExp} matcher - RegExp capturing the counter digits in group 1
+ * @returns {Object} Used numbers and the zero-padding width seen in existing names
+ */
+function collectSequence(existingNames, matcher) {
+  const used = new Set();
+  let width = 1;
+
+  existingNames.forEach(name => {
+    const match = name && name.match(matcher);
+    if (match && match[1]) {
+      const number = parseInt(match[1], 10);
+
+      // Counters too long to count past exactly can never be reached by appending
+      if (!Number.isSafeInteger(number)) {
+        return;
+      }
+      used.add(number);
+
+      // Only zero-padded numbers tell us the padding width; web12 says nothing
+      if (match[1].length > 1 && match[1].startsWith('0')) {
+        width = Math.max(width, match[1].length);
+      }
+    }
+  });
+
+  return { used, width };
+}
+
+/**
+ * Allocate the next free counter values in a numbered sequence
+ * @param {Object} options
+ * @param {Array<string>} options.existingNames - Hostnames already in use
+ * @param {RegExp} options.matcher - RegExp capturing the counter digits in group 1
+ * @param {Function} options.render - Builds a hostname from (number, width)
+ * @param {number} [options.count=3] - Number of names to allocate
+ * @param {string} [options.mode='append'] - 'gap' fills the lowest free numbers,
+ *   'append' continues after the highest number in use
+ * @param {number} [options.minWidth=1] - Minimum zero-padding width
+ * @returns {Object} Allocated names, numbers, padding width and the mode used.
+ *   Fewer names than requested are returned only when the counter runs out of
+ *   safe integers.
+ */
+function allocateSequence({ existingNames, matcher, render, count = 3, mode = DEFAULT_SEQUENCE_MODE, minWidth = 1 }) {
+  if (!SEQUENCE_MODES.includes(mode)) {
+    throw new Error(`Unknown sequence mode '${mode}', expected one of: ${SEQUENCE_MODES.join(', ')}`);
+  }
+
+  const { used, width: seenWidth } = collectSequence(existingNames, matcher);
+  const width = Math.max(minWidth, seenWidth);
+
+  const numbers = [];
+  let candidate = mode === 'gap' ? 1 : [...used].reduce((max, number) => Math.max(max, number), 0) + 1;
+
+  // Every step either allocates a number or skips a used one, so this many
+  // steps always suffices
+  const maxSteps = count + used.size;
+
+  for (let step = 0; step < maxSteps && numbers.length < count && candidate <= Number.MAX_SAFE_INTEGER; step++) {
+    if (!used.has(candidate)) {
+      numbers.push(candidate);
+    }
+    candidate++;
+  }
+
+  return {
+    mode,
+    width,
+    numbers,
+    names: numbers.map(number => render(number, width))
+  };
+}
+
+/**
+ * Allocate numbered hostnames for a plain prefix, e.g. 'web' -> web07
+ * @param {string} prefix - Hostname prefix
+ * @param {Array<string>} existingNames - Hostnames already in use
+ * @param {Object} [options] - count and mode, see allocateSequence
+ * @returns {Object} Allocation result, see allocateSequence
+ */
+function allocateFromPrefix(prefix, existingNames, options = {}) {
+  return allocateSequence({
+    ...options,
+    existingNames,
+    matcher: new RegExp(`^${escapeRegExp(prefix)}(\\d+)$`, 'i'),
+    render: (number, width) => `${prefix}${String(number).padStart(width, '0')}`
+  });
+}
+
+module.exports = {
+  SEQUENCE_MODES,
+  DEFAULT_SEQUENCE_MODE,
+  escapeRegExp,
+  collectSequence,
+  allocateSequence,
+  allocateFromPrefix
+};
\ No newline at end of file
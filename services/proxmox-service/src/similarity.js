@@ -0,0 +1,131 @@
+// Characters that separate words in a hostname
+const SEPARATOR_PATTERN = /[-_.]/g;
+
+// Look-alike characters folded together when comparing names
+const CONFUSABLES = {
+  l: '1',
+  i: '1',
+  o: '0'
+};
+
+// Upper bound on the number of similar names returned
+const MAX_SIMILAR_RESULTS = 10;
+
+/**
+ * Normalize a hostname for structural comparison: lowercase, no separators,
+ * no leading zeros in numbers. web-01, web01 and WEB1 all become web1.
+ * @param {string} name - Hostname
+ * @returns {string} Normalized form
+ */
+function normalizeHostname(name) {
+  return name
+    .toLowerCase()
+    .replace(SEPARATOR_PATTERN, '')
+    .replace(/\d+/g, digits => String(parseInt(digits, 10)));
+}
+
+/**
+ * Fold look-alike characters so that web0l and webo1 compare equal to web01
+ * @param {string} name - Hostname
+ * @returns {string} Skeleton form
+ */
+function confusableSkeleton(name) {
+  return name
+    .toLowerCase()
+    .replace(SEPARATOR_PATTERN, '')
+    .replace(/[lio]/g, char => CONFUSABLES[char]);
+}
+
+/**
+ * Levenshtein distance, giving up once it exceeds a limit
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} limit - Largest distance worth computing
+ * @returns {number} Edit distance, or limit + 1 if it is larger than limit
+ */
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find existing names that are easy to confuse with a candidate hostname
+ * @param {string} hostname - Candidate hostname
+ * @param {Array<Object>} guests - Guest entries with a name
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance=1] - Largest edit distance reported as similar
+ * @returns {Array<Object>} Similar names, most similar first
+ */
+function findSimilarNames(hostname, guests, { maxDistance = 1 } = {}) {
+  const candidate = hostname.toLowerCase();
+  const candidateNormalized = normalizeHostname(candidate);
+  const candidateSkeleton = confusableSkeleton(candidate);
+
+  const matches = [];
+
+  guests.forEach(guest => {
+    const name = guest.name.toLowerCase();
+
+    // Exact matches are collisions, not near matches
+    if (!name || name === candidate) {
+      return;
+    }
+
+    const reasons = [];
+    const distance = editDistance(candidate, name, maxDistance);
+
+    if (normalizeHostname(name) === candidateNormalized) {
+      reasons.push('normalized');
+    }
+    if (confusableSkeleton(name) === candidateSkeleton) {
+      reasons.push('confusable');
+    }
+    if (distance <= maxDistance) {
+      reasons.push('edit-distance');
+    }
+
+    if (reasons.length > 0) {
+      const fullDistance = editDistance(candidate, name, Math.max(candidate.length, name.length));
+      matches.push({
+        name: guest.name,
+        cluster: guest.cluster,
+        type: guest.type,
+        score: Number((1 - fullDistance / Math.max(candidate.length, name.length)).toFixed(2)),
+        distance: fullDistance,
+        reasons
+      });
+    }
+  });
+
+  return matches
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, MAX_SIMILAR_RESULTS);
+}
+
+module.exports = {
+  normalizeHostname,
+  confusableSkeleton,
+  editDistance,
+  findSimilarNames
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Create a store of retired hostnames persisted to a JSON file. It remembers
+ * the names last seen on each cluster; a name missing from the next snapshot
+ * is tombstoned for the quarantine period so it is not reused straight away.
+ * @param {string} filePath - Path to the tombstones file
+ * @param {number} quarantineSeconds - How long a retired name stays blocked
+ * @param {Object} logger - Logger
+ * @returns {Object} Tombstone store
+ */
+function createTombstoneStore(filePath, quarantineSeconds, logger) {
+  let state = { seen: {}, tombstones: [] };
+
+  if (fs.existsSync(filePath)) {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    logger.info(`Loaded ${state.tombstones.length} hostname tombstones from ${filePath}`);
+  }
+
+  /**
+   * Write the store to disk, replacing the file atomically
+   */
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, filePath);
+  };
+
+  /**
+   * Drop tombstones whose quarantine has run out
+   */
+  const prune = () => {
+    const now = Date.now();
+    const active = state.tombstones.filter(tombstone => new Date(tombstone.availableAt).getTime() > now);
+
+    if (active.length !== state.tombstones.length) {
+      logger.info(`Lifted ${state.tombstones.length - active.length} hostname tombstones`);
+      state.tombstones = active;
+      save();
+    }
+  };
+
+  /**
+   * Compare a cluster's guest names with its previous snapshot. Names that
+   * disappeared are tombstoned, names that came back lose their tombstone.
+   * The first snapshot of a cluster only sets the baseline.
+   * @param {string} cluster - Cluster name
+   * @param {Array<string>} names - Names of every guest currently on the cluster
+   * @returns {Array<Object>} Tombstones created by this snapshot
+   */
+  const observe = (cluster, names) => {
+    const current = [...new Set(names.filter(Boolean).map(name => name.toLowerCase()))].sort();
+    const previous = state.seen[cluster];
+
+    if (previous && previous.length === current.length && previous.every((name, index) => name === current[index])) {
+      return [];
+    }
+
+    const now = new Date();
+    const retired = previous
+      ? previous
+        .filter(name => !current.includes(name))
+        .map(hostname => ({
+          id: crypto.randomUUID(),
+          hostname,
+          cluster,
+          retiredAt: now.toISOString(),
+          availableAt: new Date(now.getTime() + quarantineSeconds * 1000).toISOString()
+        }))
+      : [];
+
+    state.tombstones = state.tombstones
+      .filter(tombstone => tombstone.cluster !== cluster || !current.includes(tombstone.hostname))
+      .concat(retired);
+    state.seen[cluster] = current;
+    save();
+
+    if (retired.length > 0) {
+      logger.info(`Tombstoned ${retired.length} retired hostnames on cluster ${cluster}: ${retired.map(t => t.hostname).join(', ')}`);
+    }
+
+    return retired;
+  };
+
+  /**
+   * List active tombstones
+   * @returns {Array<Object>} Tombstones
+   */
+  const list = () => {
+    prune();
+    return state.tombstones;
+  };
+
+  /**
+   * Find the active tombstone for a hostname, the latest one if it was
+   * retired on several clusters
+   * @param {string} hostname - Hostname
+   * @returns {Object|undefined} Tombstone
+   */
+  const findByHostname = (hostname) => {
+    prune();
+    const normalizedHostname = hostname.toLowerCase();
+    return state.tombstones
+      .filter(tombstone => tombstone.hostname === normalizedHostname)
+      .sort((a, b) => b.availableAt.localeCompare(a.availableAt))[0];
+  };
+
+  /**
+   * Lift a tombstone before its quarantine ends
+   * @param {string} id - Tombstone ID
+   * @returns {Object|undefined} Released tombstone, undefined if not found
+   */
+  const release = (id) => {
+    prune();
+    const tombstone = state.tombstones.find(entry => entry.id === id);
+    if (!tombstone) {
+      return undefined;
+    }
+
+    state.tombstones = state.tombstones.filter(entry => entry.id !== id);
+    save();
+
+    return tombstone;
+  };
+
+  return {
+    observe,
+    list,
+    findByHostname,
+    release
+  };
+}
+
+module.exports = {
+  createTombstoneStore
+};
\ No newline at end of file
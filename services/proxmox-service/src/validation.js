@@ -0,0 +1,175 @@
+// RFC 1123 limits
+const MAX_LABEL_LENGTH = 63;
+const MAX_HOSTNAME_LENGTH = 253;
+
+// Characters allowed in a DNS label
+const LABEL_CHAR_PATTERN = /^[a-z0-9-]$/i;
+
+/**
+ * Parse a comma-separated environment variable into a lowercase list
+ * @param {string} value - Raw variable value
+ * @returns {Array<string>} Non-empty entries
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Build organisation hostname rules from environment variables
+ * @param {Object} env - Environment, usually process.env
+ * @returns {Object} Hostname rules
+ */
+function loadHostnameRules(env) {
+  return {
+    maxLength: parseInt(env.HOSTNAME_MAX_LENGTH) || MAX_LABEL_LENGTH,
+    allowLeadingDigit: env.HOSTNAME_ALLOW_LEADING_DIGIT === 'true',
+    bannedWords: parseList(env.HOSTNAME_BANNED_WORDS),
+    envSuffixes: parseList(env.HOSTNAME_ENV_SUFFIXES)
+  };
+}
+
+/**
+ * Validate a single DNS label against RFC 1123
+ * @param {string} label - Label to check
+ * @param {number} labelIndex - Position of the label in the hostname
+ * @returns {Array<Object>} Violations
+ */
+function validateLabel(label, labelIndex) {
+  const violations = [];
+
+  if (label.length === 0) {
+    violations.push({
+      code: 'EMPTY_LABEL',
+      message: 'Hostname contains an empty label (leading, trailing or repeated dot)',
+      label: labelIndex
+    });
+    return violations;
+  }
+
+  if (label.length > MAX_LABEL_LENGTH) {
+    violations.push({
+      code: 'LABEL_TOO_LONG',
+      message: `Label '${label}' is ${label.length} characters long, the maximum is ${MAX_LABEL_LENGTH}`,
+      label: labelIndex
+    });
+  }
+
+  Array.from(label).forEach((char, position) => {
+    if (!LABEL_CHAR_PATTERN.test(char)) {
+      violations.push({
+        code: 'INVALID_CHAR',
+        message: `Character '${char}' is not allowed, use letters, digits and hyphens only`,
+        label: labelIndex,
+        position
+      });
+    }
+  });
+
+  if (label.startsWith('-')) {
+    violations.push({
+      code: 'LEADING_HYPHEN',
+      message: `Label '${label}' must not start with a hyphen`,
+      label: labelIndex
+    });
+  }
+
+  if (label.endsWith('-')) {
+    violations.push({
+      code: 'TRAILING_HYPHEN',
+      message: `Label '${label}' must not end with a hyphen`,
+      label: labelIndex
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Validate a hostname against RFC 1123 and the organisation's rules
+ * @param {string} hostname - Hostname to check, short name or FQDN
+ * @param {Object} rules - Hostname rules, see loadHostnameRules
+ * @returns {Object} Whether the hostname is valid and the list of violations
+ */
+function validateHostname(hostname, rules) {
+  const violations = [];
+  const name = typeof hostname === 'string' ? hostname.trim() : '';
+
+  if (!name) {
+    return {
+      valid: false,
+      violations: [{ code: 'EMPTY', message: 'Hostname is required' }]
+    };
+  }
+
+  if (name.length > MAX_HOSTNAME_LENGTH) {
+    violations.push({
+      code: 'NAME_TOO_LONG',
+      message: `Hostname is ${name.length} characters long, the maximum is ${MAX_HOSTNAME_LENGTH}`
+    });
+  }
+
+  const labels = name.split('.');
+  labels.forEach((label, index) => {
+    violations.push(...validateLabel(label, index));
+  });
+
+  // Organisation rules apply to the short name only
+  const shortName = labels[0].toLowerCase();
+
+  if (shortName.length > rules.maxLength && shortName.length <= MAX_LABEL_LENGTH) {
+    violations.push({
+      code: 'MAX_LENGTH_EXCEEDED',
+      message: `Hostname is ${shortName.length} characters long, the organisation maximum is ${rules.maxLength}`
+    });
+  }
+
+  if (!rules.allowLeadingDigit && /^[0-9]/.test(shortName)) {
+    violations.push({
+      code: 'LEADING_DIGIT',
+      message: 'Hostname must start with a letter'
+    });
+  }
+
+  if (/^[0-9-]+$/.test(shortName)) {
+    violations.push({
+      code: 'ALL_NUMERIC',
+      message: 'Hostname must contain at least one letter'
+    });
+  }
+
+  rules.bannedWords
+    .filter(word => shortName.includes(word))
+    .forEach(word => {
+      violations.push({
+        code: 'BANNED_WORD',
+        message: `Hostname must not contain '${word}'`,
+        word
+      });
+    });
+
+  // A trailing counter does not count towards the suffix, so app-prd01 ends in -prd
+  if (rules.envSuffixes.length > 0) {
+    const withoutCounter = shortName.replace(/\d+$/, '');
+    if (!rules.envSuffixes.some(suffix => withoutCounter.endsWith(suffix))) {
+      violations.push({
+        code: 'MISSING_ENV_SUFFIX',
+        message: `Hostname must end with an environment suffix: ${rules.envSuffixes.join(', ')}`
+      });
+    }
+  }
+
+  return {
+    valid: violations.length === 0,
+    violations
+  };
+}
+
+module.exports = {
+  MAX_LABEL_LENGTH,
+  MAX_HOSTNAME_LENGTH,
+  loadHostnameRules,
+  validateHostname
+};
\ No newline at end of file
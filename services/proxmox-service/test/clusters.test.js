@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadClusters, queryClusters } = require('../src/clusters');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('loadClusters', () => {
+  test('loads clusters from a file, with secrets from the environment', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clusters-'));
+    const filePath = path.join(dir, 'clusters.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      clusters: [
+        { name: 'prod', url: 'https://prod.example.com/api2/json', tokenName: 'snp@pve!prod', tokenValueEnv: 'TEST_PROD_TOKEN' },
+        { name: 'lab', url: 'https://lab.example.com/api2/json', tokenName: 'snp@pve!lab', tokenValue: 'lab-secret', timeout: 2000 }
+      ]
+    }));
+    process.env.TEST_PROD_TOKEN = 'prod-secret';
+
+    const clusters = loadClusters(filePath, logger);
+
+    expect(clusters.map(cluster => cluster.name)).toEqual(['prod', 'lab']);
+    expect(clusters[0].api.defaults.headers.Authorization).toBe('PVEAPIToken=snp@pve!prod=prod-secret');
+    expect(clusters[0].api.defaults.timeout).toBe(10000);
+    expect(clusters[1].api.defaults.timeout).toBe(2000);
+    delete process.env.TEST_PROD_TOKEN;
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  test('rejects a cluster without a name or url', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clusters-'));
+    const filePath = path.join(dir, 'clusters.json');
+    fs.writeFileSync(filePath, JSON.stringify([{ name: 'prod' }]));
+
+    expect(() => loadClusters(filePath, logger)).toThrow('ProxMox cluster requires a name and a url');
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+describe('queryClusters', () => {
+  test('returns the reachable clusters and reports the others', async () => {
+    const clusters = [{ name: 'prod' }, { name: 'lab' }, { name: 'dr' }];
+    const query = cluster => (cluster.name === 'lab'
+      ? Promise.reject(new Error('timeout of 10000ms exceeded'))
+      : Promise.resolve([`${cluster.name}-guest`]));
+
+    const { results, errors } = await queryClusters(clusters, query, logger);
+
+    expect(results).toEqual([
+      { cluster: 'prod', value: ['prod-guest'] },
+      { cluster: 'dr', value: ['dr-guest'] }
+    ]);
+    expect(errors).toEqual([{ cluster: 'lab', message: 'timeout of 10000ms exceeded' }]);
+    expect(logger.error).toHaveBeenCalledWith("ProxMox cluster 'lab' query failed: timeout of 10000ms exceeded");
+  });
+
+  test('reports every cluster when none can be reached', async () => {
+    const { results, errors } = await queryClusters([{ name: 'prod' }], () => Promise.reject(new Error('connect ECONNREFUSED')), logger);
+
+    expect(results).toEqual([]);
+    expect(errors).toEqual([{ cluster: 'prod', message: 'connect ECONNREFUSED' }]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseZoneFile, createDnsProvider } = require('../src/dns');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const zone = [
+  '$TTL 3600',
+  '@        IN SOA ns1.example.com. admin.example.com. ( 1 3600 600 86400 60 )',
+  '         IN NS  ns1.example.com.',
+  'web01    IN A    10.0.0.10 ; primary web server',
+  '         IN AAAA 2001:db8::10',
+  'db01 300 IN A    10.0.0.11',
+  'www      IN CNAME web01',
+  'mail.example.org. IN A 192.0.2.25',
+  '$ORIGIN lab.example.com.',
+  'test01   A 10.1.0.5'
+].join('\n');
+
+describe('parseZoneFile', () => {
+  test('reads A, AAAA and CNAME records with their fully qualified names', () => {
+    const records = parseZoneFile(zone, 'example.com');
+
+    expect(records.get('web01.example.com')).toEqual([
+      { type: 'A', value: '10.0.0.10' },
+      { type: 'AAAA', value: '2001:db8::10' }
+    ]);
+    expect(records.get('db01.example.com')).toEqual([{ type: 'A', value: '10.0.0.11' }]);
+    expect(records.get('www.example.com')).toEqual([{ type: 'CNAME', value: 'web01.example.com' }]);
+    expect(records.get('mail.example.org')).toEqual([{ type: 'A', value: '192.0.2.25' }]);
+    expect(records.get('test01.lab.example.com')).toEqual([{ type: 'A', value: '10.1.0.5' }]);
+  });
+
+  test('skips SOA and NS records', () => {
+    expect(parseZoneFile(zone, 'example.com').has('example.com')).toBe(false);
+  });
+});
+
+describe('createDnsProvider', () => {
+  let dir;
+  let zoneFile;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dns-'));
+    zoneFile = path.join(dir, 'example.com.zone');
+    fs.writeFileSync(zoneFile, zone);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  const zoneFileProvider = () => createDnsProvider({
+    DNS_CHECK_ENABLED: 'true',
+    DNS_ZONES: 'example.com',
+    DNS_ZONE_FILE: zoneFile
+  }, logger);
+
+  test('is disabled unless turned on', () => {
+    expect(createDnsProvider({}, logger).enabled).toBe(false);
+    expect(zoneFileProvider().enabled).toBe(true);
+  });
+
+  test('reports a short name taken in a configured zone', async () => {
+    const result = await zoneFileProvider().check('WEB01');
+
+    expect(result).toMatchObject({
+      available: false,
+      message: 'web01.example.com already has a A record (10.0.0.10)',
+      errors: []
+    });
+    expect(result.records).toHaveLength(2);
+    expect(result.records[0]).toEqual({ fqdn: 'web01.example.com', type: 'A', value: '10.0.0.10', source: 'zone-file' });
+  });
+
+  test('checks a fully qualified name as given', async () => {
+    expect((await zoneFileProvider().check('mail.example.org')).available).toBe(false);
+    expect((await zoneFileProvider().check('web01.example.org')).available).toBe(true);
+  });
+
+  test('reports a name missing from the zone file as available', async () => {
+    expect(await zoneFileProvider().check('web02')).toEqual({ available: true, records: [], errors: [] });
+  });
+
+  test('cannot give an answer when the resolvers fail', async () => {
+    const provider = createDnsProvider({
+      DNS_CHECK_ENABLED: 'true',
+      DNS_ZONES: 'example.com',
+      DNS_RESOLVERS: '127.0.0.1:9',
+      DNS_TIMEOUT_MS: '200'
+    }, logger);
+
+    const result = await provider.check('web02');
+
+    expect(result.available).toBeNull();
+    expect(result.errors).toEqual([expect.objectContaining({ fqdn: 'web02.example.com' })]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,122 @@
+const {
+  classifyGuest,
+  toGuest,
+  forEachWithConcurrency,
+  fetchNodeGuests,
+  fetchGuests,
+  findGuestByName,
+  describeGuest
+} = require('../src/inventory');
+const { createClusterClient } = require('../src/clusters');
+const mockProxmox = require('../scripts/mock-proxmox');
+
+let server;
+let cluster;
+
+beforeAll(done => {
+  server = mockProxmox.listen(0, '127.0.0.1', () => {
+    cluster = createClusterClient({
+      name: 'default',
+      url: `http://127.0.0.1:${server.address().port}/api2/json`,
+      tokenName: 'test@pam!test',
+      tokenValue: 'secret'
+    });
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+describe('classifyGuest', () => {
+  test('tells VMs, containers and templates apart', () => {
+    expect(classifyGuest({ type: 'qemu', template: 0 })).toBe('vm');
+    expect(classifyGuest({ type: 'lxc' })).toBe('container');
+    expect(classifyGuest({ type: 'qemu', template: 1 })).toBe('template');
+    expect(classifyGuest({ type: 'lxc', template: '1' })).toBe('template');
+  });
+
+  test('uses the listing kind when the resource has no type', () => {
+    expect(classifyGuest({ vmid: 200 }, 'lxc')).toBe('container');
+    expect(classifyGuest({ vmid: 100 }, 'qemu')).toBe('vm');
+  });
+});
+
+describe('toGuest', () => {
+  test('flags guests that are still being created or cloned', () => {
+    expect(toGuest({ vmid: 105, name: 'app01', type: 'qemu', lock: 'clone' }).pending).toBe(true);
+    expect(toGuest({ vmid: 106, name: 'app02', type: 'lxc', lock: 'create' }).pending).toBe(true);
+    expect(toGuest({ vmid: 107, name: 'app03', type: 'qemu', lock: 'backup' }).pending).toBe(false);
+  });
+
+  test('takes node and kind from a node listing', () => {
+    expect(toGuest({ vmid: 200, name: 'cache01' }, { cluster: 'lab', node: 'pve2', kind: 'lxc' })).toMatchObject({
+      cluster: 'lab',
+      id: 200,
+      node: 'pve2',
+      type: 'container',
+      kind: 'lxc',
+      tags: [],
+      pool: null
+    });
+  });
+});
+
+describe('findGuestByName', () => {
+  test('finds VMs, containers and templates, ignoring case', async () => {
+    const guests = await fetchGuests(cluster);
+
+    expect(findGuestByName(guests, 'WEB01')).toMatchObject({ id: 100, type: 'vm' });
+    expect(findGuestByName(guests, 'cache01')).toMatchObject({ id: 200, type: 'container' });
+    expect(findGuestByName(guests, 'debian-12')).toMatchObject({ id: 9001, type: 'template' });
+    expect(findGuestByName(guests, 'web02')).toBeUndefined();
+  });
+});
+
+describe('describeGuest', () => {
+  test('names the guest type and whether it is pending', () => {
+    expect(describeGuest({ type: 'vm', pending: false })).toBe('a VM');
+    expect(describeGuest({ type: 'container', pending: true })).toBe('a pending container');
+    expect(describeGuest({ type: 'template', pending: false })).toBe('a template');
+  });
+});
+
+describe('forEachWithConcurrency', () => {
+  test('runs every item with at most limit calls in flight', async () => {
+    let running = 0;
+    let mostRunning = 0;
+    const seen = [];
+
+    await forEachWithConcurrency([1, 2, 3, 4, 5], 2, async (item, index) => {
+      running += 1;
+      mostRunning = Math.max(mostRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      seen[index] = item;
+      running -= 1;
+    });
+
+    expect(seen).toEqual([1, 2, 3, 4, 5]);
+    expect(mostRunning).toBe(2);
+  });
+});
+
+describe('fetchNodeGuests', () => {
+  test('lists the VMs and containers on one node', async () => {
+    const guests = await fetchNodeGuests(cluster, 'pve2');
+
+    expect(guests.map(guest => [guest.name, guest.type, guest.node])).toEqual([
+      ['db01', 'vm', 'pve2'],
+      ['cache01', 'container', 'pve2']
+    ]);
+  });
+
+  test('passes the per-node timeout to each request and rejects when the node does not answer', async () => {
+    const get = jest.fn().mockRejectedValue(new Error('timeout of 50ms exceeded'));
+
+    await expect(fetchNodeGuests({ name: 'default', api: { get } }, 'pve3', { timeout: 50 }))
+      .rejects.toThrow('timeout of 50ms exceeded');
+    expect(get).toHaveBeenCalledWith('/nodes/pve3/qemu', { timeout: 50 });
+    expect(get).toHaveBeenCalledWith('/nodes/pve3/lxc', { timeout: 50 });
+  });
+});
\ No newline at end of file
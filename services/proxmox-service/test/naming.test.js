@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseTemplate,
+  normalizePolicy,
+  loadNamingPolicies,
+  validateSegments,
+  renderHostname,
+  allocateFromPolicy
+} = require('../src/naming');
+
+const standard = normalizePolicy({
+  name: 'standard',
+  template: '{site}-{role}-{env}{nn}',
+  segments: {
+    site: { values: ['ams', 'fra'] },
+    env: { values: ['p', 'd'] }
+  }
+});
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+describe('parseTemplate', () => {
+  test('splits literals, segments and the counter', () => {
+    expect(parseTemplate('lab-{purpose}{nnn}')).toEqual([
+      { type: 'literal', value: 'lab-' },
+      { type: 'segment', name: 'purpose' },
+      { type: 'counter', width: 3 }
+    ]);
+  });
+});
+
+describe('normalizePolicy', () => {
+  test('requires exactly one counter', () => {
+    expect(() => normalizePolicy({ name: 'bad', template: '{site}-web' }))
+      .toThrow("Naming policy 'bad' must contain exactly one counter placeholder");
+    expect(() => normalizePolicy({ name: 'bad', template: '{n}-{nn}' })).toThrow();
+  });
+
+  test('defaults segments without values to the free-text pattern', () => {
+    const role = standard.segments.find(segment => segment.name === 'role');
+
+    expect(role).toEqual({ name: 'role', label: 'role', values: null, pattern: '^[a-z0-9]+$' });
+    expect(standard.counterWidth).toBe(2);
+  });
+});
+
+describe('validateSegments', () => {
+  test('accepts allowed values in any case', () => {
+    expect(validateSegments(standard, { site: 'AMS', role: 'web', env: 'p' })).toEqual([]);
+  });
+
+  test('reports missing, disallowed and malformed segments', () => {
+    expect(validateSegments(standard, { site: 'nyc', role: 'web-1' })).toEqual([
+      "Segment 'site' must be one of: ams, fra",
+      "Segment 'role' does not match pattern ^[a-z0-9]+$",
+      "Segment 'env' is required"
+    ]);
+  });
+});
+
+describe('renderHostname and allocateFromPolicy', () => {
+  const values = { site: 'AMS', role: 'web', env: 'p' };
+
+  test('renders a lowercase, padded hostname', () => {
+    expect(renderHostname(standard, values, 7)).toBe('ams-web-p07');
+  });
+
+  test('continues the sequence of matching names only', () => {
+    const result = allocateFromPolicy(standard, values, ['ams-web-p01', 'ams-web-p04', 'fra-web-p09'], { count: 2 });
+
+    expect(result.names).toEqual(['ams-web-p05', 'ams-web-p06']);
+  });
+
+  test('keeps a wider counter width already in use', () => {
+    const result = allocateFromPolicy(standard, values, ['ams-web-p001'], { count: 1 });
+
+    expect(result.names).toEqual(['ams-web-p002']);
+  });
+});
+
+describe('loadNamingPolicies', () => {
+  test('loads valid policies and skips invalid ones', () => {
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'naming-')), 'policies.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      policies: [
+        { name: 'lab', template: 'lab-{purpose}{nnn}' },
+        { name: 'broken', template: 'no-counter' }
+      ]
+    }));
+
+    const policies = loadNamingPolicies(filePath, logger);
+
+    expect([...policies.keys()]).toEqual(['lab']);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining("'broken'"));
+    fs.rmSync(path.dirname(filePath), { recursive: true });
+  });
+
+  test('returns no policies when the file is missing', () => {
+    expect(loadNamingPolicies('/nonexistent/policies.json', logger).size).toBe(0);
+  });
+});
\ No newline at end of file
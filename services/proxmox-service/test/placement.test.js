@@ -0,0 +1,77 @@
+const { resolveAntiAffinityPrefix, rankNodes } = require('../src/placement');
+
+const GIB = 1024 * 1024 * 1024;
+
+const node = (name, { cpu = 0.1, maxcpu = 8, mem = 4, maxmem = 32 } = {}) => ({
+  cluster: 'default',
+  node: name,
+  cpu,
+  maxcpu,
+  mem: mem * GIB,
+  maxmem: maxmem * GIB
+});
+
+const storage = (avail, total = 1000) => ({ storage: 'local-lvm', avail: avail * GIB, total: total * GIB });
+
+const request = { cores: 2, memory: 2048, disk: 20 };
+
+describe('resolveAntiAffinityPrefix', () => {
+  test('prefers an explicit prefix, then the longest configured one', () => {
+    expect(resolveAntiAffinityPrefix('web01', ['web'], 'DB')).toBe('db');
+    expect(resolveAntiAffinityPrefix('Web-Prod01', ['web', 'web-prod'])).toBe('web-prod');
+    expect(resolveAntiAffinityPrefix('db01', ['web'])).toBeNull();
+    expect(resolveAntiAffinityPrefix(undefined, ['web'])).toBeNull();
+  });
+});
+
+describe('rankNodes', () => {
+  test('puts the node with the most headroom first', () => {
+    const ranked = rankNodes([node('pve1', { mem: 24 }), node('pve2')], {
+      request,
+      storages: new Map([['default/pve1', [storage(500)]], ['default/pve2', [storage(500)]]]),
+      guests: []
+    });
+
+    expect(ranked.map(entry => entry.node)).toEqual(['pve2', 'pve1']);
+    expect(ranked.every(entry => entry.fits)).toBe(true);
+  });
+
+  test('lists nodes that cannot fit the guest last, with reasons', () => {
+    const ranked = rankNodes([node('small', { maxcpu: 1, mem: 31 }), node('big')], {
+      request,
+      storages: new Map([['default/big', [storage(10), storage(100)]]]),
+      guests: []
+    });
+
+    expect(ranked[0]).toMatchObject({ node: 'big', fits: true, storage: { avail: 100 * GIB } });
+    expect(ranked[1]).toMatchObject({
+      node: 'small',
+      fits: false,
+      score: 0,
+      reasons: ['Not enough free memory', 'Not enough CPU cores', 'No storage with enough free space']
+    });
+  });
+
+  test('spreads guests sharing the anti-affinity prefix', () => {
+    const ranked = rankNodes([node('pve1'), node('pve2', { mem: 8 })], {
+      request,
+      storages: new Map([['default/pve1', [storage(500)]], ['default/pve2', [storage(500)]]]),
+      guests: [{ cluster: 'default', node: 'pve1', name: 'web01' }],
+      antiAffinityPrefix: 'web'
+    });
+
+    expect(ranked[0].node).toBe('pve2');
+    expect(ranked[1].antiAffinity).toEqual(['web01']);
+  });
+
+  test('treats storage with a zero total as having no headroom', () => {
+    const ranked = rankNodes([node('pve1')], {
+      request,
+      storages: new Map([['default/pve1', [storage(500, 0)]]]),
+      guests: []
+    });
+
+    expect(ranked[0].fits).toBe(true);
+    expect(Number.isFinite(ranked[0].score)).toBe(true);
+  });
+});
\ No newline at end of file
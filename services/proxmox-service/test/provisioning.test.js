@@ -0,0 +1,277 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadTemplates,
+  parseUpid,
+  validateNetwork,
+  buildGuestConfig,
+  createProvisioner
+} = require('../src/provisioning');
+const { createClusterClient } = require('../src/clusters');
+
+process.env.MOCK_CLONE_SECONDS = '0.3';
+const mockProxmox = require('../scripts/mock-proxmox');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const template = {
+  name: 'ubuntu-22.04',
+  node: 'pve1',
+  vmid: 9000,
+  full: true,
+  storage: 'local-lvm',
+  cores: 2,
+  memory: 4096,
+  tags: ['ubuntu']
+};
+
+let server;
+let cluster;
+
+beforeAll(done => {
+  server = mockProxmox.listen(0, '127.0.0.1', () => {
+    cluster = createClusterClient({
+      name: 'default',
+      url: `http://127.0.0.1:${server.address().port}/api2/json`,
+      tokenName: 'test@pam!test',
+      tokenValue: 'secret'
+    });
+    done();
+  });
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+/**
+ * Create a provisioner whose finished jobs resolve the returned promise
+ * @param {Object} [options] - Extra provisioner options
+ * @returns {Object} Provisioner and a promise for the next finished job
+ */
+function provisionerWithFinish(options = {}) {
+  let resolveFinished;
+  const finished = new Promise(resolve => {
+    resolveFinished = resolve;
+  });
+  const provisioner = createProvisioner({
+    logger,
+    pollIntervalMs: 20,
+    onFinished: job => resolveFinished({ ...job }),
+    ...options
+  });
+  return { provisioner, finished };
+}
+
+describe('parseUpid', () => {
+  test('splits a task ID', () => {
+    expect(parseUpid('UPID:pve1:0000C2A1:00000001:6AD672F3:qmclone:9000:root@pam:')).toEqual({
+      node: 'pve1',
+      type: 'qmclone',
+      id: '9000',
+      user: 'root@pam'
+    });
+  });
+
+  test('rejects malformed IDs', () => {
+    expect(parseUpid('pve1:qmclone')).toBeNull();
+    expect(parseUpid(undefined)).toBeNull();
+  });
+});
+
+describe('validateNetwork', () => {
+  test('accepts CIDR addresses, dhcp and IP servers', () => {
+    expect(validateNetwork({ ip: '10.0.0.10/24', gateway: '10.0.0.1', dns: ['1.1.1.1'] })).toBeNull();
+    expect(validateNetwork({ ip: '2001:db8::10/64', gateway: '2001:db8::1' })).toBeNull();
+    expect(validateNetwork({ ip: 'dhcp' })).toBeNull();
+    expect(validateNetwork({})).toBeNull();
+  });
+
+  test('rejects addresses without a valid prefix length', () => {
+    expect(validateNetwork({ ip: '10.0.0.10' })).toMatch(/must be an address with a prefix length/);
+    expect(validateNetwork({ ip: '10.0.0.10/33' })).toMatch(/must be an address with a prefix length/);
+  });
+
+  test('rejects fields of the wrong type instead of throwing', () => {
+    expect(validateNetwork({ ip: 10 })).toBe("IP must be a string, e.g. 10.0.0.10/24 or 'dhcp'");
+    expect(validateNetwork({ ip: ['10.0.0.10/24'] })).toMatch(/^IP must be a string/);
+    expect(validateNetwork({ gateway: 1 })).toBe('Gateway must be a string');
+    expect(validateNetwork({ dns: '1.1.1.1' })).toBe('DNS servers must be a list of IP addresses');
+    expect(validateNetwork({ dns: [1] })).toBe('DNS servers must be a list of IP addresses');
+  });
+
+  test('rejects gateways and DNS servers that are not IPs', () => {
+    expect(validateNetwork({ gateway: 'router' })).toBe("Gateway 'router' is not an IP address");
+    expect(validateNetwork({ dns: ['1.1.1.1', 'dns'] })).toBe("DNS server 'dns' is not an IP address");
+  });
+});
+
+describe('buildGuestConfig', () => {
+  test('builds cloud-init settings for IPv4 and IPv6', () => {
+    expect(buildGuestConfig({
+      ip: '10.0.0.10/24',
+      gateway: '10.0.0.1',
+      dns: ['1.1.1.1', '8.8.8.8'],
+      searchDomain: 'example.com',
+      tags: ['web', 'prod'],
+      cores: 4,
+      memory: 8192
+    })).toEqual({
+      ipconfig0: 'ip=10.0.0.10/24,gw=10.0.0.1',
+      nameserver: '1.1.1.1 8.8.8.8',
+      searchdomain: 'example.com',
+      tags: 'web;prod',
+      cores: 4,
+      memory: 8192
+    });
+    expect(buildGuestConfig({ ip: '2001:db8::10/64', gateway: '2001:db8::1' }))
+      .toEqual({ ipconfig0: 'ip6=2001:db8::10/64,gw6=2001:db8::1' });
+  });
+
+  test('leaves out settings that were not given', () => {
+    expect(buildGuestConfig({ ip: 'dhcp' })).toEqual({ ipconfig0: 'ip=dhcp' });
+    expect(buildGuestConfig({})).toEqual({});
+  });
+});
+
+describe('loadTemplates', () => {
+  test('loads templates and skips incomplete ones', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+    const filePath = path.join(dir, 'templates.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      templates: [
+        { name: 'debian-12', node: 'pve1', vmid: 9001 },
+        { name: 'linked', node: 'pve1', vmid: 9002, full: false },
+        { name: 'broken', node: 'pve1' }
+      ]
+    }));
+
+    const templates = loadTemplates(filePath, logger);
+
+    expect([...templates.keys()]).toEqual(['debian-12', 'linked']);
+    expect(templates.get('debian-12').full).toBe(true);
+    expect(templates.get('linked').full).toBe(false);
+    fs.rmSync(dir, { recursive: true });
+  });
+});
+
+describe('provisioning against the mock ProxMox API', () => {
+  test('clones the template, tracks the task and applies the cloud-init config', async () => {
+    const { provisioner, finished } = provisionerWithFinish();
+
+    const job = await provisioner.start(cluster, template, {
+      hostname: 'app01',
+      node: 'pve2',
+      ip: '10.0.0.20/24',
+      gateway: '10.0.0.1',
+      dns: ['1.1.1.1'],
+      searchDomain: 'example.com',
+      tags: ['app', 'ubuntu'],
+      reservationId: 'reservation-1'
+    });
+
+    expect(job).toMatchObject({
+      status: 'cloning',
+      progress: 0,
+      hostname: 'app01',
+      template: 'ubuntu-22.04',
+      cluster: 'default',
+      node: 'pve2',
+      vmid: 102,
+      reservationId: 'reservation-1',
+      error: null
+    });
+    expect(parseUpid(job.upid)).toMatchObject({ node: 'pve1', type: 'qmclone', id: '9000' });
+    expect(provisioner.get(job.upid)).toBe(job);
+
+    const result = await finished;
+
+    expect(result).toMatchObject({ status: 'completed', progress: 100, error: null });
+    expect(provisioner.get(job.upid).status).toBe('completed');
+
+    const guests = (await cluster.api.get('/cluster/resources')).data.data;
+    expect(guests.find(guest => guest.vmid === 102)).toMatchObject({ name: 'app01', node: 'pve2', template: 0 });
+
+    const config = (await cluster.api.get('/nodes/pve2/qemu/102/config')).data.data;
+    expect(config).toMatchObject({
+      name: 'app01',
+      ipconfig0: 'ip=10.0.0.20/24,gw=10.0.0.1',
+      nameserver: '1.1.1.1',
+      searchdomain: 'example.com',
+      tags: 'ubuntu;app',
+      cores: 2,
+      memory: 4096
+    });
+  });
+
+  test('reports clone progress while the task runs', async () => {
+    const { provisioner, finished } = provisionerWithFinish();
+    const job = await provisioner.start(cluster, template, { hostname: 'app02', vmid: 150 });
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    const running = provisioner.get(job.upid);
+
+    expect(running.status).toBe('cloning');
+    expect(running.progress).toBeGreaterThan(0);
+    expect(running.progress).toBeLessThan(100);
+
+    expect((await finished).status).toBe('completed');
+  });
+
+  test('rejects a clone ProxMox refuses, without creating a job', async () => {
+    const { provisioner } = provisionerWithFinish();
+
+    await expect(provisioner.start(cluster, template, { hostname: 'web01-copy', vmid: 100 }))
+      .rejects.toMatchObject({ response: { data: { message: 'VM 100 already exists' } } });
+  });
+
+  test('fails the job when the clone task cannot be followed', async () => {
+    const { provisioner, finished } = provisionerWithFinish();
+    const brokenCluster = {
+      ...cluster,
+      api: {
+        get: (url, config) => (url.endsWith('/status') ? Promise.reject(new Error('connection reset')) : cluster.api.get(url, config)),
+        post: (url, data) => cluster.api.post(url, data),
+        put: (url, data) => cluster.api.put(url, data)
+      }
+    };
+
+    const job = await provisioner.start(brokenCluster, template, { hostname: 'app03' });
+    const result = await finished;
+
+    expect(result).toMatchObject({ upid: job.upid, status: 'failed', error: 'connection reset' });
+  });
+
+  test('times out a clone task that runs past the deadline', async () => {
+    const { provisioner, finished } = provisionerWithFinish({ maxDurationMs: 50 });
+    const job = await provisioner.start(cluster, template, { hostname: 'app05' });
+
+    const result = await finished;
+
+    expect(result).toMatchObject({
+      upid: job.upid,
+      status: 'timeout',
+      error: 'Clone task did not finish within 0.05 seconds'
+    });
+    expect(result.progress).toBeLessThan(100);
+    expect(logger.error).toHaveBeenCalledWith(`Provisioning app05 timed out, clone task ${job.upid} is still running`);
+  });
+
+  test('keeps going when the finish callback throws', async () => {
+    let finishedCalls = 0;
+    const { provisioner } = provisionerWithFinish({
+      onFinished: () => {
+        finishedCalls += 1;
+        throw new Error('cleanup failed');
+      }
+    });
+    const job = await provisioner.start(cluster, template, { hostname: 'app04' });
+
+    await new Promise(resolve => setTimeout(resolve, 600));
+
+    expect(finishedCalls).toBe(1);
+    expect(provisioner.get(job.upid).status).toBe('completed');
+    expect(logger.error).toHaveBeenCalledWith('Cleaning up after provisioning app04 failed: cleanup failed');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createReservationStore } = require('../src/reservations');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'reservations-'));
+  filePath = path.join(dir, 'data', 'reservations.json');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  fs.rmSync(dir, { recursive: true });
+});
+
+describe('createReservationStore', () => {
+  test('reserves a hostname and blocks it for others, ignoring case', () => {
+    const store = createReservationStore(filePath, logger);
+
+    const { reservation } = store.reserve({ hostname: 'Web01', owner: 'alice', ticket: 'CHG-1', leaseSeconds: 3600 });
+    const { conflict } = store.reserve({ hostname: 'WEB01', owner: 'bob', leaseSeconds: 3600 });
+
+    expect(reservation).toMatchObject({ hostname: 'web01', owner: 'alice', ticket: 'CHG-1' });
+    expect(conflict).toEqual(reservation);
+    expect(store.findByHostname('web01')).toEqual(reservation);
+    expect(store.get(reservation.id)).toEqual(reservation);
+  });
+
+  test('lists reservations by owner', () => {
+    const store = createReservationStore(filePath, logger);
+    store.reserve({ hostname: 'web01', owner: 'alice', leaseSeconds: 3600 });
+    store.reserve({ hostname: 'web02', owner: 'bob', leaseSeconds: 3600 });
+
+    expect(store.list().map(reservation => reservation.hostname)).toEqual(['web01', 'web02']);
+    expect(store.list({ owner: 'bob' }).map(reservation => reservation.hostname)).toEqual(['web02']);
+  });
+
+  test('expires reservations once their lease runs out', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const store = createReservationStore(filePath, logger);
+    const { reservation } = store.reserve({ hostname: 'web01', owner: 'alice', leaseSeconds: 60 });
+
+    jest.setSystemTime(new Date('2026-01-01T00:00:59Z'));
+    expect(store.findByHostname('web01')).toEqual(reservation);
+
+    jest.setSystemTime(new Date('2026-01-01T00:01:00Z'));
+    expect(store.findByHostname('web01')).toBeUndefined();
+    expect(store.get(reservation.id)).toBeUndefined();
+    expect(store.reserve({ hostname: 'web01', owner: 'bob', leaseSeconds: 60 }).reservation.owner).toBe('bob');
+  });
+
+  test('renews a lease from now', () => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+    const store = createReservationStore(filePath, logger);
+    const { reservation } = store.reserve({ hostname: 'web01', owner: 'alice', leaseSeconds: 60 });
+
+    jest.setSystemTime(new Date('2026-01-01T00:00:30Z'));
+    const renewed = store.renew(reservation.id, 120);
+
+    expect(renewed.expiresAt).toBe('2026-01-01T00:02:30.000Z');
+    expect(store.renew('unknown', 120)).toBeUndefined();
+  });
+
+  test('releases a reservation', () => {
+    const store = createReservationStore(filePath, logger);
+    const { reservation } = store.reserve({ hostname: 'web01', owner: 'alice', leaseSeconds: 3600 });
+
+    expect(store.release(reservation.id)).toEqual(reservation);
+    expect(store.findByHostname('web01')).toBeUndefined();
+    expect(store.release(reservation.id)).toBeUndefined();
+  });
+
+  test('keeps reservations across restarts', () => {
+    const { reservation } = createReservationStore(filePath, logger)
+      .reserve({ hostname: 'web01', owner: 'alice', leaseSeconds: 3600 });
+
+    const reloaded = createReservationStore(filePath, logger);
+
+    expect(reloaded.get(reservation.id)).toEqual(reservation);
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+  });
+});
+
+describe('reserveMany', () => {
+  test('reserves every hostname for the same owner and lease', () => {
+    const store = createReservationStore(filePath, logger);
+
+    const { reservations, conflicts } = store.reserveMany(['web01', 'web02', 'web03'], {
+      owner: 'alice',
+      ticket: 'CHG-2',
+      leaseSeconds: 3600
+    });
+
+    expect(conflicts).toBeUndefined();
+    expect(reservations.map(reservation => reservation.hostname)).toEqual(['web01', 'web02', 'web03']);
+    expect(store.list({ owner: 'alice' })).toHaveLength(3);
+  });
+
+  test('reserves nothing when any hostname is already held', () => {
+    const store = createReservationStore(filePath, logger);
+    const { reservation: held } = store.reserve({ hostname: 'web02', owner: 'bob', leaseSeconds: 3600 });
+
+    const { reservations, conflicts } = store.reserveMany(['web01', 'WEB02', 'web03'], {
+      owner: 'alice',
+      leaseSeconds: 3600
+    });
+
+    expect(reservations).toBeUndefined();
+    expect(conflicts).toEqual([held]);
+    expect(store.list().map(reservation => reservation.hostname)).toEqual(['web02']);
+  });
+});
\ No newline at end of file
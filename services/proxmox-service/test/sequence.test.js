@@ -0,0 +1,76 @@
+const { allocateFromPrefix, allocateSequence, collectSequence } = require('../src/sequence');
+
+describe('collectSequence', () => {
+  test('collects counters and the zero-padding width', () => {
+    const { used, width } = collectSequence(['web01', 'web007', 'web12', 'db03'], /^web(\d+)$/);
+
+    expect([...used].sort((a, b) => a - b)).toEqual([1, 7, 12]);
+    expect(width).toBe(3);
+  });
+
+  test('ignores counters beyond Number.MAX_SAFE_INTEGER', () => {
+    const { used } = collectSequence(['web99999999999999999999', 'web05'], /^web(\d+)$/);
+
+    expect([...used]).toEqual([5]);
+  });
+});
+
+describe('allocateFromPrefix', () => {
+  test('appends after the highest number in use', () => {
+    const result = allocateFromPrefix('web', ['web01', 'web03']);
+
+    expect(result.mode).toBe('append');
+    expect(result.names).toEqual(['web04', 'web05', 'web06']);
+  });
+
+  test('fills gaps from the lowest free number in gap mode', () => {
+    const result = allocateFromPrefix('web', ['web01', 'web03'], { mode: 'gap', count: 2 });
+
+    expect(result.names).toEqual(['web02', 'web04']);
+  });
+
+  test('matches the prefix literally and without case', () => {
+    const result = allocateFromPrefix('web.', ['WEB.04', 'webx09'], { count: 1 });
+
+    expect(result.names).toEqual(['web.05']);
+  });
+
+  test('starts at 1 when the prefix is unused', () => {
+    expect(allocateFromPrefix('db', ['web01'], { count: 2 }).names).toEqual(['db1', 'db2']);
+  });
+
+  test('terminates when a counter is too large to count past', () => {
+    const result = allocateFromPrefix('web', ['web99999999999999999999', 'web02']);
+
+    expect(result.names).toEqual(['web03', 'web04', 'web05']);
+  });
+
+  test('returns fewer names when the counter runs out of safe integers', () => {
+    const result = allocateFromPrefix('web', [`web${Number.MAX_SAFE_INTEGER - 1}`]);
+
+    expect(result.numbers).toEqual([Number.MAX_SAFE_INTEGER]);
+  });
+});
+
+describe('allocateSequence', () => {
+  test('rejects unknown modes', () => {
+    expect(() => allocateSequence({
+      existingNames: [],
+      matcher: /^x(\d+)$/,
+      render: number => `x${number}`,
+      mode: 'random'
+    })).toThrow("Unknown sequence mode 'random'");
+  });
+
+  test('pads to at least minWidth', () => {
+    const result = allocateSequence({
+      existingNames: [],
+      matcher: /^x(\d+)$/,
+      render: (number, width) => `x${String(number).padStart(width, '0')}`,
+      count: 1,
+      minWidth: 3
+    });
+
+    expect(result.names).toEqual(['x001']);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,70 @@
+const {
+  normalizeHostname,
+  confusableSkeleton,
+  editDistance,
+  findSimilarNames
+} = require('../src/similarity');
+
+const guest = (name, type = 'vm') => ({ name, cluster: 'default', type });
+
+describe('normalizeHostname', () => {
+  test('drops case, separators and leading zeros', () => {
+    expect(normalizeHostname('WEB-01')).toBe('web1');
+    expect(normalizeHostname('web_001.lab')).toBe('web1lab');
+  });
+});
+
+describe('confusableSkeleton', () => {
+  test('folds look-alike characters', () => {
+    expect(confusableSkeleton('web0l')).toBe(confusableSkeleton('webo1'));
+    expect(confusableSkeleton('Dbi-1')).toBe('db11');
+  });
+});
+
+describe('editDistance', () => {
+  test('computes the Levenshtein distance', () => {
+    expect(editDistance('kitten', 'sitting', 5)).toBe(3);
+    expect(editDistance('web01', 'web01', 1)).toBe(0);
+  });
+
+  test('gives up past the limit', () => {
+    expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+    expect(editDistance('a', 'abcdef', 2)).toBe(3);
+  });
+});
+
+describe('findSimilarNames', () => {
+  test('reports each reason a name is similar', () => {
+    const [match] = findSimilarNames('web01', [guest('web-01', 'container')]);
+
+    expect(match).toEqual({
+      name: 'web-01',
+      cluster: 'default',
+      type: 'container',
+      score: 0.83,
+      distance: 1,
+      reasons: ['normalized', 'confusable', 'edit-distance']
+    });
+  });
+
+  test('finds confusables beyond the edit distance', () => {
+    const matches = findSimilarNames('web01', [guest('wab-ol'), guest('web-ol')], { maxDistance: 0 });
+
+    expect(matches.map(match => match.name)).toEqual(['web-ol']);
+    expect(matches[0].reasons).toEqual(['confusable']);
+  });
+
+  test('skips exact matches and unrelated names', () => {
+    expect(findSimilarNames('web01', [guest('WEB01'), guest('db01'), guest('')])).toEqual([]);
+  });
+
+  test('orders by score and returns at most ten names', () => {
+    const guests = Array.from({ length: 12 }, (_, index) => guest(`web0${String.fromCharCode(97 + index)}`));
+    guests.push(guest('web01x'));
+
+    const matches = findSimilarNames('web01', guests);
+
+    expect(matches).toHaveLength(10);
+    expect(matches[0].name).toBe('web01x');
+  });
+});
\ No newline at end of file
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTombstoneStore } = require('../src/tombstones');
+
+const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+const DAY = 24 * 3600;
+
+let dir;
+let filePath;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tombstones-'));
+  filePath = path.join(dir, 'tombstones.json');
+  jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  fs.rmSync(dir, { recursive: true });
+});
+
+describe('createTombstoneStore', () => {
+  test('takes the first snapshot of a cluster as the baseline', () => {
+    const store = createTombstoneStore(filePath, 30 * DAY, logger);
+
+    expect(store.observe('prod', ['web01', 'db01'])).toEqual([]);
+    expect(store.list()).toEqual([]);
+  });
+
+  test('tombstones names that disappear for the quarantine period', () => {
+    const store = createTombstoneStore(filePath, 30 * DAY, logger);
+    store.observe('prod', ['web01', 'DB01']);
+
+    const retired = store.observe('prod', ['web01']);
+
+    expect(retired).toEqual([expect.objectContaining({
+      hostname: 'db01',
+      cluster: 'prod',
+      retiredAt: '2026-01-01T00:00:00.000Z',
+      availableAt: '2026-01-31T00:00:00.000Z'
+    })]);
+    expect(store.findByHostname('DB01')).toEqual(retired[0]);
+  });
+
+  test('lifts a tombstone once its quarantine ends', () => {
+    const store = createTombstoneStore(filePath, 30 * DAY, logger);
+    store.observe('prod', ['web01', 'db01']);
+    store.observe('prod', ['web01']);
+
+    jest.setSystemTime(new Date('2026-01-30T23:59:59Z'));
+    expect(store.findByHostname('db01')).toBeDefined();
+
+    jest.setSystemTime(new Date('2026-01-31T00:00:00Z'));
+    expect(store.findByHostname('db01')).toBeUndefined();
+  });
+
+  test('lifts a tombstone when the name comes back on the same cluster', () => {
+    const store = createTombstoneStore(filePath, 30 * DAY, logger);
+    store.observe('prod', ['web01', 'db01']);
+    store.observe('prod', ['web01']);
+
+    store.observe('prod', ['web01', 'db01']);
+
+    expect(store.findByHostname('db01')).toBeUndefined();
+  });
+
+  test('keeps each cluster separate', () => {
+    const store = createTombstoneStore(filePath, 30 * DAY, logger);
+    store.observe('prod', ['web01']);
+    store.observe('lab', ['web01']);
+
+    store.observe('lab', []);
+
+    expect(store.findByHostname('web01')).toMatchObject({ cluster: 'lab' });
+  });
+
+  test('releases a tombstone before its quarantine ends', () => {
+    const store = createTombstoneStore(filePath, 30 * DAY, logger);
+    store.observe('prod', ['web01']);
+    const [tombstone] = store.observe('prod', []);
+
+    expect(store.release(tombstone.id)).toEqual(tombstone);
+    expect(store.findByHostname('web01')).toBeUndefined();
+    expect(store.release(tombstone.id)).toBeUndefined();
+  });
+
+  test('keeps the baseline and tombstones across restarts', () => {
+    createTombstoneStore(filePath, 30 * DAY, logger).observe('prod', ['web01', 'db01']);
+    const reloaded = createTombstoneStore(filePath, 30 * DAY, logger);
+
+    expect(reloaded.observe('prod', ['web01'])).toEqual([expect.objectContaining({ hostname: 'db01' })]);
+    expect(createTombstoneStore(filePath, 30 * DAY, logger).findByHostname('db01')).toBeDefined();
+  });
+});
\ No newline at end of file
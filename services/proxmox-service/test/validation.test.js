@@ -0,0 +1,70 @@
+const { loadHostnameRules, validateHostname } = require('../src/validation');
+
+const defaults = loadHostnameRules({});
+const codes = result => result.violations.map(violation => violation.code);
+
+describe('loadHostnameRules', () => {
+  test('reads limits and comma-separated lists', () => {
+    expect(loadHostnameRules({
+      HOSTNAME_MAX_LENGTH: '15',
+      HOSTNAME_ALLOW_LEADING_DIGIT: 'true',
+      HOSTNAME_BANNED_WORDS: ' Test, ,tmp',
+      HOSTNAME_ENV_SUFFIXES: '-prd,-dev'
+    })).toEqual({
+      maxLength: 15,
+      allowLeadingDigit: true,
+      bannedWords: ['test', 'tmp'],
+      envSuffixes: ['-prd', '-dev']
+    });
+  });
+
+  test('defaults to RFC 1123 only', () => {
+    expect(defaults).toEqual({ maxLength: 63, allowLeadingDigit: false, bannedWords: [], envSuffixes: [] });
+  });
+});
+
+describe('validateHostname', () => {
+  test('accepts short names and FQDNs', () => {
+    expect(validateHostname('web01', defaults)).toEqual({ valid: true, violations: [] });
+    expect(validateHostname('web01.example.com', defaults).valid).toBe(true);
+  });
+
+  test('requires a name', () => {
+    expect(codes(validateHostname('  ', defaults))).toEqual(['EMPTY']);
+    expect(codes(validateHostname(42, defaults))).toEqual(['EMPTY']);
+  });
+
+  test('reports RFC 1123 label violations with their position', () => {
+    const result = validateHostname('-web_01.example..com', defaults);
+
+    expect(codes(result)).toEqual(['INVALID_CHAR', 'LEADING_HYPHEN', 'EMPTY_LABEL']);
+    expect(result.violations[0]).toMatchObject({ label: 0, position: 4 });
+    expect(result.violations[2]).toMatchObject({ label: 2 });
+  });
+
+  test('limits label and name length', () => {
+    expect(codes(validateHostname(`a${'b'.repeat(63)}`, defaults))).toEqual(['LABEL_TOO_LONG']);
+    expect(codes(validateHostname(Array(64).fill('abc').join('.'), defaults))).toEqual(['NAME_TOO_LONG']);
+  });
+
+  test('rejects leading digits unless allowed, and all-numeric names always', () => {
+    expect(codes(validateHostname('1web', defaults))).toEqual(['LEADING_DIGIT']);
+    expect(codes(validateHostname('1web', { ...defaults, allowLeadingDigit: true }))).toEqual([]);
+    expect(codes(validateHostname('123', { ...defaults, allowLeadingDigit: true }))).toEqual(['ALL_NUMERIC']);
+  });
+
+  test('applies organisation rules to the short name only', () => {
+    const rules = loadHostnameRules({
+      HOSTNAME_MAX_LENGTH: '10',
+      HOSTNAME_BANNED_WORDS: 'test',
+      HOSTNAME_ENV_SUFFIXES: '-prd,-dev'
+    });
+
+    expect(codes(validateHostname('app-prd01.test.example.com', rules))).toEqual([]);
+    expect(codes(validateHostname('testapp-stg', rules))).toEqual([
+      'MAX_LENGTH_EXCEEDED',
+      'BANNED_WORD',
+      'MISSING_ENV_SUFFIX'
+    ]);
+  });
+});
\ No newline at end of file